@@ -5,6 +5,26 @@ const CONFIG = {
   TYPING_SPEED: 100,
   INTERSECTION_THRESHOLD: 0.1,
   INTERSECTION_ROOT_MARGIN: "0px 0px -50px 0px",
+  SEARCH_PAGES: [
+    "index.html",
+    "tipos-de-redes.html",
+    "medios-de-transmision.html",
+    "modelo-osi.html",
+    "segmentacion.html",
+    "ancho-de-banda.html",
+    "resumen.html",
+  ],
+  SEARCH_INDEX_KEY: "redes-search-index",
+  // Format of the cached index; page content changes are detected by hash
+  SEARCH_INDEX_VERSION: 3,
+  // sessionStorage flag: the cached index was already checked in this visit
+  SEARCH_INDEX_CHECKED_KEY: "redes-search-index-checked",
+  SEARCH_MAX_RESULTS: 8,
+  SEARCH_SNIPPET_LENGTH: 150,
+  SEARCH_RECENT_KEY: "redes-search-recent",
+  SEARCH_RECENT_MAX: 5,
+  PROGRESS_KEY: "redes-progress",
+  PROGRESS_VERSION: 1,
 }
 
 // ===== UTILITY FUNCTIONS =====
@@ -64,6 +84,63 @@ const utils = {
     return element
   },
 
+  getCurrentPage() {
+    return window.location.pathname.split("/").pop() || "index.html"
+  },
+
+  // Lowercase without accents: "Transmisión" -> "transmision"
+  normalizeText(text) {
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+  },
+
+  // "Capa de Transmisión" -> "capa-de-transmision"
+  slugify(text) {
+    return utils
+      .normalizeText(text)
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+  },
+
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+  },
+
+  // Deterministic PRNG (mulberry32) seeded from any string, so the same seed
+  // always yields the same sequence of numbers in [0, 1)
+  seededRandom(seed) {
+    let state = 2166136261
+    for (const char of String(seed)) {
+      state = Math.imul(state ^ char.charCodeAt(0), 16777619)
+    }
+
+    return () => {
+      state = (state + 0x6d2b79f5) | 0
+      let t = Math.imul(state ^ (state >>> 15), 1 | state)
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+  },
+
+  // Replacing innerHTML drops keyboard focus to <body>. Runs `render` and
+  // focuses the new element carrying the same data-* value as the old one.
+  keepFocus(container, attributes, render) {
+    const active = container.contains(document.activeElement) ? document.activeElement : null
+    const focused = active?.closest(attributes.map((name) => `[data-${name}]`).join(","))
+    const attribute = focused && attributes.find((name) => focused.hasAttribute(`data-${name}`))
+    const value = attribute && focused.getAttribute(`data-${attribute}`)
+
+    render()
+    if (attribute) container.querySelector(`[data-${attribute}="${value}"]`)?.focus()
+  },
+
   addEventListenerSafe(element, event, handler, options = {}) {
     if (!element) return
     try {
@@ -143,7 +220,7 @@ const Navigation = {
   },
 
   setActiveLink() {
-    const currentPage = window.location.pathname.split("/").pop() || "index.html"
+    const currentPage = utils.getCurrentPage()
 
     this.navLinks.forEach((link) => {
       const linkHref = link.getAttribute("href")
@@ -218,6 +295,15 @@ const ScrollManager = {
       }
     })
 
+    // A short last section never reaches the top of the viewport
+    const atBottom = window.innerHeight + window.pageYOffset >= document.documentElement.scrollHeight - 2
+    const visibleSections = [...sections].filter((section) => section.clientHeight > 0)
+    if (atBottom && window.pageYOffset > 0 && visibleSections.length > 0) {
+      currentSection = visibleSections[visibleSections.length - 1].getAttribute("id")
+    }
+
+    if (currentSection) LearningProgress.markSection(currentSection)
+
     navLinks.forEach((link) => {
       const href = link.getAttribute("href")
       if (href && href.includes("#" + currentSection)) {
@@ -441,7 +527,131 @@ document.addEventListener("DOMContentLoaded", () => {
 
 const Search = {
   init() {
+    // main.js registers two DOMContentLoaded handlers; build the UI only once
+    if (this.initialized) return
+    this.initialized = true
+
+    this.assignHeadingIds(document)
     this.createSearchFunction()
+    this.scrollToHash()
+    this.loadIndex()
+  },
+
+  // Gives every heading in <main> an id derived from its text. The same
+  // function runs over the fetched copies of each page, so the anchors stored
+  // in the index always match the ones generated on the live page.
+  assignHeadingIds(doc) {
+    const usedIds = new Set()
+    doc.querySelectorAll("main h1, main h2, main h3, main h4, main h5, main h6").forEach((heading) => {
+      if (heading.id && !usedIds.has(heading.id)) {
+        usedIds.add(heading.id)
+        return
+      }
+
+      const base = utils.slugify(heading.textContent) || "seccion"
+      let id = base
+      let suffix = 2
+      while (usedIds.has(id) || (doc.getElementById(id) && doc.getElementById(id) !== heading)) {
+        id = `${base}-${suffix++}`
+      }
+
+      heading.id = id
+      usedIds.add(id)
+    })
+  },
+
+  // Heading ids are generated after parsing, so the browser could not jump to
+  // "page.html#anchor" on its own when arriving from a search result.
+  scrollToHash() {
+    const anchor = decodeURIComponent(window.location.hash.slice(1))
+    if (!anchor) return
+    const element = document.getElementById(anchor)
+    if (element) {
+      setTimeout(() => utils.scrollToElement(element), CONFIG.ANIMATION_DELAY)
+    }
+  },
+
+  // Builds the site-wide index from every page listed in CONFIG.SEARCH_PAGES.
+  // The copy cached in localStorage is searched right away; once per browser
+  // session each page is fetched again and parsed only if its HTML no longer
+  // matches the cached hash. Without a cache (or when fetch is not available,
+  // e.g. opening the files with file://) only the current page is searched.
+  async loadIndex() {
+    const cached = this.readCachedIndex()
+    if (cached) {
+      this.index = Object.values(cached).flatMap((page) => page.entries)
+      if (this.sessionFlag()) return
+    }
+
+    try {
+      const pages = await Promise.all(CONFIG.SEARCH_PAGES.map((page) => this.fetchPageEntries(page, cached?.[page])))
+      this.index = pages.flatMap((page) => page.entries)
+      this.writeCachedIndex(Object.fromEntries(CONFIG.SEARCH_PAGES.map((page, index) => [page, pages[index]])))
+      this.sessionFlag(true)
+    } catch (error) {
+      console.warn("Search index could not be built, searching current page only:", error)
+    }
+  },
+
+  async fetchPageEntries(page, cached) {
+    const response = await fetch(page)
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} fetching ${page}`)
+    }
+
+    const html = await response.text()
+    const hash = this.hashText(html)
+    if (cached && cached.hash === hash) return cached
+
+    // The current page is parsed too: by now its widgets have added headings
+    // and text that are not part of the page itself
+    const doc = new DOMParser().parseFromString(html, "text/html")
+    this.assignHeadingIds(doc)
+    return { hash, entries: this.extractEntries(doc, page) }
+  },
+
+  // Reads, or sets when `value` is given, the "already checked" flag
+  sessionFlag(value) {
+    try {
+      if (value) sessionStorage.setItem(CONFIG.SEARCH_INDEX_CHECKED_KEY, "1")
+      return sessionStorage.getItem(CONFIG.SEARCH_INDEX_CHECKED_KEY) === "1"
+    } catch (error) {
+      return false
+    }
+  },
+
+  // FNV-1a: only needs to notice that a page changed
+  hashText(text) {
+    let hash = 0x811c9dc5
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i)
+      hash = Math.imul(hash, 0x01000193)
+    }
+    return (hash >>> 0).toString(16)
+  },
+
+  readCachedIndex() {
+    try {
+      const cached = JSON.parse(localStorage.getItem(CONFIG.SEARCH_INDEX_KEY))
+      const pages = cached && cached.version === CONFIG.SEARCH_INDEX_VERSION ? cached.pages : null
+      if (pages && CONFIG.SEARCH_PAGES.every((page) => Array.isArray(pages[page]?.entries))) {
+        return pages
+      }
+    } catch (error) {
+      console.warn("Ignoring corrupt search index cache:", error)
+    }
+    return null
+  },
+
+  writeCachedIndex(pages) {
+    try {
+      localStorage.setItem(
+        CONFIG.SEARCH_INDEX_KEY,
+        JSON.stringify({ version: CONFIG.SEARCH_INDEX_VERSION, pages }),
+      )
+    } catch (error) {
+      console.warn("Search index could not be cached:", error)
+    }
   },
 
   createSearchFunction() {
@@ -450,12 +660,14 @@ const Search = {
     searchContainer.className = "search-container"
     searchContainer.innerHTML = `
       <div class="search-wrapper">
-        <input type="text" id="site-search" placeholder="Buscar en el sitio..." aria-label="Buscar contenido">
+        <input type="text" id="site-search" placeholder="Buscar en el sitio... ( / )" aria-label="Buscar contenido"
+          role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="search-results" autocomplete="off">
         <button type="button" class="search-btn" aria-label="Realizar búsqueda">
           <span aria-hidden="true">🔍</span>
         </button>
       </div>
-      <div id="search-results" class="search-results" aria-live="polite"></div>
+      <div id="search-results" class="search-results" role="listbox" aria-label="Resultados de búsqueda"></div>
+      <div id="search-status" class="sr-only" aria-live="polite"></div>
     `
 
     // Add search styles
@@ -530,10 +742,32 @@ const Search = {
         transition: background-color var(--transition-fast);
       }
       
-      .search-result-item:hover {
+      .search-result-item:hover,
+      .search-result-item.active {
         background: var(--gray-50);
       }
       
+      .search-result-item.active {
+        box-shadow: inset 3px 0 0 var(--primary-color);
+      }
+      
+      .search-result-item[aria-disabled="true"] {
+        cursor: default;
+      }
+      
+      .search-results-label {
+        padding: var(--spacing-2) var(--spacing-4) 0;
+        font-size: var(--font-size-xs);
+        font-weight: 600;
+        text-transform: uppercase;
+        color: var(--gray-500);
+      }
+      
+      .search-recent .search-result-title {
+        font-weight: 500;
+        margin-bottom: 0;
+      }
+      
       .search-result-item:last-child {
         border-bottom: none;
       }
@@ -544,6 +778,13 @@ const Search = {
         margin-bottom: var(--spacing-1);
       }
       
+      .search-result-page {
+        font-size: var(--font-size-xs);
+        font-weight: 500;
+        color: var(--primary-color);
+        margin-left: var(--spacing-2);
+      }
+      
       .search-result-snippet {
         font-size: var(--font-size-sm);
         color: var(--gray-600);
@@ -571,6 +812,8 @@ const Search = {
     searchToggle.className = "search-toggle"
     searchToggle.innerHTML = '<span aria-hidden="true">🔍</span>'
     searchToggle.setAttribute("aria-label", "Abrir búsqueda")
+    searchToggle.setAttribute("aria-keyshortcuts", "/ Control+K")
+    searchToggle.title = "Buscar ( / o Ctrl+K )"
     searchToggle.style.cssText = `
       position: fixed;
       top: 90px;
@@ -591,69 +834,233 @@ const Search = {
     document.body.appendChild(searchToggle)
 
     // Search functionality
-    const searchInput = utils.getElementById("site-search")
-    const searchResults = utils.getElementById("search-results")
+    this.container = searchContainer
+    this.toggle = searchToggle
+    this.input = utils.getElementById("site-search")
+    this.results = utils.getElementById("search-results")
+    this.status = utils.getElementById("search-status")
+    this.activeIndex = -1
     const searchBtn = searchContainer.querySelector(".search-btn")
 
     // Toggle search visibility
     utils.addEventListenerSafe(searchToggle, "click", () => {
-      const isActive = searchContainer.classList.contains("active")
-      searchContainer.classList.toggle("active")
+      if (this.container.classList.contains("active")) {
+        this.close()
+      } else {
+        this.open()
+      }
+    })
+
+    const debouncedSearch = utils.debounce(() => this.runSearch(), 300)
+    utils.addEventListenerSafe(this.input, "input", debouncedSearch)
+    utils.addEventListenerSafe(searchBtn, "click", () => this.runSearch())
+    utils.addEventListenerSafe(this.input, "keydown", (e) => this.handleInputKeydown(e))
 
-      if (!isActive) {
-        setTimeout(() => searchInput?.focus(), 100)
+    // Shortcuts: "/" (outside text fields) or Ctrl/Cmd+K open the palette;
+    // Escape closes it
+    utils.addEventListenerSafe(document, "keydown", (e) => {
+      const isCtrlK = (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k"
+      const isSlash = e.key === "/" && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isEditable(e.target)
+
+      if (isCtrlK || isSlash) {
+        e.preventDefault()
+        this.open()
+      } else if (e.key === "Escape" && this.container.classList.contains("active")) {
+        this.close({ restoreFocus: this.container.contains(document.activeElement) })
       }
     })
 
-    // Perform search
-    const performSearch = () => {
-      const query = searchInput?.value.toLowerCase().trim()
-      if (!query) {
-        searchResults.classList.remove("active")
-        return
+    // Close search when clicking outside. The path is fixed at dispatch, so a
+    // clicked option that re-rendering removed still counts as inside.
+    utils.addEventListenerSafe(document, "click", (e) => {
+      const path = e.composedPath()
+      if (!path.includes(searchContainer) && !path.includes(searchToggle)) {
+        this.close()
       }
+    })
+  },
+
+  isEditable(element) {
+    return !!element && (element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName))
+  },
+
+  open() {
+    this.container.classList.add("active")
+    setTimeout(() => {
+      this.input?.focus()
+      this.input?.select()
+    }, 100)
+
+    if (!this.input.value.trim()) {
+      this.displayRecentQueries()
+    }
+  },
+
+  close({ restoreFocus = false } = {}) {
+    this.container.classList.remove("active")
+    this.hideResults()
+    if (restoreFocus) this.toggle.focus()
+  },
 
-      // Simple content search
-      const searchableContent = this.getSearchableContent()
-      const results = searchableContent
-        .filter((item) => item.title.toLowerCase().includes(query) || item.content.toLowerCase().includes(query))
-        .slice(0, 5)
+  hideResults() {
+    this.results.classList.remove("active")
+    this.input.setAttribute("aria-expanded", "false")
+    this.setActiveOption(-1)
+  },
 
-      this.displaySearchResults(results, query)
+  runSearch() {
+    const query = this.input?.value.trim()
+    if (!query) {
+      this.displayRecentQueries()
+      return
     }
 
-    utils.addEventListenerSafe(searchInput, "input", utils.debounce(performSearch, 300))
-    utils.addEventListenerSafe(searchBtn, "click", performSearch)
+    this.lastQuery = query
+    this.displaySearchResults(this.search(query))
+  },
 
-    // Close search on escape
-    utils.addEventListenerSafe(document, "keydown", (e) => {
-      if (e.key === "Escape") {
-        searchContainer.classList.remove("active")
-        searchResults.classList.remove("active")
+  handleInputKeydown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault()
+      if (!this.results.classList.contains("active")) this.runSearch()
+      const step = e.key === "ArrowDown" ? 1 : -1
+      const count = this.getOptions().length
+      if (count === 0) return
+      this.setActiveOption(this.activeIndex === -1 ? (step > 0 ? 0 : count - 1) : (this.activeIndex + step + count) % count)
+    } else if (e.key === "Enter") {
+      e.preventDefault()
+      // The debounced search may not have caught up with fast typists yet
+      if (this.input.value.trim() && this.input.value.trim() !== this.lastQuery) {
+        this.runSearch()
       }
+      const options = this.getOptions()
+      const option = options[this.activeIndex] || options[0]
+      if (option) this.activateOption(option)
+    }
+  },
+
+  getOptions() {
+    return [...this.results.querySelectorAll('[role="option"]:not([aria-disabled="true"])')]
+  },
+
+  // Moves the highlighted option (-1 clears it). Focus stays on the input;
+  // screen readers follow aria-activedescendant.
+  setActiveOption(index) {
+    const options = this.getOptions()
+    options.forEach((option) => {
+      option.classList.remove("active")
+      option.setAttribute("aria-selected", "false")
     })
 
-    // Close search when clicking outside
-    utils.addEventListenerSafe(document, "click", (e) => {
-      if (!searchContainer.contains(e.target) && !searchToggle.contains(e.target)) {
-        searchContainer.classList.remove("active")
-        searchResults.classList.remove("active")
-      }
+    if (options.length === 0 || index === -1) {
+      this.activeIndex = -1
+      this.input?.removeAttribute("aria-activedescendant")
+      return
+    }
+
+    this.activeIndex = Math.min(index, options.length - 1)
+    const active = options[this.activeIndex]
+    active.classList.add("active")
+    active.setAttribute("aria-selected", "true")
+    this.input.setAttribute("aria-activedescendant", active.id)
+    active.scrollIntoView?.({ block: "nearest" })
+  },
+
+  activateOption(option) {
+    if (option.dataset.query !== undefined) {
+      this.input.value = option.dataset.query
+      this.runSearch()
+      this.input.focus()
+      return
+    }
+
+    this.rememberQuery(this.input.value.trim())
+    this.openResult(option.dataset.url)
+  },
+
+  createOption(index) {
+    const option = document.createElement("div")
+    option.className = "search-result-item"
+    option.id = `search-option-${index}`
+    option.setAttribute("role", "option")
+    option.setAttribute("aria-selected", "false")
+    utils.addEventListenerSafe(option, "click", () => this.activateOption(option))
+    return option
+  },
+
+  getRecentQueries() {
+    try {
+      const recent = JSON.parse(localStorage.getItem(CONFIG.SEARCH_RECENT_KEY))
+      return Array.isArray(recent) ? recent.filter((query) => typeof query === "string") : []
+    } catch (error) {
+      return []
+    }
+  },
+
+  rememberQuery(query) {
+    if (!query) return
+    const recent = this.getRecentQueries().filter((item) => item.toLowerCase() !== query.toLowerCase())
+    recent.unshift(query)
+    try {
+      localStorage.setItem(CONFIG.SEARCH_RECENT_KEY, JSON.stringify(recent.slice(0, CONFIG.SEARCH_RECENT_MAX)))
+    } catch (error) {
+      console.warn("Recent searches could not be saved:", error)
+    }
+  },
+
+  displayRecentQueries() {
+    const recent = this.getRecentQueries()
+    this.lastQuery = ""
+    this.setActiveOption(-1)
+    this.results.textContent = ""
+
+    if (recent.length === 0) {
+      this.hideResults()
+      return
+    }
+
+    const label = document.createElement("div")
+    label.className = "search-results-label"
+    label.setAttribute("role", "presentation")
+    label.textContent = "Búsquedas recientes"
+    this.results.appendChild(label)
+
+    recent.forEach((query, index) => {
+      const option = this.createOption(index)
+      option.classList.add("search-recent")
+      option.dataset.query = query
+
+      const title = document.createElement("div")
+      title.className = "search-result-title"
+      title.textContent = `🕘 ${query}`
+      option.appendChild(title)
+      this.results.appendChild(option)
     })
+
+    this.results.classList.add("active")
+    this.input.setAttribute("aria-expanded", "true")
   },
 
   getSearchableContent() {
-    // Extract searchable content from the page
+    return this.index || this.extractEntries(document, utils.getCurrentPage())
+  },
+
+  // Extract searchable content from a page: each heading with the text that
+  // follows it up to the next heading
+  extractEntries(doc, page) {
     const content = []
+    const pageTitle = (doc.querySelector("title")?.textContent || page).split(" - ")[0].trim()
+    const headingSelector = "h1, h2, h3, h4, h5, h6"
+
+    doc.querySelectorAll("main h1, main h2, main h3, main h4, main h5, main h6").forEach((heading) => {
+      // Headings added by scripts after assignHeadingIds have nothing to link to
+      if (!heading.id) return
 
-    // Get all headings and their associated content
-    const headings = document.querySelectorAll("h1, h2, h3, h4, h5, h6")
-    headings.forEach((heading) => {
       let contentText = ""
       let nextElement = heading.nextElementSibling
 
       // Collect content until next heading
-      while (nextElement && !nextElement.matches("h1, h2, h3, h4, h5, h6")) {
+      while (nextElement && !nextElement.matches(headingSelector)) {
         if (nextElement.textContent) {
           contentText += nextElement.textContent + " "
         }
@@ -661,66 +1068,255 @@ const Search = {
       }
 
       content.push({
-        title: heading.textContent.trim(),
-        content: contentText.trim(),
-        element: heading,
-        url: window.location.href + "#" + (heading.id || ""),
+        page,
+        pageTitle,
+        title: heading.textContent.replace(/\s+/g, " ").trim(),
+        content: contentText.replace(/\s+/g, " ").trim(),
+        url: `${page}#${heading.id}`,
       })
     })
 
     return content
   },
 
-  displaySearchResults(results, query) {
-    const searchResults = utils.getElementById("search-results")
+  // Ranks every entry against the query. Each term must match the title or
+  // the body, either literally or within a small edit distance; title hits
+  // weigh more than body hits and exact hits more than fuzzy ones.
+  search(query) {
+    const terms = utils.normalizeText(query).split(/[^a-z0-9]+/).filter(Boolean)
+    if (terms.length === 0) return []
+    const phrase = terms.join(" ")
+
+    const results = []
+    this.getSearchableContent().forEach((entry) => {
+      const { title, content } = this.prepareEntry(entry)
+      let score = 0
+      const titleRanges = []
+      const contentRanges = []
+
+      for (const term of terms) {
+        const inTitle = this.matchTerm(term, title)
+        const inContent = this.matchTerm(term, content)
+        if (!inTitle && !inContent) return
+
+        if (inTitle) {
+          score += 10 * inTitle.quality
+          titleRanges.push(...inTitle.ranges)
+        }
+        if (inContent) {
+          score += 3 * inContent.quality + Math.min(inContent.ranges.length, 5) * 0.2
+          contentRanges.push(...inContent.ranges)
+        }
+      }
+
+      if (title.text === phrase) score += 10
+      else if (title.text.startsWith(phrase)) score += 5
+      if (terms.length > 1 && title.text.includes(phrase)) score += 8
+      if (terms.length > 1 && content.text.includes(phrase)) score += 2
+
+      results.push({ entry, score, titleRanges, contentRanges })
+    })
+
+    return results.sort((a, b) => b.score - a.score).slice(0, CONFIG.SEARCH_MAX_RESULTS)
+  },
+
+  // Normalized copies of an entry's fields, computed once per entry
+  prepareEntry(entry) {
+    this.prepared = this.prepared || new WeakMap()
+    let prepared = this.prepared.get(entry)
+    if (!prepared) {
+      prepared = { title: this.prepareField(entry.title), content: this.prepareField(entry.content) }
+      this.prepared.set(entry, prepared)
+    }
+    return prepared
+  },
+
+  // Folds the text one character at a time and keeps, for every folded
+  // character, its position in the original text so highlights can be
+  // placed on what the user actually sees.
+  prepareField(original) {
+    let text = ""
+    const map = []
+    for (let i = 0; i < original.length; i++) {
+      const folded = utils.normalizeText(original[i])
+      for (const char of folded) {
+        text += char
+        map.push(i)
+      }
+    }
+    map.push(original.length)
+
+    const words = []
+    for (const match of text.matchAll(/[a-z0-9]+/g)) {
+      words.push({ word: match[0], start: match.index, end: match.index + match[0].length })
+    }
+
+    return { original, text, map, words }
+  },
+
+  // Returns { quality, ranges } or null. Ranges are [start, end) positions in
+  // the folded text.
+  matchTerm(term, field) {
+    const ranges = []
+    let atWordStart = false
+    let index = field.text.indexOf(term)
+    while (index !== -1) {
+      ranges.push([index, index + term.length])
+      if (index === 0 || !/[a-z0-9]/.test(field.text[index - 1])) atWordStart = true
+      index = field.text.indexOf(term, index + term.length)
+    }
+    if (ranges.length > 0) {
+      return { quality: atWordStart ? 1 : 0.8, ranges }
+    }
+
+    // Typo tolerance grows with the length of the term
+    const maxTypos = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0
+    if (maxTypos === 0) return null
+
+    let best = Infinity
+    field.words.forEach(({ word, start, end }) => {
+      // Longer words are compared by their prefix too, so "transmi" still finds "transmisión"
+      if (term.length - word.length > maxTypos) return
+      const distance = Math.min(
+        this.editDistance(term, word, maxTypos),
+        this.editDistance(term, word.slice(0, term.length), maxTypos),
+      )
+      if (distance <= maxTypos) {
+        ranges.push([start, end])
+        best = Math.min(best, distance)
+      }
+    })
+
+    return ranges.length > 0 ? { quality: 0.6 - 0.15 * (best - 1), ranges } : null
+  },
+
+  // Edit distance counting a swap of adjacent letters ("dhpc") as a single
+  // typo. Gives up, returning max + 1, once every path exceeds max.
+  editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1
+
+    let beforePrevious = []
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i]
+      let rowMin = i
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1)
+        }
+        rowMin = Math.min(rowMin, current[j])
+      }
+      if (rowMin > max) return max + 1
+      beforePrevious = previous
+      previous = current
+    }
+    return previous[b.length]
+  },
+
+  displaySearchResults(results) {
+    const searchResults = this.results
     if (!searchResults) return
 
+    this.setActiveOption(-1)
+    searchResults.textContent = ""
+
     if (results.length === 0) {
       searchResults.innerHTML = `
-        <div class="search-result-item">
+        <div class="search-result-item" role="option" aria-disabled="true" aria-selected="false">
           <div class="search-result-title">No se encontraron resultados</div>
           <div class="search-result-snippet">Intenta con otros términos de búsqueda</div>
         </div>
       `
+      this.status.textContent = "No se encontraron resultados"
     } else {
-      searchResults.innerHTML = results
-        .map((result) => {
-          const snippet = this.highlightQuery(result.content.substring(0, 150) + "...", query)
-          const title = this.highlightQuery(result.title, query)
+      results.forEach(({ entry, titleRanges, contentRanges }, index) => {
+        const { title, content } = this.prepareEntry(entry)
+
+        const item = this.createOption(index)
+        item.dataset.url = entry.url
+
+        const titleElement = document.createElement("div")
+        titleElement.className = "search-result-title"
+        this.appendHighlighted(titleElement, title, titleRanges, 0, title.original.length)
+        if (entry.page !== utils.getCurrentPage()) {
+          const pageLabel = document.createElement("span")
+          pageLabel.className = "search-result-page"
+          pageLabel.textContent = entry.pageTitle
+          titleElement.append(" ", pageLabel)
+        }
 
-          return `
-          <div class="search-result-item" data-url="${result.url}">
-            <div class="search-result-title">${title}</div>
-            <div class="search-result-snippet">${snippet}</div>
-          </div>
-        `
-        })
-        .join("")
+        const snippetElement = document.createElement("div")
+        snippetElement.className = "search-result-snippet"
+        this.appendSnippet(snippetElement, content, contentRanges)
 
-      // Add click handlers to results
-      searchResults.querySelectorAll(".search-result-item").forEach((item) => {
-        utils.addEventListenerSafe(item, "click", () => {
-          const url = item.dataset.url
-          if (url && url.includes("#")) {
-            const elementId = url.split("#")[1]
-            const element = document.getElementById(elementId)
-            if (element) {
-              utils.scrollToElement(element)
-              searchResults.classList.remove("active")
-              document.querySelector(".search-container").classList.remove("active")
-            }
-          }
-        })
+        item.append(titleElement, snippetElement)
+        searchResults.appendChild(item)
       })
+      this.status.textContent = `${results.length} resultados. Usa las flechas para recorrerlos.`
     }
 
     searchResults.classList.add("active")
+    this.input.setAttribute("aria-expanded", "true")
+  },
+
+  // Shows a window of the body centred on the first match
+  appendSnippet(element, field, ranges) {
+    const length = CONFIG.SEARCH_SNIPPET_LENGTH
+    const firstMatch = ranges.length > 0 ? Math.min(...ranges.map(([start]) => field.map[start])) : 0
+    const from = Math.max(0, Math.min(firstMatch - Math.floor(length / 3), field.original.length - length))
+    const to = Math.min(field.original.length, from + length)
+
+    if (from > 0) element.append("…")
+    this.appendHighlighted(element, field, ranges, from, to)
+    if (to < field.original.length) element.append("…")
+  },
+
+  // Appends original[from, to) as text nodes, wrapping matched ranges in
+  // <mark>. Nothing is parsed as HTML, so the query cannot break the markup.
+  appendHighlighted(element, field, ranges, from, to) {
+    const merged = ranges
+      .map(([start, end]) => [field.map[start], field.map[end]])
+      .sort((a, b) => a[0] - b[0])
+      .reduce((acc, range) => {
+        const last = acc[acc.length - 1]
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1])
+        else acc.push([...range])
+        return acc
+      }, [])
+
+    let cursor = from
+    merged.forEach(([start, end]) => {
+      start = Math.max(start, from)
+      end = Math.min(end, to)
+      if (start >= end) return
+      if (start > cursor) element.append(field.original.slice(cursor, start))
+      const mark = document.createElement("mark")
+      mark.textContent = field.original.slice(start, end)
+      element.appendChild(mark)
+      cursor = end
+    })
+    if (cursor < to) element.append(field.original.slice(cursor, to))
   },
 
-  highlightQuery(text, query) {
-    if (!query) return text
-    const regex = new RegExp(`(${query})`, "gi")
-    return text.replace(regex, "<mark>$1</mark>")
+  // Results on the current page scroll in place; the rest navigate to page.html#anchor
+  openResult(url) {
+    if (!url) return
+    const [page, anchor] = url.split("#")
+
+    if (page !== utils.getCurrentPage()) {
+      window.location.href = url
+      return
+    }
+
+    const element = document.getElementById(anchor)
+    if (element) {
+      OSITabs.reveal(element)
+      utils.scrollToElement(element)
+      history.replaceState(null, "", "#" + anchor)
+    }
+    this.close()
   },
 }
 
@@ -739,221 +1335,7353 @@ window.scrollToSection = (sectionId) => {
 }
 
 
-function calculateTransferTime() {
-  const fileSize = parseFloat(document.getElementById("fileSize").value); // MB
-  const bandwidth = parseFloat(document.getElementById("bandwidth").value); // Mbps
-  const resultBox = document.getElementById("result");
-  const explanationBox = document.getElementById("calc-explanation");
-
-  // Reset
-  resultBox.className = "calc-result";
-  resultBox.innerHTML = "";
-  explanationBox.innerHTML = "";
-
-  if (isNaN(fileSize) || isNaN(bandwidth) || fileSize <= 0 || bandwidth <= 0) {
-    resultBox.classList.add("error");
-    resultBox.innerHTML = "<p class='calc-message'>⚠️ Por favor ingresa valores válidos.</p>";
-    return;
-  }
-
-  // Conversión: MB -> Megabits
-  const fileSizeMb = fileSize * 8; // 1 byte = 8 bits → 1 MB = 8 Mb
-  const timeSeconds = fileSizeMb / bandwidth;
-
-  // Resultado
-  resultBox.classList.add("success");
-  resultBox.innerHTML = `<p class="calc-message">⏱️ Tiempo estimado: <strong>${timeSeconds.toFixed(2)} segundos</strong></p>`;
+// ===== BANDWIDTH MODULE =====
+const Bandwidth = {
+  // Bytes per unit. KB/MB/GB use powers of 10 (as the "Tabla de
+  // Conversiones"); KiB/MiB/GiB use powers of 2, which is what most operating
+  // systems actually report when they say "MB".
+  SIZE_UNITS: {
+    B: 1,
+    KB: 1e3,
+    MB: 1e6,
+    GB: 1e9,
+    TB: 1e12,
+    KiB: 2 ** 10,
+    MiB: 2 ** 20,
+    GiB: 2 ** 30,
+    TiB: 2 ** 40,
+  },
 
-  // Explicación adicional
-  if (timeSeconds < 60) {
-    explanationBox.innerHTML = `El archivo de ${fileSize} MB se transfiere en menos de un minuto con ${bandwidth} Mbps.`;
-  } else if (timeSeconds < 3600) {
-    const minutes = (timeSeconds / 60).toFixed(1);
-    explanationBox.innerHTML = `El archivo de ${fileSize} MB tardará aproximadamente ${minutes} minutos a ${bandwidth} Mbps.`;
-  } else {
-    const hours = (timeSeconds / 3600).toFixed(1);
-    explanationBox.innerHTML = `La transferencia del archivo de ${fileSize} MB puede tardar unas ${hours} horas a ${bandwidth} Mbps.`;
-  }
-}
+  // Bits per second per unit
+  RATE_UNITS: {
+    bps: 1,
+    Kbps: 1e3,
+    Mbps: 1e6,
+    Gbps: 1e9,
+    Tbps: 1e12,
+  },
 
-window.toggleLayer = (layerCard) => {
-  if (!layerCard) return
+  // Bytes each Ethernet frame adds around the IP packet: header (14),
+  // FCS (4), preamble + SFD (8) and the inter-frame gap (12)
+  ETHERNET_OVERHEAD: 38,
+  TCP_IP_HEADERS: 40,
 
-  const layerDetails = layerCard.querySelector(".layer-details")
-  const toggleButton = layerCard.querySelector(".layer-toggle")
+  // Share of the raw link rate left for data once TCP/IPv4 and Ethernet
+  // framing are paid for: 1460 / 1538 ≈ 94.9% with the usual 1500-byte MTU
+  protocolEfficiency(mtu = 1500) {
+    const payload = mtu - this.TCP_IP_HEADERS
+    return payload / (mtu + this.ETHERNET_OVERHEAD)
+  },
 
-  if (!layerDetails || !toggleButton) return
+  toBits(size, unit) {
+    return size * this.SIZE_UNITS[unit] * 8
+  },
 
-  const isExpanded = !layerDetails.hidden
+  toBitsPerSecond(rate, unit) {
+    return rate * this.RATE_UNITS[unit]
+  },
 
-  // Toggle visibility
-  layerDetails.hidden = isExpanded
-  toggleButton.textContent = isExpanded ? "+" : "−"
-  toggleButton.setAttribute("aria-expanded", !isExpanded)
+  // Ideal time is bits / rate. The realistic one divides the rate by the
+  // protocol and link efficiencies and adds two round trips before the first
+  // byte arrives (TCP handshake + request).
+  transferTime({ size, sizeUnit, rate, rateUnit, overhead = true, mtu = 1500, efficiency = 100, latencyMs = 0 }) {
+    const bits = this.toBits(size, sizeUnit)
+    const bitsPerSecond = this.toBitsPerSecond(rate, rateUnit)
+    const protocolEfficiency = overhead ? this.protocolEfficiency(mtu) : 1
+    const effectiveRate = bitsPerSecond * protocolEfficiency * (efficiency / 100)
+
+    return {
+      bits,
+      bitsPerSecond,
+      protocolEfficiency,
+      effectiveRate,
+      idealSeconds: bits / bitsPerSecond,
+      realisticSeconds: bits / effectiveRate + (2 * latencyMs) / 1000,
+    }
+  },
 
-  // Update ARIA label
-  const layerTitle = layerCard.querySelector(".layer-title")?.textContent || "capa"
-  toggleButton.setAttribute("aria-label", isExpanded ? `Expandir ${layerTitle}` : `Contraer ${layerTitle}`)
+  // 3725.5 -> "1 h 2 min 5,5 s"
+  formatDuration(seconds) {
+    if (!Number.isFinite(seconds)) return "∞"
+    if (seconds < 1) return `${(seconds * 1000).toLocaleString("es-AR", { maximumFractionDigits: 1 })} ms`
+
+    // Round first so 59.96 s becomes "1 min" rather than "60 s"
+    seconds = seconds >= 3600 ? Math.round(seconds) : Math.round(seconds * 10) / 10
+    const days = Math.floor(seconds / 86400)
+    const hours = Math.floor((seconds % 86400) / 3600)
+    const minutes = Math.floor((seconds % 3600) / 60)
+    const rest = seconds % 60
+
+    const parts = []
+    if (days) parts.push(`${days} d`)
+    if (hours) parts.push(`${hours} h`)
+    if (minutes) parts.push(`${minutes} min`)
+    if (rest >= 0.05 || parts.length === 0) {
+      parts.push(`${rest.toLocaleString("es-AR", { maximumFractionDigits: days || hours ? 0 : 1 })} s`)
+    }
+    return parts.join(" ")
+  },
 
-  // Smooth animation
-  if (!isExpanded) {
-    layerDetails.style.maxHeight = "0"
-    layerDetails.style.opacity = "0"
-    layerDetails.hidden = false
+  // Reverse of transferTime: link rate needed to move `size` within `seconds`
+  requiredRate({ size, sizeUnit, seconds, overhead = true, mtu = 1500, efficiency = 100, latencyMs = 0 }) {
+    const bits = this.toBits(size, sizeUnit)
+    const protocolEfficiency = overhead ? this.protocolEfficiency(mtu) : 1
+    const transferSeconds = seconds - (2 * latencyMs) / 1000
+
+    return {
+      bits,
+      protocolEfficiency,
+      idealRate: bits / seconds,
+      realisticRate: transferSeconds > 0 ? bits / transferSeconds / (protocolEfficiency * (efficiency / 100)) : Infinity,
+    }
+  },
 
-    // Force reflow
-    layerDetails.offsetHeight
+  // Reverse of transferTime: bytes that fit in `seconds` at the given rate
+  transferableSize({ seconds, rate, rateUnit, overhead = true, mtu = 1500, efficiency = 100, latencyMs = 0 }) {
+    const bitsPerSecond = this.toBitsPerSecond(rate, rateUnit)
+    const protocolEfficiency = overhead ? this.protocolEfficiency(mtu) : 1
+    const transferSeconds = Math.max(0, seconds - (2 * latencyMs) / 1000)
+
+    return {
+      bitsPerSecond,
+      protocolEfficiency,
+      idealBytes: (bitsPerSecond * seconds) / 8,
+      realisticBytes: (bitsPerSecond * protocolEfficiency * (efficiency / 100) * transferSeconds) / 8,
+    }
+  },
 
-    layerDetails.style.transition = "max-height 0.3s ease, opacity 0.3s ease"
-    layerDetails.style.maxHeight = layerDetails.scrollHeight + "px"
-    layerDetails.style.opacity = "1"
-  } else {
-    layerDetails.style.transition = "max-height 0.3s ease, opacity 0.3s ease"
-    layerDetails.style.maxHeight = "0"
-    layerDetails.style.opacity = "0"
+  // 1234567890 -> "1,23 GB"
+  formatSize(bytes) {
+    const units = ["TB", "GB", "MB", "KB"]
+    const unit = units.find((name) => bytes >= this.SIZE_UNITS[name])
+    if (!unit) return `${Math.floor(bytes).toLocaleString("es-AR")} B`
+    return `${(bytes / this.SIZE_UNITS[unit]).toLocaleString("es-AR", { maximumFractionDigits: 2 })} ${unit}`
+  },
 
-    setTimeout(() => {
-      layerDetails.hidden = true
-      layerDetails.style.maxHeight = ""
-      layerDetails.style.opacity = ""
-      layerDetails.style.transition = ""
-    }, 300)
-  }
+  // 12500000 -> "12,5 Mbps"
+  formatRate(bitsPerSecond) {
+    const [unit, factor] = Object.entries(this.RATE_UNITS)
+      .reverse()
+      .find(([, value]) => bitsPerSecond >= value) || ["bps", 1]
+    return `${(bitsPerSecond / factor).toLocaleString("es-AR", { maximumFractionDigits: 2 })} ${unit}`
+  },
 }
 
-window.checkAnswer = (button, isCorrect) => {
-  if (!button) return
+// Nominal rates of the media described on medios-de-transmision.html
+const TRANSMISSION_MEDIA = [
+  { group: "UTP", name: "CAT 5", rate: 100e6 },
+  { group: "UTP", name: "CAT 5E", rate: 1e9 },
+  { group: "UTP", name: "CAT 6", rate: 1e9 },
+  { group: "UTP", name: "CAT 6A", rate: 10e9 },
+  { group: "Coaxial", name: "Cable coaxial", rate: 100e6 },
+  { group: "Fibra óptica", name: "Multimodo (10GBASE-SR)", rate: 10e9 },
+  { group: "Fibra óptica", name: "Monomodo (100GBASE-LR4)", rate: 100e9 },
+  { group: "WiFi", name: "802.11b", rate: 11e6 },
+  { group: "WiFi", name: "802.11a / g", rate: 54e6 },
+  { group: "WiFi", name: "802.11n", rate: 210e6 },
+  { group: "WiFi", name: "802.11ac", rate: 1.3e9 },
+  { group: "WiFi", name: "802.11ax (WiFi 6)", rate: 9.6e9 },
+  { group: "Ethernet", name: "10BASE-T", rate: 10e6 },
+  { group: "Ethernet", name: "100BASE-TX", rate: 100e6 },
+  { group: "Ethernet", name: "1000BASE-T", rate: 1e9 },
+  { group: "Ethernet", name: "10GBASE-T", rate: 10e9 },
+]
+
+const BandwidthCalculator = {
+  TIME_UNITS: { s: 1, min: 60, h: 3600 },
 
-  const quizOptions = document.querySelectorAll(".quiz-option")
-  const feedbackDiv = utils.getElementById("quiz-feedback")
+  init() {
+    this.form = document.querySelector("#bandwidth-calculator .calculator-form")
+    if (!this.form) return
 
-  if (!feedbackDiv) return
+    document.querySelectorAll('input[name="calcMode"]').forEach((radio) => {
+      utils.addEventListenerSafe(radio, "change", () => this.updateMode())
+    })
+    this.updateMode()
+  },
 
-  // Disable all options
-  quizOptions.forEach((option) => {
-    option.disabled = true
-    option.classList.remove("correct", "incorrect")
-  })
+  getMode() {
+    return document.querySelector('input[name="calcMode"]:checked')?.value || "time"
+  },
 
-  // Mark correct and incorrect answers
-  if (isCorrect) {
-    button.classList.add("correct")
-    feedbackDiv.innerHTML = `
-      <div class="feedback-correct">
-        <strong>¡Correcto!</strong> Los routers operan en la Capa 3 (Red) del modelo OSI, 
-        donde se encargan del enrutamiento y direccionamiento lógico de paquetes.
-      </div>
-    `
-  } else {
-    button.classList.add("incorrect")
-    // Find and highlight the correct answer
-    quizOptions.forEach((option) => {
-      if (option.onclick && option.onclick.toString().includes("true")) {
-        option.classList.add("correct")
-      }
+  // Shows only the inputs the selected question needs
+  updateMode() {
+    const mode = this.getMode()
+    this.form.querySelectorAll("[data-modes]").forEach((group) => {
+      group.hidden = !group.dataset.modes.split(" ").includes(mode)
     })
+    const labels = { time: "Calcular Tiempo de Transferencia", rate: "Calcular Ancho de Banda Necesario", size: "Calcular Tamaño Transferible" }
+    const button = this.form.querySelector(".btn-primary")
+    if (button) button.textContent = labels[mode]
+  },
 
-    feedbackDiv.innerHTML = `
-      <div class="feedback-incorrect">
-        <strong>Incorrecto.</strong> Los routers operan en la Capa 3 (Red) del modelo OSI. 
-        La respuesta correcta está marcada en verde.
-      </div>
-    `
-  }
+  readValue(id) {
+    return parseFloat(document.getElementById(id)?.value)
+  },
 
-  feedbackDiv.classList.remove("hidden")
+  // Empty fields fall back to the defaults; a typed 0 is kept so it can be
+  // rejected
+  readConditions() {
+    const valueOr = (id, fallback) => {
+      const value = this.readValue(id)
+      return Number.isNaN(value) ? fallback : value
+    }
+    return {
+      overhead: document.getElementById("includeOverhead")?.checked ?? false,
+      mtu: valueOr("mtu", 1500),
+      efficiency: valueOr("linkEfficiency", 100),
+      latencyMs: valueOr("latency", 0),
+    }
+  },
 
-  // Reset quiz after 5 seconds
-  setTimeout(() => {
-    quizOptions.forEach((option) => {
-      option.disabled = false
-      option.classList.remove("correct", "incorrect")
-    })
-    feedbackDiv.classList.add("hidden")
-    feedbackDiv.innerHTML = ""
-  }, 5000)
+  calculate() {
+    const resultBox = document.getElementById("result")
+    const explanationBox = document.getElementById("calc-explanation")
+    const comparisonBox = document.getElementById("media-comparison")
+
+    // Reset
+    resultBox.className = "calc-result"
+    resultBox.innerHTML = ""
+    explanationBox.innerHTML = ""
+    if (comparisonBox) comparisonBox.innerHTML = ""
+
+    const mode = this.getMode()
+    const conditions = this.readConditions()
+    const size = this.readValue("fileSize")
+    const rate = this.readValue("bandwidth")
+    const time = this.readValue("targetTime")
+    const needed = { time: [size, rate], rate: [size, time], size: [rate, time] }[mode]
+
+    if (needed.some((value) => isNaN(value) || value <= 0)) {
+      this.showError(resultBox, "⚠️ Por favor ingresa valores válidos.")
+      return
+    }
+    const { mtu, efficiency, latencyMs } = conditions
+    if (mtu < 576 || mtu > 9000 || efficiency <= 0 || efficiency > 100) {
+      this.showError(resultBox, "⚠️ El MTU debe estar entre 576 y 9000 bytes y la eficiencia entre 1 y 100%.")
+      return
+    }
+    if (latencyMs < 0) {
+      this.showError(resultBox, "⚠️ La latencia no puede ser negativa.")
+      return
+    }
+
+    const input = {
+      ...conditions,
+      size,
+      sizeUnit: document.getElementById("fileSizeUnit")?.value || "MB",
+      rate,
+      rateUnit: document.getElementById("bandwidthUnit")?.value || "Mbps",
+      seconds: time * this.TIME_UNITS[document.getElementById("targetTimeUnit")?.value || "s"],
+    }
+
+    resultBox.classList.add("success")
+    // Each solver returns its explanation steps, or null after showing an error
+    const steps = { time: () => this.solveTime(input, resultBox), rate: () => this.solveRate(input, resultBox), size: () => this.solveSize(input, resultBox) }[mode]()
+    if (!steps) return
+    explanationBox.innerHTML = steps.map((step) => `<span class="calc-step">${step}</span>`).join("")
+
+    if (comparisonBox) comparisonBox.innerHTML = this.renderComparison(mode, input)
+  },
+
+  showError(resultBox, message) {
+    resultBox.className = "calc-result error"
+    resultBox.innerHTML = `<p class='calc-message'>${message}</p>`
+  },
+
+  number(value, digits = 2) {
+    return value.toLocaleString("es-AR", { maximumFractionDigits: digits })
+  },
+
+  // Explanation lines shared by every mode
+  conditionSteps({ overhead, mtu, efficiency, latencyMs, sizeUnit }, protocolEfficiency, withSizeNote) {
+    const steps = []
+    if (overhead) {
+      steps.push(
+        `Cada trama de ${mtu + Bandwidth.ETHERNET_OVERHEAD} bytes en el cable lleva ${mtu - Bandwidth.TCP_IP_HEADERS} bytes de datos ` +
+          `(${this.number(protocolEfficiency * 100, 1)}%): el resto son cabeceras TCP/IP y Ethernet.`,
+      )
+    }
+    if (efficiency < 100) {
+      steps.push(`Se considera una eficiencia del enlace del ${this.number(efficiency, 0)}%.`)
+    }
+    if (latencyMs > 0) {
+      steps.push(`Se suman 2 × ${this.number(latencyMs, 0)} ms de latencia (handshake TCP y solicitud) antes del primer byte.`)
+    }
+    if (withSizeNote && (sizeUnit === "MB" || sizeUnit === "GB")) {
+      steps.push(
+        `Ojo: si tu sistema operativo muestra "${sizeUnit}", probablemente sean ${sizeUnit.replace("B", "iB")} (potencias de 2), un ${sizeUnit === "MB" ? "4,9" : "7,4"}% más grandes.`,
+      )
+    }
+    return steps
+  },
+
+  solveTime(input, resultBox) {
+    const result = Bandwidth.transferTime(input)
+
+    resultBox.innerHTML = `
+      <p class="calc-message">⏱️ Tiempo ideal: <strong>${Bandwidth.formatDuration(result.idealSeconds)}</strong></p>
+      <p class="calc-message">🌐 Tiempo realista: <strong>${Bandwidth.formatDuration(result.realisticSeconds)}</strong></p>
+    `
+
+    return [
+      `${this.number(input.size)} ${input.sizeUnit} = ${this.number(input.size * Bandwidth.SIZE_UNITS[input.sizeUnit], 0)} bytes × 8 = ${this.number(result.bits, 0)} bits.`,
+      `Ideal: ${this.number(result.bits, 0)} bits ÷ ${Bandwidth.formatRate(result.bitsPerSecond)} = ${this.number(result.idealSeconds)} s.`,
+      ...this.conditionSteps(input, result.protocolEfficiency, true),
+      input.efficiency < 100 || input.overhead ? `Quedan ${Bandwidth.formatRate(result.effectiveRate)} útiles para los datos.` : "",
+    ].filter(Boolean)
+  },
+
+  solveRate(input, resultBox) {
+    const result = Bandwidth.requiredRate(input)
+
+    if (!Number.isFinite(result.realisticRate)) {
+      this.showError(resultBox, "⚠️ La latencia consume todo el tiempo disponible; no hay ancho de banda que alcance.")
+      return null
+    }
+
+    resultBox.innerHTML = `
+      <p class="calc-message">📶 Ancho de banda ideal: <strong>${Bandwidth.formatRate(result.idealRate)}</strong></p>
+      <p class="calc-message">🌐 Ancho de banda realista: <strong>${Bandwidth.formatRate(result.realisticRate)}</strong></p>
+    `
+
+    return [
+      `${this.number(input.size)} ${input.sizeUnit} = ${this.number(result.bits, 0)} bits.`,
+      `Ideal: ${this.number(result.bits, 0)} bits ÷ ${this.number(input.seconds)} s = ${Bandwidth.formatRate(result.idealRate)}.`,
+      ...this.conditionSteps(input, result.protocolEfficiency, true),
+    ]
+  },
+
+  solveSize(input, resultBox) {
+    const result = Bandwidth.transferableSize(input)
+
+    resultBox.innerHTML = `
+      <p class="calc-message">📦 Tamaño ideal: <strong>${Bandwidth.formatSize(result.idealBytes)}</strong></p>
+      <p class="calc-message">🌐 Tamaño realista: <strong>${Bandwidth.formatSize(result.realisticBytes)}</strong></p>
+    `
+
+    return [
+      `Ideal: ${Bandwidth.formatRate(result.bitsPerSecond)} × ${this.number(input.seconds)} s ÷ 8 = ${this.number(result.idealBytes, 0)} bytes.`,
+      ...this.conditionSteps(input, result.protocolEfficiency, false),
+    ]
+  },
+
+  // Runs the same question over every medium in TRANSMISSION_MEDIA at its
+  // nominal rate, with the conditions set in the form
+  renderComparison(mode, input) {
+    const headers = {
+      time: ["Tiempo ideal", "Tiempo realista"],
+      rate: ["¿Alcanza?"],
+      size: ["Tamaño ideal", "Tamaño realista"],
+    }[mode]
+    const required = mode === "rate" ? Bandwidth.requiredRate(input).realisticRate : 0
+
+    const rows = TRANSMISSION_MEDIA.map((medium) => {
+      const mediumInput = { ...input, rate: medium.rate, rateUnit: "bps" }
+      let cells
+      if (mode === "time") {
+        const result = Bandwidth.transferTime(mediumInput)
+        cells = [Bandwidth.formatDuration(result.idealSeconds), Bandwidth.formatDuration(result.realisticSeconds)]
+      } else if (mode === "rate") {
+        cells = [medium.rate >= required ? "✓ Sí" : "✗ No"]
+      } else {
+        const result = Bandwidth.transferableSize(mediumInput)
+        cells = [Bandwidth.formatSize(result.idealBytes), Bandwidth.formatSize(result.realisticBytes)]
+      }
+
+      return `
+        <tr class="${mode === "rate" && medium.rate < required ? "media-insufficient" : ""}">
+          <td>${medium.group}</td>
+          <td>${medium.name}</td>
+          <td>${Bandwidth.formatRate(medium.rate)}</td>
+          ${cells.map((cell) => `<td>${cell}</td>`).join("")}
+        </tr>`
+    }).join("")
+
+    return `
+      <h3 class="subsection-title">Comparación entre medios</h3>
+      <div class="table-responsive">
+        <table class="speed-table">
+          <thead>
+            <tr>
+              <th scope="col">Tipo</th>
+              <th scope="col">Medio</th>
+              <th scope="col">Velocidad nominal</th>
+              ${headers.map((header) => `<th scope="col">${header}</th>`).join("")}
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <p class="calc-explanation">Velocidades nominales; en WiFi el rendimiento real suele ser la mitad porque el medio es compartido y half-duplex.</p>
+    `
+  },
+}
+
+function calculateTransferTime() {
+  BandwidthCalculator.calculate()
+}
+
+window.toggleLayer = (layerCard) => {
+  if (!layerCard) return
+
+  const layerDetails = layerCard.querySelector(".layer-details")
+  const toggleButton = layerCard.querySelector(".layer-toggle")
+
+  if (!layerDetails || !toggleButton) return
+
+  const isExpanded = !layerDetails.hidden
+
+  // Toggle visibility
+  layerDetails.hidden = isExpanded
+  toggleButton.textContent = isExpanded ? "+" : "−"
+  toggleButton.setAttribute("aria-expanded", !isExpanded)
+
+  // Update ARIA label
+  const layerTitle = layerCard.querySelector(".layer-title")?.textContent || "capa"
+  toggleButton.setAttribute("aria-label", isExpanded ? `Expandir ${layerTitle}` : `Contraer ${layerTitle}`)
+
+  // Smooth animation
+  if (!isExpanded) {
+    layerDetails.style.maxHeight = "0"
+    layerDetails.style.opacity = "0"
+    layerDetails.hidden = false
+
+    // Force reflow
+    layerDetails.offsetHeight
+
+    layerDetails.style.transition = "max-height 0.3s ease, opacity 0.3s ease"
+    layerDetails.style.maxHeight = layerDetails.scrollHeight + "px"
+    layerDetails.style.opacity = "1"
+  } else {
+    layerDetails.style.transition = "max-height 0.3s ease, opacity 0.3s ease"
+    layerDetails.style.maxHeight = "0"
+    layerDetails.style.opacity = "0"
+
+    setTimeout(() => {
+      layerDetails.hidden = true
+      layerDetails.style.maxHeight = ""
+      layerDetails.style.opacity = ""
+      layerDetails.style.transition = ""
+    }, 300)
+  }
+}
+
+// ===== QUIZ ENGINE =====
+// Renders every [data-quiz] container from the JSON question bank it points to:
+// { "title": "...", "questions": [{ "question": "...", "type": "single" | "multiple",
+//   "options": [{ "text": "...", "correct": true, "explanation": "..." }] }] }
+const Quiz = {
+  init() {
+    document.querySelectorAll("[data-quiz]").forEach((container) => this.load(container))
+  },
+
+  async load(container) {
+    try {
+      const response = await fetch(container.dataset.quiz)
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} fetching ${container.dataset.quiz}`)
+      }
+
+      container.quiz = { bank: this.validate(await response.json()) }
+      utils.addEventListenerSafe(container, "click", (e) => this.handleClick(container, e))
+      this.start(container)
+    } catch (error) {
+      console.error("Quiz could not be loaded:", error)
+      container.innerHTML = `<p class="error">No se pudieron cargar las preguntas. Abrí el sitio desde un servidor web para ver el cuestionario.</p>`
+    }
+  },
+
+  validate(bank) {
+    if (!bank || !Array.isArray(bank.questions) || bank.questions.length === 0) {
+      throw new Error("Question bank has no questions")
+    }
+
+    bank.questions.forEach((question, index) => {
+      const correct = (question.options || []).filter((option) => option.correct).length
+      if (!question.question || !Array.isArray(question.options) || question.options.length < 2 || correct === 0) {
+        throw new Error(`Question ${index + 1} needs text, two options and a correct answer`)
+      }
+      question.type = question.type || (correct > 1 ? "multiple" : "single")
+      if (question.type === "single" && correct !== 1) {
+        throw new Error(`Single-choice question ${index + 1} has ${correct} correct options`)
+      }
+    })
+    return bank
+  },
+
+  // Fisher-Yates on a copy
+  shuffle(items) {
+    const result = [...items]
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      const temp = result[i]
+      result[i] = result[j]
+      result[j] = temp
+    }
+    return result
+  },
+
+  start(container) {
+    const state = container.quiz
+    state.questions = state.bank.questions.map((question) => ({ ...question, options: this.shuffle(question.options) }))
+    state.results = []
+    this.render(container)
+  },
+
+  render(container) {
+    const { bank, questions } = container.quiz
+
+    container.innerHTML = `
+      <div class="quiz-header">
+        ${bank.title ? `<h3 class="quiz-heading">${utils.escapeHTML(bank.title)}</h3>` : ""}
+        <p class="quiz-score" aria-live="polite"></p>
+      </div>
+      <ol class="quiz-list">
+        ${questions.map((question, index) => this.renderQuestion(question, index)).join("")}
+      </ol>
+      <button type="button" class="calculate-btn quiz-restart">Reiniciar cuestionario</button>
+    `
+    this.updateScore(container)
+  },
+
+  renderQuestion(question, index) {
+    const multiple = question.type === "multiple"
+
+    return `
+      <li class="quiz-question" data-question="${index}">
+        <p class="quiz-title">${utils.escapeHTML(question.question)}</p>
+        ${multiple ? `<p class="quiz-hint">Seleccioná todas las opciones correctas.</p>` : ""}
+        <div class="quiz-options" role="group" aria-label="${utils.escapeHTML(question.question)}">
+          ${question.options
+            .map(
+              (option, optionIndex) => `
+            <button type="button" class="quiz-option" data-option="${optionIndex}"${multiple ? ' aria-pressed="false"' : ""}>
+              ${utils.escapeHTML(option.text)}
+            </button>`,
+            )
+            .join("")}
+        </div>
+        ${multiple ? `<button type="button" class="calculate-btn quiz-check" disabled>Comprobar respuesta</button>` : ""}
+        <div class="quiz-feedback" aria-live="polite"></div>
+      </li>
+    `
+  },
+
+  handleClick(container, e) {
+    if (e.target.closest(".quiz-restart")) {
+      this.start(container)
+      return
+    }
+
+    const item = e.target.closest(".quiz-question")
+    if (!item) return
+    const index = Number(item.dataset.question)
+    const question = container.quiz.questions[index]
+
+    const option = e.target.closest(".quiz-option")
+    if (option && !option.disabled) {
+      if (question.type === "multiple") {
+        option.setAttribute("aria-pressed", String(option.getAttribute("aria-pressed") !== "true"))
+        item.querySelector(".quiz-check").disabled = !item.querySelector('.quiz-option[aria-pressed="true"]')
+      } else {
+        this.grade(container, item, [Number(option.dataset.option)])
+      }
+      return
+    }
+
+    const check = e.target.closest(".quiz-check")
+    if (check && !check.disabled) {
+      const selected = [...item.querySelectorAll('.quiz-option[aria-pressed="true"]')].map((button) => Number(button.dataset.option))
+      this.grade(container, item, selected)
+    }
+  },
+
+  // A question scores only when the selection matches the correct set exactly
+  grade(container, item, selected) {
+    const state = container.quiz
+    const index = Number(item.dataset.question)
+    const question = state.questions[index]
+    const isCorrect = question.options.every((option, optionIndex) => Boolean(option.correct) === selected.includes(optionIndex))
+
+    state.results[index] = isCorrect
+
+    item.querySelectorAll(".quiz-option").forEach((button) => {
+      const option = question.options[Number(button.dataset.option)]
+      const wasSelected = selected.includes(Number(button.dataset.option))
+      button.disabled = true
+      if (option.correct) {
+        button.classList.add("correct")
+      } else if (wasSelected) {
+        button.classList.add("incorrect")
+      }
+    })
+    const check = item.querySelector(".quiz-check")
+    if (check) check.disabled = true
+
+    const explanations = question.options
+      .map((option, optionIndex) => ({ ...option, selected: selected.includes(optionIndex) }))
+      .filter((option) => option.explanation)
+      .map(
+        (option) => `
+          <li class="${option.correct ? "explanation-correct" : "explanation-incorrect"}${option.selected ? " explanation-selected" : ""}">
+            <strong>${option.correct ? "✓" : "✗"} ${utils.escapeHTML(option.text)}:</strong> ${utils.escapeHTML(option.explanation)}
+          </li>`,
+      )
+      .join("")
+
+    item.querySelector(".quiz-feedback").innerHTML = `
+      <div class="${isCorrect ? "feedback-correct" : "feedback-incorrect"}">
+        <strong>${isCorrect ? "¡Correcto!" : "Incorrecto."}</strong>
+        ${isCorrect ? "" : "La respuesta correcta está marcada en verde."}
+        ${explanations ? `<ul class="quiz-explanations">${explanations}</ul>` : ""}
+      </div>
+    `
+    this.updateScore(container)
+  },
+
+  updateScore(container) {
+    const { questions, results } = container.quiz
+    const answered = results.filter((result) => result !== undefined).length
+    const score = results.filter(Boolean).length
+    const scoreBox = container.querySelector(".quiz-score")
+
+    if (answered === questions.length) {
+      scoreBox.textContent = `Terminaste: ${score} de ${questions.length} correctas (${Math.round((score / questions.length) * 100)}%)`
+      LearningProgress.recordQuiz(container.dataset.quiz, container.quiz.bank.title, score, questions.length)
+    } else {
+      scoreBox.textContent = `Puntaje: ${score} / ${questions.length} · Respondidas: ${answered}`
+    }
+  },
+}
+
+const ProgressBar = {
+  init() {
+    this.progressBar = utils.getElementById("progressBar")
+    if (this.progressBar) {
+      this.updateProgress()
+      utils.addEventListenerSafe(
+        window,
+        "scroll",
+        utils.throttle(() => {
+          this.updateProgress()
+        }, 16),
+      )
+    }
+  },
+
+  updateProgress() {
+    if (!this.progressBar) return
+
+    const scrollTop = window.pageYOffset
+    const docHeight = document.documentElement.scrollHeight - window.innerHeight
+    const scrollPercent = (scrollTop / docHeight) * 100
+
+    this.progressBar.style.width = Math.min(scrollPercent, 100) + "%"
+  },
+}
+
+// ===== LEARNING PROGRESS MODULE =====
+// Sections read, OSI layers opened and quiz/exercise scores, kept per browser
+// in localStorage. Students carry it between machines with export/import.
+const LearningProgress = {
+  DASHBOARD_PAGE: "index.html",
+  OSI_LAYERS: 7,
+
+  init() {
+    const page = utils.getCurrentPage()
+    if (page !== this.DASHBOARD_PAGE) {
+      const sectionIds = [...document.querySelectorAll("section[id]")].map((section) => section.id)
+      if (sectionIds.length > 0) {
+        const entry = this.getPage(page)
+        entry.available = sectionIds
+        entry.sections = entry.sections.filter((id) => sectionIds.includes(id))
+        this.save()
+      }
+    }
+
+    this.renderBadges()
+    this.initDashboard()
+  },
+
+  emptyData() {
+    return { version: CONFIG.PROGRESS_VERSION, pages: {}, osiLayers: [], quizzes: {}, exercises: {} }
+  },
+
+  // Accepts stored or imported data; anything unrecognised is dropped,
+  // including keys that would reach Object.prototype
+  normalize(data) {
+    if (!data || typeof data !== "object" || data.version !== CONFIG.PROGRESS_VERSION) {
+      throw new Error("El archivo no contiene un progreso válido de este sitio")
+    }
+
+    const result = this.emptyData()
+    const strings = (list) => (Array.isArray(list) ? list.filter((item) => typeof item === "string") : [])
+    const isScore = (value) => value && Number.isInteger(value.score) && Number.isInteger(value.total) && value.total > 0
+    const entries = (object) =>
+      Object.entries(object && typeof object === "object" ? object : {}).filter(
+        ([key]) => !["__proto__", "constructor", "prototype"].includes(key),
+      )
+
+    entries(data.pages).forEach(([page, entry]) => {
+      result.pages[page] = { sections: strings(entry?.sections), available: strings(entry?.available) }
+    })
+    result.osiLayers = (Array.isArray(data.osiLayers) ? data.osiLayers : []).filter(
+      (layer) => Number.isInteger(layer) && layer >= 1 && layer <= this.OSI_LAYERS,
+    )
+    // Quizzes are keyed by question bank; older data was keyed by page
+    entries(data.quizzes).forEach(([id, quiz]) => {
+      if (isScore(quiz)) {
+        result.quizzes[id] = {
+          page: typeof quiz.page === "string" ? quiz.page : id,
+          title: typeof quiz.title === "string" ? quiz.title : "",
+          score: quiz.score,
+          total: quiz.total,
+          best: Math.max(quiz.best || 0, quiz.score),
+          attempts: quiz.attempts || 1,
+        }
+      }
+    })
+    // Exercises are keyed "level:slot"; older data also had the seed in the
+    // middle, so those collapse into their slot keeping the best score
+    entries(data.exercises).forEach(([key, exercise]) => {
+      if (!isScore(exercise)) return
+      const slot = key.replace(/^([^:]+):.+:(\d+)$/, "$1:$2")
+      if (!result.exercises[slot] || result.exercises[slot].score < exercise.score) {
+        result.exercises[slot] = { score: exercise.score, total: exercise.total }
+      }
+    })
+    return result
+  },
+
+  get data() {
+    if (!this.cache) {
+      try {
+        const stored = localStorage.getItem(CONFIG.PROGRESS_KEY)
+        this.cache = stored ? this.normalize(JSON.parse(stored)) : this.emptyData()
+      } catch (error) {
+        console.warn("Ignoring unreadable learning progress:", error)
+        this.cache = this.emptyData()
+      }
+    }
+    return this.cache
+  },
+
+  save() {
+    try {
+      localStorage.setItem(CONFIG.PROGRESS_KEY, JSON.stringify(this.data))
+    } catch (error) {
+      console.warn("Learning progress could not be saved:", error)
+    }
+  },
+
+  getPage(page) {
+    if (!this.data.pages[page]) this.data.pages[page] = { sections: [], available: [] }
+    return this.data.pages[page]
+  },
+
+  markSection(sectionId) {
+    const page = utils.getCurrentPage()
+    if (page === this.DASHBOARD_PAGE) return
+
+    const entry = this.getPage(page)
+    if (entry.sections.includes(sectionId)) return
+
+    entry.sections.push(sectionId)
+    this.save()
+    this.renderBadges()
+  },
+
+  markOSILayer(layer) {
+    if (this.data.osiLayers.includes(layer)) return
+    this.data.osiLayers.push(layer)
+    this.save()
+  },
+
+  recordQuiz(quizId, title, score, total) {
+    const page = utils.getCurrentPage()
+    // A score saved under the page name predates per-bank keys: carry it over
+    const previous = this.data.quizzes[quizId] || this.data.quizzes[page]
+    delete this.data.quizzes[page]
+    this.data.quizzes[quizId] = {
+      page,
+      title: title || "",
+      score,
+      total,
+      best: Math.max(previous?.best || 0, score),
+      attempts: (previous?.attempts || 0) + 1,
+    }
+    this.save()
+  },
+
+  recordExercise(key, score, total) {
+    this.data.exercises[key] = { score, total }
+    this.save()
+  },
+
+  // 0-100, or null for a page that has never been opened
+  pagePercent(page) {
+    const entry = this.data.pages[page]
+    if (!entry || entry.available.length === 0) return null
+    return Math.round((entry.sections.length / entry.available.length) * 100)
+  },
+
+  renderBadges() {
+    document.querySelectorAll(".nav-menu .nav-link").forEach((link) => {
+      const percent = this.pagePercent(link.getAttribute("href"))
+      let badge = link.querySelector(".progress-badge")
+
+      if (percent === null || percent === 0) {
+        badge?.remove()
+        return
+      }
+      if (!badge) {
+        badge = document.createElement("span")
+        badge.className = "progress-badge"
+        link.appendChild(badge)
+      }
+      badge.classList.toggle("complete", percent === 100)
+      badge.textContent = percent === 100 ? "✓" : `${percent}%`
+      badge.title = `${percent}% de las secciones leídas`
+    })
+  },
+
+  // ----- Dashboard (index.html) -----
+
+  initDashboard() {
+    this.dashboard = document.getElementById("progress-dashboard")
+    if (!this.dashboard) return
+
+    this.summary = document.getElementById("progress-summary")
+    this.status = document.getElementById("progress-status")
+    utils.addEventListenerSafe(document.getElementById("progress-export"), "click", () => this.exportFile())
+    utils.addEventListenerSafe(document.getElementById("progress-import"), "change", (e) => this.importFile(e.target))
+    utils.addEventListenerSafe(document.getElementById("progress-reset"), "click", () => this.reset())
+    this.renderDashboard()
+  },
+
+  renderDashboard() {
+    if (!this.dashboard) return
+
+    const links = [...document.querySelectorAll(".nav-menu .nav-link")].filter(
+      (link) => link.getAttribute("href") !== this.DASHBOARD_PAGE,
+    )
+    const exercises = Object.values(this.data.exercises)
+    const exerciseScore = exercises.reduce((sum, exercise) => sum + exercise.score, 0)
+    const exerciseTotal = exercises.reduce((sum, exercise) => sum + exercise.total, 0)
+
+    const cards = links.map((link) => {
+      const page = link.getAttribute("href")
+      const entry = this.data.pages[page]
+      const percent = this.pagePercent(page)
+      const quizzes = Object.values(this.data.quizzes).filter((quiz) => quiz.page === page)
+
+      return `
+        <article class="course-card dashboard-card${percent === 100 ? " complete" : ""}">
+          <h3><a href="${page}">${utils.escapeHTML(link.firstChild.textContent.trim())}</a></h3>
+          <div class="dashboard-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent || 0}">
+            <span style="width: ${percent || 0}%"></span>
+          </div>
+          <p>${percent === null ? "Sin visitar" : `${entry.sections.length} de ${entry.available.length} secciones leídas (${percent}%)`}</p>
+          ${quizzes
+            .map(
+              (quiz) =>
+                `<p>${quiz.title ? utils.escapeHTML(quiz.title) : "Cuestionario"}: ${quiz.score}/${quiz.total} · mejor ${quiz.best}/${quiz.total} · ${quiz.attempts} ${quiz.attempts === 1 ? "intento" : "intentos"}</p>`,
+            )
+            .join("")}
+          ${page === "modelo-osi.html" ? `<p>Capas OSI exploradas: ${this.data.osiLayers.length} de ${this.OSI_LAYERS}</p>` : ""}
+          ${page === "segmentacion.html" && exercises.length > 0 ? `<p>Ejercicios de subneteo: ${exerciseScore} de ${exerciseTotal} campos correctos en ${exercises.length} ${exercises.length === 1 ? "ejercicio" : "ejercicios"}</p>` : ""}
+        </article>
+      `
+    })
+
+    this.dashboard.innerHTML = cards.join("")
+
+    if (this.summary) {
+      const pages = Object.values(this.data.pages)
+      const read = pages.reduce((sum, entry) => sum + entry.sections.length, 0)
+      const available = pages.reduce((sum, entry) => sum + entry.available.length, 0)
+      const quizzes = Object.keys(this.data.quizzes).length
+      this.summary.textContent = available
+        ? `Leíste ${read} de ${available} secciones en las páginas visitadas y completaste ${quizzes} ${quizzes === 1 ? "cuestionario" : "cuestionarios"}.`
+        : "Todavía no hay progreso registrado en este navegador."
+    }
+  },
+
+  exportFile() {
+    const blob = new Blob([JSON.stringify(this.data, null, 2)], { type: "application/json" })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement("a")
+    link.href = url
+    link.download = `progreso-redes-${new Date().toISOString().slice(0, 10)}.json`
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    // Revoking right after click() can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+    this.showStatus("Progreso exportado.")
+  },
+
+  // Merges the file into the current progress: sections and layers are
+  // combined and the best score of each quiz is kept
+  async importFile(input) {
+    const file = input.files[0]
+    if (!file) return
+
+    try {
+      const imported = this.normalize(JSON.parse(await file.text()))
+      const data = this.data
+
+      Object.entries(imported.pages).forEach(([page, entry]) => {
+        const current = this.getPage(page)
+        current.sections = [...new Set([...current.sections, ...entry.sections])]
+        if (current.available.length === 0) current.available = entry.available
+      })
+      data.osiLayers = [...new Set([...data.osiLayers, ...imported.osiLayers])]
+      Object.entries(imported.quizzes).forEach(([id, quiz]) => {
+        const current = data.quizzes[id]
+        data.quizzes[id] = current
+          ? { ...current, best: Math.max(current.best, quiz.best), attempts: current.attempts + quiz.attempts }
+          : quiz
+      })
+      Object.entries(imported.exercises).forEach(([key, exercise]) => {
+        if (!data.exercises[key] || data.exercises[key].score < exercise.score) data.exercises[key] = exercise
+      })
+
+      this.save()
+      this.renderBadges()
+      this.renderDashboard()
+      this.showStatus("Progreso importado correctamente.")
+    } catch (error) {
+      const message = error instanceof SyntaxError ? "El archivo no es un JSON válido" : error.message
+      this.showStatus(message, true)
+    } finally {
+      input.value = ""
+    }
+  },
+
+  reset() {
+    if (!window.confirm("¿Borrar todo el progreso guardado en este navegador?")) return
+
+    this.cache = this.emptyData()
+    this.save()
+    this.renderBadges()
+    this.renderDashboard()
+    this.showStatus("Progreso reiniciado.")
+  },
+
+  showStatus(message, isError = false) {
+    if (!this.status) return
+    this.status.textContent = message
+    this.status.classList.toggle("error", isError)
+  },
+}
+
+// ===== IPV4 SUBNETTING MODULE =====
+// Addresses are handled as unsigned 32-bit numbers; every bitwise result is
+// passed through ">>> 0" so it never turns negative.
+const IPv4 = {
+  // "192.168.1.10" -> 3232235786
+  parse(address) {
+    const text = String(address).trim()
+    const octets = text.split(".")
+    if (octets.length !== 4 || octets.some((octet) => !/^\d{1,3}$/.test(octet) || Number(octet) > 255)) {
+      throw new Error(`"${text}" no es una dirección IPv4 válida`)
+    }
+    // Many tools (ping, inet_aton) read "010" as octal 8, so it is ambiguous
+    const padded = octets.find((octet) => /^0\d/.test(octet))
+    if (padded) {
+      throw new Error(`"${text}" tiene el octeto "${padded}" con ceros a la izquierda: muchas herramientas lo leen en octal. Escribilo como ${Number(padded)}`)
+    }
+    return octets.reduce((value, octet) => value * 256 + Number(octet), 0)
+  },
+
+  isValid(address) {
+    try {
+      this.parse(address)
+      return true
+    } catch (error) {
+      return false
+    }
+  },
+
+  format(value) {
+    return [24, 16, 8, 0].map((shift) => (value >>> shift) & 255).join(".")
+  },
+
+  parsePrefix(prefix) {
+    const text = String(prefix).trim().replace(/^\//, "")
+    // Plain digits only: Number() would also take "1e1" or "0x10"
+    const value = Number(text)
+    if (!/^\d{1,2}$/.test(text) || value > 32) {
+      throw new Error("El prefijo debe ser un número entre 0 y 32")
+    }
+    return value
+  },
+
+  // "10.1.1.0/26" -> { address, prefix }
+  parseCidr(cidr) {
+    const [address, prefix, extra] = String(cidr).trim().split("/")
+    if (prefix === undefined || extra !== undefined) {
+      throw new Error(`"${String(cidr).trim()}" no tiene el formato dirección/prefijo`)
+    }
+    return { address: this.parse(address), prefix: this.parsePrefix(prefix) }
+  },
+
+  prefixToMask(prefix) {
+    return prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0
+  },
+
+  // Accepts "255.255.255.192" or a number; rejects non-contiguous masks
+  maskToPrefix(mask) {
+    const value = typeof mask === "number" ? mask : this.parse(mask)
+    const hostPart = ~value >>> 0
+    if (((hostPart + 1) & hostPart) !== 0) {
+      throw new Error(`${this.format(value)} no es una máscara válida (los bits en 1 deben ser contiguos)`)
+    }
+    let prefix = 32
+    for (let bits = hostPart; bits > 0; bits >>>= 1) prefix--
+    return prefix
+  },
+
+  // 192 -> "11000000.10101000.00000001.00001010"
+  toBinary(value) {
+    return value.toString(2).padStart(32, "0").match(/.{8}/g).join(".")
+  },
+
+  contains(network, prefix, address) {
+    const mask = this.prefixToMask(prefix)
+    return ((address & mask) >>> 0) === ((network & mask) >>> 0)
+  },
+
+  // Historical classful network the address belongs to
+  classOf(value) {
+    const firstOctet = value >>> 24
+    if (firstOctet < 128) return { name: "A", prefix: 8 }
+    if (firstOctet < 192) return { name: "B", prefix: 16 }
+    if (firstOctet < 224) return { name: "C", prefix: 24 }
+    if (firstOctet < 240) return { name: "D", prefix: null }
+    return { name: "E", prefix: null }
+  },
+
+  addressType(value) {
+    const ranges = [
+      ["10.0.0.0", 8, "Privada (RFC 1918)"],
+      ["172.16.0.0", 12, "Privada (RFC 1918)"],
+      ["192.168.0.0", 16, "Privada (RFC 1918)"],
+      ["127.0.0.0", 8, "Loopback"],
+      ["169.254.0.0", 16, "Enlace local (APIPA)"],
+      ["224.0.0.0", 4, "Multicast"],
+      ["240.0.0.0", 4, "Reservada"],
+      ["0.0.0.0", 8, "Esta red"],
+    ]
+    const match = ranges.find(([network, prefix]) => this.contains(this.parse(network), prefix, value))
+    return match ? match[2] : "Pública"
+  },
+
+  // Everything the calculator shows for address/prefix. /31 (RFC 3021) has
+  // two usable addresses and no broadcast; /32 is a single host route.
+  calculate(address, prefix) {
+    const value = typeof address === "number" ? address : this.parse(address)
+    prefix = this.parsePrefix(prefix)
+
+    const mask = this.prefixToMask(prefix)
+    const wildcard = ~mask >>> 0
+    const network = (value & mask) >>> 0
+    const broadcast = (network | wildcard) >>> 0
+    const totalAddresses = 2 ** (32 - prefix)
+
+    let firstHost = network + 1
+    let lastHost = broadcast - 1
+    let usableHosts = totalAddresses - 2
+    if (prefix === 32) {
+      firstHost = lastHost = network
+      usableHosts = 1
+    } else if (prefix === 31) {
+      firstHost = network
+      lastHost = broadcast
+      usableHosts = 2
+    }
+
+    const ipClass = this.classOf(value)
+    const borrowedBits = ipClass.prefix !== null && prefix >= ipClass.prefix ? prefix - ipClass.prefix : null
+
+    return {
+      address: value,
+      prefix,
+      mask,
+      wildcard,
+      network,
+      broadcast,
+      hasBroadcast: prefix <= 30,
+      firstHost,
+      lastHost,
+      totalAddresses,
+      usableHosts,
+      hostBits: 32 - prefix,
+      ipClass,
+      borrowedBits,
+      subnetCount: borrowedBits === null ? null : 2 ** borrowedBits,
+      type: this.addressType(value),
+    }
+  },
+
+  // Longest prefix whose subnet still has room for the hosts plus the
+  // network and broadcast addresses (/30 at most, as in a point-to-point link)
+  prefixForHosts(hosts) {
+    let prefix = 30
+    while (prefix > 0 && 2 ** (32 - prefix) - 2 < hosts) prefix--
+    return 2 ** (32 - prefix) - 2 >= hosts ? prefix : null
+  },
+
+  // VLSM: allocates one subnet per requirement inside parent, largest first.
+  // Blocks are handed out in decreasing powers of two, so each one starts
+  // aligned right where the previous ended. Requirements that don't fit are
+  // returned in `unallocated` instead of aborting the whole plan.
+  planVLSM(parentCidr, requirements) {
+    const parent = this.parseCidr(parentCidr)
+    const parentNetwork = (parent.address & this.prefixToMask(parent.prefix)) >>> 0
+    const parentEnd = parentNetwork + 2 ** (32 - parent.prefix)
+
+    const sorted = requirements
+      .map((requirement, order) => ({ ...requirement, order }))
+      .sort((a, b) => b.hosts - a.hosts || a.order - b.order)
+
+    const allocations = []
+    const unallocated = []
+    let next = parentNetwork
+
+    sorted.forEach((requirement) => {
+      const prefix = this.prefixForHosts(requirement.hosts)
+      const size = prefix === null ? Infinity : 2 ** (32 - prefix)
+
+      if (prefix === null || prefix < parent.prefix || next + size > parentEnd) {
+        unallocated.push({ ...requirement, prefix, size })
+        return
+      }
+
+      const subnet = this.calculate(next, prefix)
+      allocations.push({
+        ...requirement,
+        subnet,
+        wasted: subnet.usableHosts - requirement.hosts,
+      })
+      next += size
+    })
+
+    const requiredAddresses = sorted.reduce((sum, { hosts }) => {
+      const prefix = this.prefixForHosts(hosts)
+      return sum + (prefix === null ? Infinity : 2 ** (32 - prefix))
+    }, 0)
+
+    return {
+      parent: this.calculate(parentNetwork, parent.prefix),
+      alignedFrom: parent.address !== parentNetwork ? parent.address : null,
+      allocations,
+      unallocated,
+      requiredAddresses,
+      usedAddresses: next - parentNetwork,
+      freeAddresses: parentEnd - next,
+      freeFrom: next < parentEnd ? next : null,
+    }
+  },
+
+  // Smallest list of CIDR blocks covering exactly [start, end]
+  rangeToCidrs(start, end) {
+    const blocks = []
+    while (start <= end) {
+      let hostBits = 32
+      while (hostBits > 0 && (start % 2 ** hostBits !== 0 || start + 2 ** hostBits - 1 > end)) hostBits--
+      blocks.push({ network: start, prefix: 32 - hostBits })
+      start += 2 ** hostBits
+    }
+    return blocks
+  },
+
+  // Route summarization. `exact` is the smallest set of routes covering the
+  // same addresses as the input; `supernet` is the single route sharing the
+  // longest common prefix, with `extra` listing what it covers beyond the
+  // input.
+  summarize(cidrs) {
+    const routes = cidrs.map((cidr) => {
+      const { address, prefix } = this.parseCidr(cidr)
+      const network = (address & this.prefixToMask(prefix)) >>> 0
+      return { input: cidr.trim(), network, prefix, aligned: network === address }
+    })
+    if (routes.length === 0) throw new Error("Ingresa al menos una red")
+
+    const ranges = routes
+      .map(({ network, prefix }) => [network, network + 2 ** (32 - prefix) - 1])
+      .sort((a, b) => a[0] - b[0])
+      .reduce((merged, range) => {
+        const last = merged[merged.length - 1]
+        if (last && range[0] <= last[1] + 1) last[1] = Math.max(last[1], range[1])
+        else merged.push([...range])
+        return merged
+      }, [])
+
+    const exact = ranges.flatMap(([start, end]) => this.rangeToCidrs(start, end))
+
+    const lowest = ranges[0][0]
+    const highest = ranges[ranges.length - 1][1]
+    let commonBits = 0
+    while (commonBits < 32 && this.contains(lowest, commonBits + 1, highest)) commonBits++
+    const supernetwork = (lowest & this.prefixToMask(commonBits)) >>> 0
+    const supernetEnd = supernetwork + 2 ** (32 - commonBits) - 1
+
+    // Gaps between the covered ranges, inside the supernet
+    const extra = []
+    let cursor = supernetwork
+    ranges.forEach(([start, end]) => {
+      if (start > cursor) extra.push(...this.rangeToCidrs(cursor, start - 1))
+      cursor = end + 1
+    })
+    if (cursor <= supernetEnd) extra.push(...this.rangeToCidrs(cursor, supernetEnd))
+
+    return {
+      routes,
+      exact,
+      supernet: { network: supernetwork, prefix: commonBits },
+      commonBits,
+      extra,
+      extraAddresses: extra.reduce((sum, { prefix }) => sum + 2 ** (32 - prefix), 0),
+    }
+  },
+}
+
+const SubnetCalculator = {
+  init() {
+    this.ipInput = document.getElementById("network-ip")
+    this.prefixInput = document.getElementById("subnet-mask")
+    this.resultDiv = document.getElementById("subnet-result")
+    if (!this.ipInput || !this.prefixInput || !this.resultDiv) return
+
+    const inputs = [this.ipInput, this.prefixInput]
+    inputs.forEach((input) => {
+      utils.addEventListenerSafe(input, "keydown", (e) => {
+        if (e.key === "Enter") this.calculate()
+      })
+    })
+  },
+
+  calculate() {
+    const ipText = this.ipInput.value.trim()
+    let prefixText = this.prefixInput.value.trim()
+
+    if (!ipText || (!prefixText && !ipText.includes("/"))) {
+      this.resultDiv.innerHTML = '<p class="error">Por favor, completa todos los campos.</p>'
+      return
+    }
+
+    try {
+      let addressText = ipText
+      // "192.168.1.10/26" in the address field fills in the prefix
+      if (ipText.includes("/")) {
+        const cidr = IPv4.parseCidr(ipText)
+        addressText = IPv4.format(cidr.address)
+        prefixText = String(cidr.prefix)
+        this.prefixInput.value = prefixText
+      }
+      const result = IPv4.calculate(addressText, prefixText)
+      this.resultDiv.innerHTML = this.render(result)
+    } catch (error) {
+      this.resultDiv.innerHTML = `<p class="error">${utils.escapeHTML(error.message)}</p>`
+    }
+  },
+
+  render(result) {
+    const fmt = (value) => IPv4.format(value)
+    const notes = []
+
+    if (result.address !== result.network) {
+      notes.push(`${fmt(result.address)} es un host de la red ${fmt(result.network)}/${result.prefix}.`)
+    }
+    if (result.prefix === 31) {
+      notes.push("/31 (RFC 3021): enlace punto a punto, ambas direcciones son utilizables y no hay broadcast.")
+    } else if (result.prefix === 32) {
+      notes.push("/32: ruta a un único host, sin dirección de red ni broadcast separadas.")
+    }
+
+    let subnetting
+    if (result.borrowedBits === null) {
+      subnetting = `Clase ${result.ipClass.name}: no se divide en subredes`
+    } else if (result.borrowedBits === 0) {
+      subnetting = `Red Clase ${result.ipClass.name} sin subdividir (/${result.ipClass.prefix})`
+    } else {
+      subnetting = `${result.borrowedBits} bits prestados a la Clase ${result.ipClass.name} (/${result.ipClass.prefix}) = 2<sup>${result.borrowedBits}</sup> = ${result.subnetCount.toLocaleString("es-AR")} subredes`
+    }
+    if (result.ipClass.prefix !== null && result.prefix < result.ipClass.prefix) {
+      subnetting = `Superred: agrupa ${(2 ** (result.ipClass.prefix - result.prefix)).toLocaleString("es-AR")} redes de Clase ${result.ipClass.name}`
+    }
+
+    const hostFormula =
+      result.prefix >= 31 ? result.usableHosts : `2<sup>${result.hostBits}</sup> - 2 = ${result.usableHosts.toLocaleString("es-AR")}`
+
+    return `
+      <div class="result-success">
+        <h4>Resultado del Cálculo:</h4>
+        <div class="subnet-result-grid">
+          <p><strong>Red:</strong> ${fmt(result.network)}/${result.prefix}</p>
+          <p><strong>Máscara:</strong> ${fmt(result.mask)}</p>
+          <p><strong>Wildcard:</strong> ${fmt(result.wildcard)}</p>
+          <p><strong>Broadcast:</strong> ${result.hasBroadcast ? fmt(result.broadcast) : "—"}</p>
+          <p><strong>Primer host:</strong> ${fmt(result.firstHost)}</p>
+          <p><strong>Último host:</strong> ${fmt(result.lastHost)}</p>
+          <p><strong>Bits para hosts:</strong> ${result.hostBits}</p>
+          <p><strong>Hosts por subred:</strong> ${hostFormula}</p>
+          <p><strong>Direcciones totales:</strong> ${result.totalAddresses.toLocaleString("es-AR")}</p>
+          <p><strong>Tipo:</strong> ${result.type}</p>
+        </div>
+        <p><strong>Subredes:</strong> ${subnetting}</p>
+        ${notes.map((note) => `<p class="subnet-note">${note}</p>`).join("")}
+        ${this.renderBinary(result)}
+      </div>
+    `
+  },
+
+  // Same layout as the "Robando Bits" example: network bits and host bits
+  // of each value shown in different colours
+  renderBinary(result) {
+    const rows = [
+      ["Dirección", result.address],
+      ["Máscara", result.mask],
+      ["Red", result.network],
+    ]
+    if (result.hasBroadcast) rows.push(["Broadcast", result.broadcast])
+
+    const bitsHTML = (value) =>
+      IPv4.toBinary(value)
+        .split("")
+        .reduce(
+          (acc, char) => {
+            if (char === ".") {
+              acc.html += "."
+              return acc
+            }
+            const cls = acc.index < result.prefix ? "bit-net" : "bit-host"
+            acc.html += `<span class="${cls}">${char}</span>`
+            acc.index++
+            return acc
+          },
+          { html: "", index: 0 },
+        ).html
+
+    return `
+      <div class="binary-representation subnet-binary">
+        ${rows
+          .map(
+            ([label, value]) => `
+          <div class="binary-row">
+            <span class="label">${label}:</span>
+            <span class="binary">${bitsHTML(value)}</span>
+            <span class="decimal">= ${IPv4.format(value)}</span>
+          </div>`,
+          )
+          .join("")}
+        <p class="subnet-legend">
+          <span class="bit-net">■</span> ${result.prefix} bits de red
+          <span class="bit-host">■</span> ${result.hostBits} bits de host
+        </p>
+      </div>
+    `
+  },
+}
+
+window.calculateSubnet = () => SubnetCalculator.calculate()
+
+// Presets use the two segments of the "Ejemplo de Segmentación" diagram
+const VLSM_PRESETS = [
+  {
+    label: "Segmento 192.168.1.0/24",
+    parent: "192.168.1.0/24",
+    segments: [
+      { name: "Administración", hosts: 60 },
+      { name: "Ventas", hosts: 28 },
+      { name: "Soporte", hosts: 12 },
+      { name: "Enlace al router", hosts: 2 },
+    ],
+  },
+  {
+    label: "Segmento 192.168.100.0/24",
+    parent: "192.168.100.0/24",
+    segments: [
+      { name: "Laboratorio", hosts: 100 },
+      { name: "Docentes", hosts: 50 },
+      { name: "Wi-Fi invitados", hosts: 25 },
+      { name: "Servidores", hosts: 10 },
+    ],
+  },
+]
+
+const VLSMPlanner = {
+  init() {
+    this.container = document.getElementById("vlsm-planner")
+    if (!this.container) return
+
+    this.parentInput = document.getElementById("vlsm-parent")
+    this.segmentList = document.getElementById("vlsm-segments")
+    this.resultDiv = document.getElementById("vlsm-result")
+
+    const presets = document.getElementById("vlsm-presets")
+    VLSM_PRESETS.forEach((preset, index) => {
+      const button = document.createElement("button")
+      button.type = "button"
+      button.className = "preset-btn"
+      button.textContent = preset.label
+      utils.addEventListenerSafe(button, "click", () => this.loadPreset(index))
+      presets?.appendChild(button)
+    })
+
+    utils.addEventListenerSafe(document.getElementById("vlsm-add"), "click", () => {
+      this.addSegmentRow()
+      this.segmentList.lastElementChild?.querySelector("input")?.focus()
+    })
+    utils.addEventListenerSafe(document.getElementById("vlsm-calculate"), "click", () => this.calculate())
+
+    this.loadPreset(0)
+  },
+
+  loadPreset(index) {
+    const preset = VLSM_PRESETS[index]
+    this.parentInput.value = preset.parent
+    this.segmentList.textContent = ""
+    preset.segments.forEach((segment) => this.addSegmentRow(segment))
+    this.resultDiv.innerHTML = ""
+  },
+
+  addSegmentRow({ name = "", hosts = "" } = {}) {
+    const row = document.createElement("div")
+    row.className = "vlsm-segment-row"
+    const number = this.segmentList.children.length + 1
+    row.innerHTML = `
+      <input type="text" class="vlsm-name" placeholder="Segmento ${number}" aria-label="Nombre del segmento">
+      <input type="number" class="vlsm-hosts" min="1" placeholder="Hosts" aria-label="Hosts necesarios">
+      <button type="button" class="vlsm-remove" aria-label="Quitar segmento">✕</button>
+    `
+    row.querySelector(".vlsm-name").value = name
+    row.querySelector(".vlsm-hosts").value = hosts
+    utils.addEventListenerSafe(row.querySelector(".vlsm-remove"), "click", () => row.remove())
+    this.segmentList.appendChild(row)
+  },
+
+  readSegments() {
+    return [...this.segmentList.querySelectorAll(".vlsm-segment-row")].map((row, index) => {
+      const name = row.querySelector(".vlsm-name").value.trim() || `Segmento ${index + 1}`
+      const hosts = Number(row.querySelector(".vlsm-hosts").value)
+      if (!Number.isInteger(hosts) || hosts < 1) {
+        throw new Error(`"${name}" necesita una cantidad de hosts entera y mayor que 0`)
+      }
+      return { name, hosts }
+    })
+  },
+
+  calculate() {
+    try {
+      const segments = this.readSegments()
+      if (segments.length === 0) {
+        throw new Error("Agrega al menos un segmento")
+      }
+      this.resultDiv.innerHTML = this.render(IPv4.planVLSM(this.parentInput.value, segments))
+    } catch (error) {
+      this.resultDiv.innerHTML = `<p class="error">${utils.escapeHTML(error.message)}</p>`
+    }
+  },
+
+  render(plan) {
+    const fmt = (value) => IPv4.format(value)
+    const parent = plan.parent
+    const messages = []
+
+    if (plan.alignedFrom !== null) {
+      messages.push(`<p class="subnet-note">${fmt(plan.alignedFrom)} no es una dirección de red; se usó ${fmt(parent.network)}/${parent.prefix}.</p>`)
+    }
+    if (plan.unallocated.length > 0) {
+      const names = plan.unallocated.map(({ name, hosts }) => `${utils.escapeHTML(name)} (${hosts} hosts)`).join(", ")
+      const required = Number.isFinite(plan.requiredAddresses) ? plan.requiredAddresses.toLocaleString("es-AR") : "más de 2³²"
+      messages.push(`
+        <p class="error">
+          Los requisitos no entran en ${fmt(parent.network)}/${parent.prefix}: faltó lugar para ${names}.
+          Se necesitan ${required} direcciones y el bloque tiene ${parent.totalAddresses.toLocaleString("es-AR")}.
+        </p>`)
+    }
+
+    const rows = plan.allocations
+      .map(
+        ({ name, hosts, subnet, wasted }) => `
+        <tr>
+          <td>${utils.escapeHTML(name)}</td>
+          <td>${hosts}</td>
+          <td>${fmt(subnet.network)}/${subnet.prefix}</td>
+          <td>${fmt(subnet.mask)}</td>
+          <td>${fmt(subnet.firstHost)} - ${fmt(subnet.lastHost)}</td>
+          <td>${fmt(subnet.broadcast)}</td>
+          <td>${subnet.usableHosts}</td>
+          <td>${wasted}</td>
+        </tr>`,
+      )
+      .join("")
+
+    const totalWasted = plan.allocations.reduce((sum, { wasted }) => sum + wasted, 0)
+    const free =
+      plan.freeFrom === null
+        ? "El bloque quedó completamente asignado."
+        : `Quedan libres ${plan.freeAddresses.toLocaleString("es-AR")} direcciones desde ${fmt(plan.freeFrom)}.`
+
+    return `
+      ${messages.join("")}
+      ${
+        plan.allocations.length > 0
+          ? `
+      <div class="table-responsive">
+        <table class="speed-table vlsm-table">
+          <thead>
+            <tr>
+              <th scope="col">Segmento</th>
+              <th scope="col">Hosts pedidos</th>
+              <th scope="col">Red</th>
+              <th scope="col">Máscara</th>
+              <th scope="col">Rango de hosts</th>
+              <th scope="col">Broadcast</th>
+              <th scope="col">Hosts útiles</th>
+              <th scope="col">Desperdicio</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <p class="subnet-note">
+        Se usaron ${plan.usedAddresses.toLocaleString("es-AR")} de ${parent.totalAddresses.toLocaleString("es-AR")} direcciones
+        (${totalWasted} hosts sin usar dentro de las subredes). ${free}
+      </p>`
+          : ""
+      }
+    `
+  },
+}
+
+const RouteSummarizer = {
+  init() {
+    this.input = document.getElementById("summary-routes")
+    this.resultDiv = document.getElementById("summary-result")
+    if (!this.input || !this.resultDiv) return
+
+    utils.addEventListenerSafe(document.getElementById("summary-calculate"), "click", () => this.calculate())
+    document.querySelectorAll("[data-summary-example]").forEach((button) => {
+      utils.addEventListenerSafe(button, "click", () => {
+        this.input.value = button.dataset.summaryExample.split(",").join("\n")
+        this.calculate()
+      })
+    })
+  },
+
+  calculate() {
+    try {
+      const cidrs = this.input.value.split(/[\s,;]+/).filter(Boolean)
+      this.resultDiv.innerHTML = this.render(IPv4.summarize(cidrs))
+    } catch (error) {
+      this.resultDiv.innerHTML = `<p class="error">${utils.escapeHTML(error.message)}</p>`
+    }
+  },
+
+  render(summary) {
+    const cidr = ({ network, prefix }) => `${IPv4.format(network)}/${prefix}`
+    const notes = summary.routes
+      .filter(({ aligned }) => !aligned)
+      .map(({ input, network, prefix }) => `<p class="subnet-note">${utils.escapeHTML(input)} se tomó como ${cidr({ network, prefix })}.</p>`)
+
+    const extraHTML =
+      summary.extra.length === 0
+        ? `<p class="result-ok">✓ La superred cubre exactamente las redes ingresadas.</p>`
+        : `<p class="error">
+            La superred ${cidr(summary.supernet)} también incluye ${summary.extraAddresses.toLocaleString("es-AR")} direcciones que no estaban en la lista:
+            ${summary.extra
+              .slice(0, 8)
+              .map((block) => `<code>${cidr(block)}</code>`)
+              .join(", ")}${summary.extra.length > 8 ? ` y ${summary.extra.length - 8} bloques más` : ""}
+          </p>`
+
+    // Common bits in the network colour, the rest as host bits
+    const binaryRow = (label, network) => {
+      const bits = IPv4.toBinary(network)
+      let index = 0
+      const html = bits
+        .split("")
+        .map((char) => {
+          if (char === ".") return "."
+          const cls = index++ < summary.commonBits ? "bit-net" : "bit-host"
+          return `<span class="${cls}">${char}</span>`
+        })
+        .join("")
+      return `
+        <div class="binary-row">
+          <span class="label">${label}</span>
+          <span class="binary">${html}</span>
+        </div>`
+    }
+
+    return `
+      ${notes.join("")}
+      <div class="result-success">
+        <p><strong>Resumen exacto (${summary.exact.length} ${summary.exact.length === 1 ? "ruta" : "rutas"}):</strong>
+          ${summary.exact.map((block) => `<code>${cidr(block)}</code>`).join(", ")}</p>
+        <p><strong>Superred única:</strong> <code>${cidr(summary.supernet)}</code> (${summary.commonBits} bits en común)</p>
+        ${extraHTML}
+        <div class="binary-representation subnet-binary">
+          ${summary.routes.map(({ network, prefix }) => binaryRow(cidr({ network, prefix }), network)).join("")}
+          ${binaryRow(`${cidr(summary.supernet)}`, summary.supernet.network)}
+          <p class="subnet-legend">
+            <span class="bit-net">■</span> ${summary.commonBits} bits en común
+            <span class="bit-host">■</span> bits que varían
+          </p>
+        </div>
+      </div>
+    `
+  },
+}
+
+const SubnetExercises = {
+  COUNT: 5,
+  LEVELS: {
+    basico: "Básico",
+    intermedio: "Intermedio",
+    avanzado: "Avanzado",
+  },
+  FIELDS: [
+    { key: "network", label: "Dirección de red", placeholder: "192.168.1.0" },
+    { key: "broadcast", label: "Broadcast", placeholder: "192.168.1.255" },
+    { key: "firstHost", label: "Primer host", placeholder: "192.168.1.1" },
+    { key: "lastHost", label: "Último host", placeholder: "192.168.1.254" },
+    { key: "mask", label: "Máscara", placeholder: "255.255.255.0" },
+    { key: "usableHosts", label: "Hosts utilizables", placeholder: "254" },
+  ],
+
+  init() {
+    this.container = document.getElementById("subnet-exercises")
+    this.list = document.getElementById("exercise-list")
+    if (!this.container || !this.list) return
+
+    this.levelSelect = document.getElementById("exercise-level")
+    this.seedInput = document.getElementById("exercise-seed")
+
+    utils.addEventListenerSafe(document.getElementById("exercise-generate"), "click", () => this.generate())
+    utils.addEventListenerSafe(this.seedInput, "keydown", (e) => {
+      if (e.key === "Enter") this.generate()
+    })
+    utils.addEventListenerSafe(this.list, "submit", (e) => {
+      e.preventDefault()
+      this.check(e.target)
+    })
+  },
+
+  generate() {
+    const level = this.LEVELS[this.levelSelect.value] ? this.levelSelect.value : "basico"
+    const seed = this.seedInput.value.trim() || Math.random().toString(36).slice(2, 8)
+
+    this.level = level
+    this.seed = seed
+    this.exercises = this.createSet(seed, level)
+    this.list.innerHTML = `
+      <p class="subnet-note">Semilla <code>${utils.escapeHTML(seed)}</code> · nivel ${this.LEVELS[level]}:
+        con la misma semilla y nivel se generan los mismos ejercicios.</p>
+      ${this.exercises.map((exercise, index) => this.renderExercise(exercise, index)).join("")}
+      <p class="exercise-score" aria-live="polite"></p>
+    `
+  },
+
+  // Same seed and level -> same exercises, so a teacher can share them
+  createSet(seed, level) {
+    const random = utils.seededRandom(`${level}:${seed}`)
+    return Array.from({ length: this.COUNT }, () => this.createExercise(random, level))
+  },
+
+  // basico: the classful prefix of the address (/8, /16, /24)
+  // intermedio: bits borrowed from that classful network
+  // avanzado: any prefix between /8 and /30, supernets included
+  createExercise(random, level) {
+    const between = (min, max) => min + Math.floor(random() * (max - min + 1))
+    const classes = [
+      { first: [1, 126], prefix: 8 },
+      { first: [128, 191], prefix: 16 },
+      { first: [192, 223], prefix: 24 },
+    ]
+    const ipClass = classes[between(0, classes.length - 1)]
+    let firstOctet = between(ipClass.first[0], ipClass.first[1])
+    if (level === "avanzado") firstOctet = between(1, 223)
+    if (firstOctet === 127) firstOctet = 10
+
+    const address = [firstOctet, between(0, 255), between(0, 255), between(1, 254)].join(".")
+    const prefix = {
+      basico: () => ipClass.prefix,
+      intermedio: () => between(ipClass.prefix + 1, 30),
+      avanzado: () => between(8, 30),
+    }[level]()
+
+    return IPv4.calculate(address, prefix)
+  },
+
+  renderExercise(exercise, index) {
+    const id = `exercise-${index}`
+
+    return `
+      <form class="exercise" data-exercise="${index}" novalidate>
+        <h4>Ejercicio ${index + 1}: <code>${IPv4.format(exercise.address)}/${exercise.prefix}</code></h4>
+        <div class="exercise-fields">
+          ${this.FIELDS.map(
+            (field) => `
+            <div class="input-group">
+              <label for="${id}-${field.key}">${field.label}:</label>
+              <input type="text" id="${id}-${field.key}" name="${field.key}" placeholder="${field.placeholder}" autocomplete="off">
+              <span class="exercise-expected" aria-live="polite"></span>
+            </div>`,
+          ).join("")}
+        </div>
+        <button type="submit" class="calculate-btn">Corregir</button>
+        <div class="exercise-feedback"></div>
+      </form>
+    `
+  },
+
+  // Normalises an answer to a number, or null when it cannot be read
+  parseAnswer(key, text) {
+    const value = String(text).trim()
+    if (!value) return null
+
+    try {
+      if (key === "usableHosts") {
+        const digits = value.replace(/[.\s]/g, "")
+        return /^\d+$/.test(digits) ? Number(digits) : null
+      }
+      if (key === "mask") {
+        return /^\/?\d{1,2}$/.test(value) ? IPv4.prefixToMask(IPv4.parsePrefix(value)) : IPv4.parse(value)
+      }
+      return IPv4.parse(value)
+    } catch (error) {
+      return null
+    }
+  },
+
+  expectedText(exercise, key) {
+    if (key === "usableHosts") return exercise.usableHosts.toLocaleString("es-AR")
+    if (key === "mask") return `${IPv4.format(exercise.mask)} (/${exercise.prefix})`
+    return IPv4.format(exercise[key])
+  },
+
+  check(form) {
+    const exercise = this.exercises?.[Number(form.dataset.exercise)]
+    if (!exercise) return
+
+    let correct = 0
+    this.FIELDS.forEach(({ key }) => {
+      const input = form.elements[key]
+      const expected = input.parentElement.querySelector(".exercise-expected")
+      const isCorrect = this.parseAnswer(key, input.value) === exercise[key]
+
+      if (isCorrect) correct++
+      input.classList.toggle("field-correct", isCorrect)
+      input.classList.toggle("field-incorrect", !isCorrect)
+      input.setAttribute("aria-invalid", String(!isCorrect))
+      expected.textContent = isCorrect ? "✓" : `✗ ${this.expectedText(exercise, key)}`
+    })
+
+    form.dataset.score = correct
+    // One entry per level and position, whatever the seed, so progress stays bounded
+    LearningProgress.recordExercise(`${this.level}:${form.dataset.exercise}`, correct, this.FIELDS.length)
+    form.querySelector(".exercise-feedback").innerHTML = `
+      <p class="${correct === this.FIELDS.length ? "result-ok" : "subnet-note"}">
+        ${correct} de ${this.FIELDS.length} campos correctos.
+      </p>
+      ${this.renderExplanation(exercise)}
+    `
+    this.updateScore()
+  },
+
+  updateScore() {
+    const forms = [...this.list.querySelectorAll(".exercise[data-score]")]
+    const score = forms.reduce((sum, form) => sum + Number(form.dataset.score), 0)
+    this.list.querySelector(".exercise-score").textContent =
+      `Puntaje: ${score} de ${forms.length * this.FIELDS.length} campos en ${forms.length} de ${this.exercises.length} ejercicios corregidos.`
+  },
+
+  // Worked solution following the "Robando Bits" steps
+  renderExplanation(exercise) {
+    const fmt = (value) => IPv4.format(value)
+    const { prefix, ipClass } = exercise
+    const ordinals = ["1.er", "2.º", "3.er", "4.º"]
+    const steps = []
+
+    steps.push(`<strong>Máscara:</strong> /${prefix} son ${prefix} bits en 1 → ${fmt(exercise.mask)}.`)
+
+    if (prefix > ipClass.prefix) {
+      steps.push(
+        `<strong>Robando bits:</strong> la red de Clase ${ipClass.name} usa /${ipClass.prefix}; se toman ${exercise.borrowedBits} bits prestados → ` +
+          `2<sup>${exercise.borrowedBits}</sup> = ${exercise.subnetCount.toLocaleString("es-AR")} subredes.`,
+      )
+    } else if (prefix < ipClass.prefix) {
+      steps.push(
+        `<strong>Superred:</strong> /${prefix} es más corto que el /${ipClass.prefix} de la Clase ${ipClass.name}; ` +
+          `agrupa 2<sup>${ipClass.prefix - prefix}</sup> = ${(2 ** (ipClass.prefix - prefix)).toLocaleString("es-AR")} redes con clase.`,
+      )
+    } else {
+      steps.push(`<strong>Clase ${ipClass.name}:</strong> la máscara es la de la clase, no hay bits prestados.`)
+    }
+
+    steps.push(
+      `<strong>Hosts:</strong> quedan 32 − ${prefix} = ${exercise.hostBits} bits para hosts → ` +
+        `2<sup>${exercise.hostBits}</sup> − 2 = ${exercise.usableHosts.toLocaleString("es-AR")} hosts utilizables.`,
+    )
+
+    const octetIndex = Math.floor(prefix / 8)
+    if (prefix % 8 === 0) {
+      steps.push(`<strong>Red:</strong> la máscara termina en un límite de octeto, así que se ponen en 0 los octetos de host → ${fmt(exercise.network)}.`)
+    } else {
+      const octet = (value) => (value >>> (24 - 8 * octetIndex)) & 255
+      const maskOctet = octet(exercise.mask)
+      const block = 256 - maskOctet
+      steps.push(
+        `<strong>Red:</strong> en el ${ordinals[octetIndex]} octeto la máscara vale ${maskOctet}, así que las subredes avanzan de ` +
+          `256 − ${maskOctet} = ${block} en ${block}. ${octet(exercise.address)} cae en el bloque ${octet(exercise.network)}–${octet(exercise.network) + block - 1} → ${fmt(exercise.network)}.`,
+      )
+    }
+
+    steps.push(`<strong>Broadcast:</strong> todos los bits de host en 1 → ${fmt(exercise.broadcast)}.`)
+    steps.push(`<strong>Rango de hosts:</strong> primer host = red + 1 = ${fmt(exercise.firstHost)}; último host = broadcast − 1 = ${fmt(exercise.lastHost)}.`)
+
+    return `
+      <details class="exercise-explanation">
+        <summary>Ver resolución paso a paso</summary>
+        <ol>${steps.map((step) => `<li>${step}</li>`).join("")}</ol>
+        ${SubnetCalculator.renderBinary(exercise)}
+      </details>
+    `
+  },
+}
+
+// ===== IPV6 MODULE =====
+// 128-bit addresses are handled as BigInt
+const IPv6 = {
+  MAX: (1n << 128n) - 1n,
+
+  // Parses full, compressed ("::") and IPv4-embedded ("::ffff:192.0.2.1")
+  // forms. Errors explain what is wrong, since students use this to check
+  // addresses they compressed by hand.
+  parse(address) {
+    const text = String(address).trim().replace(/%.*$/, "")
+    if (!text) throw new Error("Ingresa una dirección IPv6")
+    if (/[^0-9a-fA-F:.]/.test(text)) {
+      throw new Error(`"${text}" contiene caracteres no válidos (solo 0-9, a-f, ":" y ".")`)
+    }
+
+    const halves = text.split("::")
+    if (halves.length > 2) throw new Error(`"::" solo puede aparecer una vez en la dirección`)
+    if (/:::/.test(text)) throw new Error(`":::" no es válido`)
+
+    const toGroups = (part) => (part === "" ? [] : part.split(":"))
+    const head = toGroups(halves[0])
+    const tail = halves.length === 2 ? toGroups(halves[1]) : []
+
+    // A trailing dotted IPv4 address takes the place of the last two groups
+    const groups = halves.length === 2 ? tail : head
+    const last = groups[groups.length - 1]
+    if (last && last.includes(".")) {
+      const ipv4 = IPv4.parse(last)
+      groups.splice(-1, 1, ((ipv4 >>> 16) & 0xffff).toString(16), (ipv4 & 0xffff).toString(16))
+    }
+
+    const total = head.length + tail.length
+    if (halves.length === 1 && total !== 8) {
+      throw new Error(`Una dirección sin "::" debe tener 8 grupos y esta tiene ${total}`)
+    }
+    if (halves.length === 2 && total > 7) {
+      throw new Error(`Con "::" debe quedar al menos un grupo comprimido y hay ${total} grupos escritos`)
+    }
+
+    const all = [...head, ...Array(8 - total).fill("0"), ...tail]
+    all.forEach((group) => {
+      if (!/^[0-9a-fA-F]{1,4}$/.test(group)) {
+        throw new Error(`"${group}" no es un grupo válido (1 a 4 dígitos hexadecimales)`)
+      }
+    })
+
+    return all.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n)
+  },
+
+  isValid(address) {
+    try {
+      this.parse(address)
+      return true
+    } catch (error) {
+      return false
+    }
+  },
+
+  groups(value) {
+    return Array.from({ length: 8 }, (_, i) => Number((value >> BigInt(112 - i * 16)) & 0xffffn))
+  },
+
+  // 2001:0db8:0000:0000:0000:ff00:0042:8329
+  expand(address) {
+    const value = typeof address === "bigint" ? address : this.parse(address)
+    return this.groups(value)
+      .map((group) => group.toString(16).padStart(4, "0"))
+      .join(":")
+  },
+
+  // Canonical text form (RFC 5952): lowercase, no leading zeros, and the
+  // longest run of two or more zero groups (the first one on a tie) as "::"
+  compress(address) {
+    const value = typeof address === "bigint" ? address : this.parse(address)
+    const groups = this.groups(value).map((group) => group.toString(16))
+
+    let bestStart = -1
+    let bestLength = 1
+    for (let i = 0; i < 8; ) {
+      if (groups[i] !== "0") {
+        i++
+        continue
+      }
+      let j = i
+      while (j < 8 && groups[j] === "0") j++
+      if (j - i > bestLength) {
+        bestStart = i
+        bestLength = j - i
+      }
+      i = j
+    }
+
+    if (bestStart === -1) return groups.join(":")
+    return `${groups.slice(0, bestStart).join(":")}::${groups.slice(bestStart + bestLength).join(":")}`
+  },
+
+  // Compares a hand-written address against its canonical form and lists
+  // the rules it breaks
+  checkNotation(address) {
+    // The zone id ("%eth0") is not part of the address text
+    const written = String(address).trim().replace(/%.*$/, "")
+    const value = this.parse(written)
+    const canonical = this.compress(value)
+    const issues = []
+
+    // An embedded dotted quad is compared as its two hex groups. Mixed
+    // notation is only expected when the first 96 bits are ::ffff:0:0 or ::
+    let text = written
+    const dotted = written.match(/(\d+\.\d+\.\d+\.\d+)$/)
+    if (dotted) {
+      const ipv4 = IPv4.parse(dotted[1])
+      text = `${written.slice(0, dotted.index)}${((ipv4 >>> 16) & 0xffff).toString(16)}:${(ipv4 & 0xffff).toString(16)}`
+      const high = value >> 32n
+      if (high !== 0n && high !== 0xffffn) {
+        issues.push("La notación con puntos solo se usa en direcciones IPv4 mapeadas (::ffff:a.b.c.d); aquí los últimos 32 bits van en hexadecimal")
+      }
+    }
+
+    if (text === canonical) return { canonical, issues }
+
+    if (/[A-F]/.test(text)) issues.push("Los dígitos hexadecimales deben ir en minúscula")
+    if (/(^|:)0[0-9a-fA-F]/.test(text)) issues.push("Hay ceros a la izquierda que pueden omitirse")
+
+    const trimmed = text.toLowerCase().replace(/(^|:)0+(?=[0-9a-f])/g, "$1")
+    if (!text.includes("::") && canonical.includes("::")) {
+      issues.push('Hay grupos de ceros consecutivos que pueden reemplazarse por "::"')
+    } else if (text.includes("::") && trimmed !== canonical) {
+      const compressedGroups = 8 - trimmed.split("::").join(":").split(":").filter(Boolean).length
+      if (compressedGroups === 1) {
+        issues.push('"::" no debe usarse para un único grupo de ceros')
+      } else {
+        issues.push('"::" debe reemplazar la secuencia de ceros más larga (la primera, si hay empate)')
+      }
+    }
+
+    return { canonical, issues }
+  },
+
+  parseCidr(cidr) {
+    const [address, prefixText, extra] = String(cidr).trim().split("/")
+    const prefix = prefixText === undefined ? 128 : Number(prefixText)
+    if (extra !== undefined || (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText.trim())) || prefix > 128) {
+      throw new Error("El prefijo IPv6 debe ser un número entre 0 y 128")
+    }
+    return { address: this.parse(address), prefix }
+  },
+
+  prefixToMask(prefix) {
+    return prefix === 0 ? 0n : (this.MAX << BigInt(128 - prefix)) & this.MAX
+  },
+
+  contains(network, prefix, address) {
+    const mask = this.prefixToMask(prefix)
+    return (network & mask) === (address & mask)
+  },
+
+  classify(address) {
+    const value = typeof address === "bigint" ? address : this.parse(address)
+    const inRange = (cidr) => {
+      const { address: network, prefix } = this.parseCidr(cidr)
+      return this.contains(network, prefix, value)
+    }
+
+    if (value === 0n) return { type: "Sin especificar", range: "::/128" }
+    if (value === 1n) return { type: "Loopback", range: "::1/128" }
+    if (inRange("::ffff:0:0/96")) return { type: "IPv4 mapeada", range: "::ffff:0:0/96" }
+    if (inRange("fe80::/10")) return { type: "Enlace local (link-local)", range: "fe80::/10" }
+    if (inRange("fc00::/7")) return { type: "Local única (ULA)", range: "fc00::/7" }
+    if (inRange("ff00::/8")) {
+      const scopes = { 1: "interfaz", 2: "enlace", 5: "sitio", 8: "organización", 14: "global" }
+      const scope = scopes[Number((value >> 112n) & 0xfn)] || "reservado"
+      return { type: `Multicast (alcance ${scope})`, range: "ff00::/8" }
+    }
+    if (inRange("2001:db8::/32")) return { type: "Documentación (unicast global reservada)", range: "2001:db8::/32" }
+    if (inRange("2000::/3")) return { type: "Unicast global", range: "2000::/3" }
+    return { type: "Reservada", range: "—" }
+  },
+
+  // Network address, last address and size of address/prefix
+  calculate(cidr) {
+    const { address, prefix } = this.parseCidr(cidr)
+    const mask = this.prefixToMask(prefix)
+    const network = address & mask
+    const last = network | (~mask & this.MAX)
+    return {
+      address,
+      prefix,
+      network,
+      last,
+      totalAddresses: 1n << BigInt(128 - prefix),
+      classification: this.classify(address),
+    }
+  },
+
+  // Modified EUI-64: split the MAC in half, insert ff:fe and flip the
+  // universal/local bit (0x02 of the first byte)
+  eui64(mac) {
+    const hex = String(mac).trim().replace(/[:.\-]/g, "")
+    if (!/^[0-9a-fA-F]{12}$/.test(hex)) {
+      throw new Error(`"${String(mac).trim()}" no es una dirección MAC válida (12 dígitos hexadecimales)`)
+    }
+
+    const bytes = hex.match(/../g).map((byte) => parseInt(byte, 16))
+    bytes[0] ^= 0x02
+    const eui = [...bytes.slice(0, 3), 0xff, 0xfe, ...bytes.slice(3)]
+    const interfaceId = eui.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n)
+    const groups = this.groups(interfaceId).slice(4).map((group) => group.toString(16).padStart(4, "0"))
+
+    return {
+      interfaceId: groups.join(":"),
+      linkLocal: this.compress(this.parse("fe80::") | interfaceId),
+      flippedFirstByte: bytes[0].toString(16).padStart(2, "0"),
+    }
+  },
+}
+
+const IPv6Tools = {
+  init() {
+    this.addressInput = document.getElementById("ipv6-address")
+    this.macInput = document.getElementById("ipv6-mac")
+    this.resultDiv = document.getElementById("ipv6-result")
+    if (!this.addressInput || !this.resultDiv) return
+
+    utils.addEventListenerSafe(document.getElementById("ipv6-analyze"), "click", () => this.analyze())
+    utils.addEventListenerSafe(document.getElementById("ipv6-eui64"), "click", () => this.generateEUI64())
+    utils.addEventListenerSafe(this.addressInput, "keydown", (e) => {
+      if (e.key === "Enter") this.analyze()
+    })
+    utils.addEventListenerSafe(this.macInput, "keydown", (e) => {
+      if (e.key === "Enter") this.generateEUI64()
+    })
+  },
+
+  analyze() {
+    try {
+      const text = this.addressInput.value.trim()
+      const address = text.split("/")[0]
+      const result = IPv6.calculate(text)
+      const notation = IPv6.checkNotation(address)
+
+      const notationHTML =
+        notation.issues.length === 0
+          ? '<p class="result-ok">✓ La dirección ya está en su forma comprimida canónica.</p>'
+          : `<p class="ipv6-warning">La dirección es válida pero no está en forma canónica:</p>
+             <ul>${notation.issues.map((issue) => `<li>${issue}</li>`).join("")}</ul>`
+
+      this.resultDiv.innerHTML = `
+        <div class="result-success">
+          <p><strong>Expandida:</strong> <code>${IPv6.expand(result.address)}</code></p>
+          <p><strong>Comprimida:</strong> <code>${notation.canonical}</code></p>
+          ${notationHTML}
+          <p><strong>Tipo:</strong> ${result.classification.type} (${result.classification.range})</p>
+          <p><strong>Prefijo:</strong> <code>${IPv6.compress(result.network)}/${result.prefix}</code></p>
+          <p><strong>Rango:</strong> <code>${IPv6.compress(result.network)}</code> - <code>${IPv6.compress(result.last)}</code></p>
+          <p><strong>Direcciones:</strong> 2<sup>${128 - result.prefix}</sup> = ${result.totalAddresses.toLocaleString("es-AR")}</p>
+        </div>
+      `
+    } catch (error) {
+      this.resultDiv.innerHTML = `<p class="error">${utils.escapeHTML(error.message)}</p>`
+    }
+  },
+
+  generateEUI64() {
+    try {
+      const mac = this.macInput.value.trim()
+      const result = IPv6.eui64(mac)
+      const firstByte = mac.replace(/[:.\-]/g, "").slice(0, 2).toLowerCase()
+
+      this.resultDiv.innerHTML = `
+        <div class="result-success">
+          <p><strong>MAC:</strong> <code>${utils.escapeHTML(mac)}</code></p>
+          <p><strong>Paso 1:</strong> se inserta <code>ff:fe</code> en el medio de la MAC.</p>
+          <p><strong>Paso 2:</strong> se invierte el bit universal/local: <code>${firstByte}</code> → <code>${result.flippedFirstByte}</code>.</p>
+          <p><strong>Identificador de interfaz:</strong> <code>${result.interfaceId}</code></p>
+          <p><strong>Dirección de enlace local:</strong> <code>${result.linkLocal}</code></p>
+        </div>
+      `
+    } catch (error) {
+      this.resultDiv.innerHTML = `<p class="error">${utils.escapeHTML(error.message)}</p>`
+    }
+  },
+}
+
+// ===== FORWARDING SIMULATOR MODULE =====
+// Each scenario is a set of LAN segments joined by an optional router. A
+// segment is a hub or a switch whose ports hold hosts or a router interface.
+const BROADCAST_MAC = "FF:FF:FF:FF:FF:FF"
+
+const FORWARDING_SCENARIOS = {
+  hub: {
+    label: "Hub",
+    description: "Un hub repite cada señal por todos sus puertos: todos los equipos comparten un único dominio de colisión.",
+    segments: [{ id: "lan", device: "hub", name: "Hub", network: "192.168.1.0/24" }],
+    hosts: [
+      { name: "PC-A", mac: "00:1A:2B:00:00:0A", ip: "192.168.1.10", segment: "lan", port: 1 },
+      { name: "PC-B", mac: "00:1A:2B:00:00:0B", ip: "192.168.1.11", segment: "lan", port: 2 },
+      { name: "PC-C", mac: "00:1A:2B:00:00:0C", ip: "192.168.1.12", segment: "lan", port: 3 },
+      { name: "PC-D", mac: "00:1A:2B:00:00:0D", ip: "192.168.1.13", segment: "lan", port: 4 },
+    ],
+  },
+  switch: {
+    label: "Switch",
+    description: "Un switch aprende en qué puerto está cada MAC y reenvía las tramas unicast solo por ese puerto.",
+    segments: [{ id: "lan", device: "switch", name: "Switch", network: "192.168.1.0/24" }],
+    hosts: [
+      { name: "PC-A", mac: "00:1A:2B:00:00:0A", ip: "192.168.1.10", segment: "lan", port: 1 },
+      { name: "PC-B", mac: "00:1A:2B:00:00:0B", ip: "192.168.1.11", segment: "lan", port: 2 },
+      { name: "PC-C", mac: "00:1A:2B:00:00:0C", ip: "192.168.1.12", segment: "lan", port: 3 },
+      { name: "PC-D", mac: "00:1A:2B:00:00:0D", ip: "192.168.1.13", segment: "lan", port: 4 },
+    ],
+  },
+  router: {
+    label: "Router",
+    description: "Un router separa dominios de broadcast y reenvía paquetes entre subredes según su tabla de enrutamiento.",
+    segments: [
+      { id: "lan1", device: "switch", name: "Switch 1", network: "192.168.1.0/24" },
+      { id: "lan2", device: "switch", name: "Switch 2", network: "192.168.2.0/24" },
+    ],
+    hosts: [
+      { name: "PC-A", mac: "00:1A:2B:00:00:0A", ip: "192.168.1.10", gateway: "192.168.1.1", segment: "lan1", port: 1 },
+      { name: "PC-B", mac: "00:1A:2B:00:00:0B", ip: "192.168.1.11", gateway: "192.168.1.1", segment: "lan1", port: 2 },
+      { name: "PC-C", mac: "00:1A:2B:00:00:0C", ip: "192.168.2.10", gateway: "192.168.2.1", segment: "lan2", port: 1 },
+      { name: "PC-D", mac: "00:1A:2B:00:00:0D", ip: "192.168.2.11", gateway: "192.168.2.1", segment: "lan2", port: 2 },
+    ],
+    router: {
+      name: "Router",
+      interfaces: [
+        { name: "G0/0", mac: "00:00:0C:00:01:00", ip: "192.168.1.1", segment: "lan1", port: 3 },
+        { name: "G0/1", mac: "00:00:0C:00:01:01", ip: "192.168.2.1", segment: "lan2", port: 3 },
+      ],
+      routes: [
+        { cidr: "192.168.1.0/24", iface: "G0/0", nextHop: null },
+        { cidr: "192.168.2.0/24", iface: "G0/1", nextHop: null },
+        { cidr: "0.0.0.0/0", iface: "S0/0/0", nextHop: "200.51.100.1" },
+      ],
+    },
+    external: [{ name: "Internet (8.8.8.8)", ip: "8.8.8.8" }],
+  },
+}
+
+const Forwarding = {
+  // Fresh MAC tables for every switch of a scenario
+  createState(scenario) {
+    return {
+      macTables: Object.fromEntries(scenario.segments.filter((segment) => segment.device === "switch").map((segment) => [segment.id, []])),
+    }
+  },
+
+  snapshot(state) {
+    return Object.fromEntries(Object.entries(state.macTables).map(([id, table]) => [id, table.map((entry) => ({ ...entry }))]))
+  },
+
+  prefixOf(scenario, segmentId) {
+    return IPv4.parseCidr(scenario.segments.find((segment) => segment.id === segmentId).network)
+  },
+
+  // Everything plugged into a segment: hosts and the router interface
+  endpoints(scenario, segmentId) {
+    const hosts = scenario.hosts.filter((host) => host.segment === segmentId)
+    const interfaces = (scenario.router?.interfaces || [])
+      .filter((iface) => iface.segment === segmentId)
+      .map((iface) => ({ ...iface, name: `${scenario.router.name} ${iface.name}`, isRouter: true }))
+    return [...hosts, ...interfaces]
+  },
+
+  // Longest prefix match over the router's table
+  lookup(routes, address) {
+    const target = IPv4.parse(address)
+    return routes
+      .map((route) => ({ route, ...IPv4.parseCidr(route.cidr) }))
+      .filter(({ address: network, prefix }) => IPv4.contains(network, prefix, target))
+      .sort((a, b) => b.prefix - a.prefix)[0]?.route
+  },
+
+  // Carries a frame across one segment and returns the endpoints that accept it
+  deliver(scenario, state, frame, segmentId, inPort, steps) {
+    const segment = scenario.segments.find((candidate) => candidate.id === segmentId)
+    const others = this.endpoints(scenario, segmentId).filter((endpoint) => endpoint.port !== inPort)
+    const broadcast = frame.dstMac === BROADCAST_MAC
+    let outPorts
+
+    if (segment.device === "hub") {
+      outPorts = others.map((endpoint) => endpoint.port)
+      steps.push({
+        kind: "flood",
+        segment: segmentId,
+        ports: [inPort, ...outPorts],
+        text: `${segment.name} recibe la señal por el puerto ${inPort} y la repite por los puertos ${outPorts.join(", ")}. No lee direcciones.`,
+      })
+    } else {
+      const table = state.macTables[segmentId]
+      const known = table.find((entry) => entry.mac === frame.srcMac)
+      if (!known || known.port !== inPort) {
+        if (known) known.port = inPort
+        else table.push({ mac: frame.srcMac, port: inPort })
+        steps.push({
+          kind: "learn",
+          segment: segmentId,
+          ports: [inPort],
+          text: `${segment.name} aprende que ${frame.srcMac} está en el puerto ${inPort}.`,
+          tables: this.snapshot(state),
+        })
+      }
+
+      const target = broadcast ? null : table.find((entry) => entry.mac === frame.dstMac)
+      if (target && target.port === inPort) {
+        steps.push({
+          kind: "drop",
+          segment: segmentId,
+          ports: [inPort],
+          text: `${frame.dstMac} está en el mismo puerto por el que llegó la trama: ${segment.name} la filtra.`,
+        })
+        return []
+      }
+      if (target) {
+        outPorts = [target.port]
+        steps.push({
+          kind: "forward",
+          segment: segmentId,
+          ports: [inPort, target.port],
+          text: `${frame.dstMac} figura en la tabla MAC: ${segment.name} reenvía la trama solo por el puerto ${target.port}.`,
+        })
+      } else {
+        outPorts = others.map((endpoint) => endpoint.port)
+        steps.push({
+          kind: "flood",
+          segment: segmentId,
+          ports: [inPort, ...outPorts],
+          text: broadcast
+            ? `Trama de broadcast: ${segment.name} la inunda por todos los puertos menos el de entrada (${outPorts.join(", ")}).`
+            : `${frame.dstMac} no está en la tabla MAC: ${segment.name} inunda la trama por los puertos ${outPorts.join(", ")}.`,
+        })
+      }
+    }
+
+    // Each network card keeps only what is addressed to it
+    return others
+      .filter((endpoint) => outPorts.includes(endpoint.port))
+      .filter((endpoint) => {
+        const accepted = broadcast || endpoint.mac === frame.dstMac
+        if (!accepted) {
+          steps.push({
+            kind: "discard",
+            segment: segmentId,
+            ports: [endpoint.port],
+            text: `${endpoint.name} descarta la trama: la MAC de destino no es la suya.`,
+          })
+        }
+        return accepted
+      })
+  },
+
+  // Full trip of a packet from a host to a host name, an external address or
+  // "broadcast". Returns the ordered list of steps.
+  send(scenario, state, sourceName, destination) {
+    const source = scenario.hosts.find((host) => host.name === sourceName)
+    const steps = []
+    if (!source) throw new Error("Elegí un host de origen")
+
+    const dstHost = scenario.hosts.find((host) => host.name === destination)
+    const dstExternal = (scenario.external || []).find((external) => external.ip === destination)
+    if (dstHost === source) throw new Error("El origen y el destino deben ser distintos")
+
+    if (destination === "broadcast") {
+      steps.push({ kind: "send", segment: source.segment, ports: [source.port], text: `${source.name} envía una trama de broadcast (destino ${BROADCAST_MAC}).` })
+      const receivers = this.deliver(scenario, state, { srcMac: source.mac, dstMac: BROADCAST_MAC }, source.segment, source.port, steps)
+      receivers.forEach((receiver) => {
+        steps.push({
+          kind: receiver.isRouter ? "drop" : "receive",
+          segment: source.segment,
+          ports: [receiver.port],
+          text: receiver.isRouter
+            ? `${receiver.name} recibe el broadcast pero no lo reenvía: cada interfaz del router es un dominio de broadcast distinto.`
+            : `${receiver.name} acepta el broadcast.`,
+        })
+      })
+      return steps
+    }
+
+    if (!dstHost && !dstExternal) throw new Error("Elegí un destino")
+    const dstIp = dstHost ? dstHost.ip : dstExternal.ip
+    const { prefix } = this.prefixOf(scenario, source.segment)
+    const sameNetwork = IPv4.contains(IPv4.parse(source.ip), prefix, IPv4.parse(dstIp))
+
+    let frame
+    if (sameNetwork) {
+      frame = { srcMac: source.mac, dstMac: dstHost.mac }
+      steps.push({
+        kind: "send",
+        segment: source.segment,
+        ports: [source.port],
+        text: `${source.name} (${source.ip}) ve que ${dstIp} está en su misma red /${prefix} y envía la trama directo a ${dstHost.mac}.`,
+      })
+    } else {
+      const gateway = scenario.router?.interfaces.find((iface) => iface.ip === source.gateway)
+      if (!gateway) {
+        steps.push({ kind: "drop", segment: source.segment, ports: [source.port], text: `${dstIp} está en otra red y ${source.name} no tiene puerta de enlace.` })
+        return steps
+      }
+      frame = { srcMac: source.mac, dstMac: gateway.mac }
+      steps.push({
+        kind: "send",
+        segment: source.segment,
+        ports: [source.port],
+        text: `${source.name} (${source.ip}) ve que ${dstIp} está en otra red: envía la trama a su puerta de enlace ${gateway.ip} (MAC ${gateway.mac}).`,
+      })
+    }
+
+    const receivers = this.deliver(scenario, state, frame, source.segment, source.port, steps)
+    const arrived = receivers.find((receiver) => receiver.mac === frame.dstMac)
+    if (!arrived) return steps
+
+    if (!arrived.isRouter) {
+      steps.push({ kind: "receive", segment: source.segment, ports: [arrived.port], text: `${arrived.name} recibe la trama y procesa el paquete.` })
+      return steps
+    }
+
+    const router = scenario.router
+    const route = this.lookup(router.routes, dstIp)
+    if (!route) {
+      steps.push({ kind: "drop", router: true, text: `${router.name} no tiene ruta hacia ${dstIp} y descarta el paquete.` })
+      return steps
+    }
+    steps.push({
+      kind: "route",
+      router: true,
+      route: route.cidr,
+      text: `${arrived.name} acepta la trama. ${router.name} quita el encabezado Ethernet, lee la IP destino ${dstIp} y elige la ruta más específica: ${route.cidr} por ${route.iface}${route.nextHop ? ` vía ${route.nextHop}` : " (conectada)"}. El TTL baja en 1.`,
+    })
+
+    const egress = router.interfaces.find((iface) => iface.name === route.iface)
+    if (!egress) {
+      steps.push({ kind: "receive", router: true, text: `El paquete sale por ${route.iface} hacia ${route.nextHop}, fuera de esta red.` })
+      return steps
+    }
+
+    const outFrame = { srcMac: egress.mac, dstMac: dstHost.mac }
+    steps.push({
+      kind: "send",
+      segment: egress.segment,
+      ports: [egress.port],
+      text: `${router.name} arma una trama nueva por ${egress.name}: MAC origen ${egress.mac}, MAC destino ${dstHost.mac}. Las IP no cambian.`,
+    })
+    const finalReceivers = this.deliver(scenario, state, outFrame, egress.segment, egress.port, steps)
+    if (finalReceivers.some((receiver) => receiver === dstHost)) {
+      steps.push({ kind: "receive", segment: egress.segment, ports: [dstHost.port], text: `${dstHost.name} recibe el paquete de ${source.name}.` })
+    }
+    return steps
+  },
+
+  // Two hosts start transmitting at the same instant
+  sendTogether(scenario, state, first, second, destination) {
+    const a = scenario.hosts.find((host) => host.name === first)
+    const b = scenario.hosts.find((host) => host.name === second)
+    if (!a || !b || a === b) throw new Error("Elegí dos hosts de origen distintos")
+
+    const segment = scenario.segments.find((candidate) => candidate.id === a.segment)
+    if (a.segment === b.segment && segment.device === "hub") {
+      const ports = this.endpoints(scenario, segment.id).map((endpoint) => endpoint.port)
+      return {
+        collision: true,
+        steps: [
+          { kind: "send", segment: segment.id, ports: [a.port, b.port], text: `${a.name} y ${b.name} empiezan a transmitir al mismo tiempo.` },
+          { kind: "collision", segment: segment.id, ports, text: `${segment.name} repite ambas señales por todos los puertos: se superponen y se produce una colisión.` },
+          {
+            kind: "collision",
+            segment: segment.id,
+            ports,
+            text: "Los emisores detectan la colisión (CSMA/CD), envían una señal de atasco (jam) y esperan un tiempo aleatorio (backoff) antes de reintentar.",
+          },
+        ],
+      }
+    }
+
+    const note =
+      a.segment === b.segment
+        ? `Cada puerto de ${segment.name} es su propio dominio de colisión: guarda ambas tramas en su búfer y las reenvía sin colisión.`
+        : "Los emisores están en segmentos distintos, que son dominios de colisión separados: no hay colisión."
+    return {
+      collision: false,
+      steps: [
+        { kind: "send", segment: a.segment, ports: [a.port], text: `${a.name} y ${b.name} empiezan a transmitir al mismo tiempo.` },
+        { kind: "info", segment: a.segment, ports: [a.port, b.port], text: note },
+        ...this.send(scenario, state, a.name, destination === a.name ? b.name : destination),
+        ...this.send(scenario, state, b.name, destination === b.name ? a.name : destination),
+      ],
+    }
+  },
+}
+
+const ForwardingSimulator = {
+  init() {
+    this.container = document.getElementById("forwarding-sim")
+    if (!this.container) return
+
+    this.scenarioSelect = document.getElementById("forwarding-scenario")
+    this.sourceSelect = document.getElementById("forwarding-source")
+    this.secondSelect = document.getElementById("forwarding-second")
+    this.destinationSelect = document.getElementById("forwarding-destination")
+    this.diagram = this.container.querySelector(".forwarding-diagram")
+    this.tables = this.container.querySelector(".forwarding-tables")
+    this.log = this.container.querySelector(".forwarding-log")
+    this.nextButton = this.container.querySelector("[data-forwarding='next']")
+    this.allButton = this.container.querySelector("[data-forwarding='all']")
+
+    utils.addEventListenerSafe(this.scenarioSelect, "change", () => this.load(this.scenarioSelect.value))
+    utils.addEventListenerSafe(this.container.querySelector("[data-forwarding='send']"), "click", () => this.send())
+    utils.addEventListenerSafe(this.nextButton, "click", () => this.step())
+    utils.addEventListenerSafe(this.allButton, "click", () => this.step(true))
+    utils.addEventListenerSafe(this.container.querySelector("[data-forwarding='reset']"), "click", () => this.load(this.scenarioKey))
+
+    this.load(this.scenarioSelect.value)
+  },
+
+  load(key) {
+    this.scenarioKey = key
+    this.scenario = FORWARDING_SCENARIOS[key]
+    this.state = Forwarding.createState(this.scenario)
+    this.baseTables = Forwarding.snapshot(this.state)
+    this.steps = []
+    this.shown = 0
+    this.collisions = 0
+    this.frames = 0
+
+    const hostOptions = this.scenario.hosts.map((host) => `<option value="${host.name}">${host.name} (${host.ip})</option>`).join("")
+    this.sourceSelect.innerHTML = hostOptions
+    this.secondSelect.innerHTML = `<option value="">Nadie</option>${hostOptions}`
+    this.destinationSelect.innerHTML = `
+      ${hostOptions}
+      ${(this.scenario.external || []).map((external) => `<option value="${external.ip}">${external.name}</option>`).join("")}
+      <option value="broadcast">Broadcast (${BROADCAST_MAC})</option>
+    `
+    this.destinationSelect.selectedIndex = 2
+    this.container.querySelector(".forwarding-description").textContent = this.scenario.description
+    this.log.innerHTML = ""
+    this.render()
+  },
+
+  send() {
+    // Finish the previous frame so the tables never skip an update
+    this.step(true)
+    const tablesBefore = Forwarding.snapshot(this.state)
+    try {
+      const second = this.secondSelect.value
+      let steps
+      if (second) {
+        const result = Forwarding.sendTogether(this.scenario, this.state, this.sourceSelect.value, second, this.destinationSelect.value)
+        if (result.collision) this.collisions++
+        steps = result.steps
+      } else {
+        steps = Forwarding.send(this.scenario, this.state, this.sourceSelect.value, this.destinationSelect.value)
+      }
+      this.frames++
+      this.baseTables = tablesBefore
+      this.steps = steps
+      this.shown = 0
+      this.log.innerHTML = ""
+      this.step()
+    } catch (error) {
+      this.log.innerHTML = `<li class="error">${utils.escapeHTML(error.message)}</li>`
+    }
+  },
+
+  step(all = false) {
+    if (this.shown >= this.steps.length) return
+    this.shown = all ? this.steps.length : this.shown + 1
+    this.log.innerHTML = this.steps
+      .slice(0, this.shown)
+      .map((step, index) => `<li class="forwarding-step ${step.kind}${index === this.shown - 1 ? " current" : ""}">${utils.escapeHTML(step.text)}</li>`)
+      .join("")
+    this.render()
+  },
+
+  // MAC tables as of the last step shown, since the engine already ran ahead
+  visibleTables() {
+    const learned = this.steps.slice(0, this.shown).filter((step) => step.tables)
+    return learned.length > 0 ? learned[learned.length - 1].tables : this.baseTables
+  },
+
+  render() {
+    const current = this.steps[this.shown - 1]
+    const finished = this.shown >= this.steps.length
+    this.nextButton.disabled = finished
+    this.allButton.disabled = finished
+
+    const segmentsHTML = this.scenario.segments
+      .map((segment) => {
+        const lit = current?.segment === segment.id ? current.ports : []
+        const rows = Forwarding.endpoints(this.scenario, segment.id)
+          .map(
+            (endpoint) => `
+              <li class="forwarding-port${lit.includes(endpoint.port) ? ` active ${current.kind}` : ""}">
+                <span class="forwarding-port-number">Puerto ${endpoint.port}</span>
+                <strong>${endpoint.name}</strong>
+                <code>${endpoint.mac}</code>
+                <code>${endpoint.ip}</code>
+              </li>`,
+          )
+          .join("")
+        const image = segment.device === "hub" ? "img/hub.png" : "img/Switch.png"
+        return `
+          <div class="forwarding-segment">
+            <div class="forwarding-device"><img src="${image}" alt="" class="logos"><strong>${segment.name}</strong><span>${segment.network}</span></div>
+            <ul>${rows}</ul>
+          </div>`
+      })
+      .join("")
+
+    const router = this.scenario.router
+    const routerHTML = router
+      ? `<div class="forwarding-device forwarding-router${current?.router ? " active" : ""}"><img src="img/router.png" alt="" class="logos"><strong>${router.name}</strong><span>${router.interfaces.map((iface) => `${iface.name} ${iface.ip}`).join(" · ")}</span></div>`
+      : ""
+    this.diagram.innerHTML = `${segmentsHTML}${routerHTML}`
+
+    const tables = this.visibleTables()
+    const macTablesHTML = Object.entries(tables)
+      .map(([id, table]) => {
+        const segment = this.scenario.segments.find((candidate) => candidate.id === id)
+        const rows = table.length
+          ? table.map((entry) => `<tr><td><code>${entry.mac}</code></td><td>${entry.port}</td><td>Dinámica</td></tr>`).join("")
+          : `<tr><td colspan="3">Vacía: todavía no aprendió ninguna MAC</td></tr>`
+        return `
+          <div class="table-responsive">
+            <table class="speed-table">
+              <caption>Tabla MAC de ${segment.name}</caption>
+              <thead><tr><th>MAC</th><th>Puerto</th><th>Tipo</th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>`
+      })
+      .join("")
+
+    const routingHTML = router
+      ? `
+        <div class="table-responsive">
+          <table class="speed-table">
+            <caption>Tabla de enrutamiento de ${router.name}</caption>
+            <thead><tr><th>Red destino</th><th>Interfaz</th><th>Siguiente salto</th></tr></thead>
+            <tbody>
+              ${router.routes
+                .map(
+                  (route) => `
+                <tr${current?.route === route.cidr ? ' class="forwarding-match"' : ""}>
+                  <td><code>${route.cidr}</code></td><td>${route.iface}</td><td>${route.nextHop || "Conectada"}</td>
+                </tr>`,
+                )
+                .join("")}
+            </tbody>
+          </table>
+        </div>`
+      : ""
+
+    const hubNote =
+      this.scenario.segments.some((segment) => segment.device === "hub")
+        ? `<p class="subnet-note">Colisiones: <strong>${this.collisions}</strong> — el hub es un único dominio de colisión.</p>`
+        : ""
+    this.tables.innerHTML = `
+      <p class="subnet-note">Tramas enviadas: <strong>${this.frames}</strong>${this.steps.length ? ` — paso ${this.shown} de ${this.steps.length}` : ""}</p>
+      ${hubNote}
+      ${macTablesHTML}
+      ${routingHTML}
+    `
+  },
+}
+
+// ===== ARP / DHCP MODULE =====
+const LAN_SERVER = { name: "Router (servidor DHCP)", mac: "00:00:0C:9F:00:01" }
+
+const LAN_CLIENTS = [
+  { name: "PC-A", mac: "00:1A:2B:00:00:0A" },
+  { name: "PC-B", mac: "00:1A:2B:00:00:0B" },
+  { name: "PC-C", mac: "00:1A:2B:00:00:0C" },
+  { name: "PC-D", mac: "00:1A:2B:00:00:0D" },
+]
+
+const DHCP = {
+  // The server takes the first usable address and doubles as gateway; the
+  // rest of the subnet is the pool
+  createPool(cidr, leaseTime) {
+    const { address, prefix } = IPv4.parseCidr(cidr)
+    if (prefix > 30) throw new Error("La subred necesita al menos un /30 para tener direcciones que repartir")
+    if (!Number.isInteger(leaseTime) || leaseTime <= 0) throw new Error("El tiempo de concesión debe ser un número entero de segundos mayor que 0")
+
+    const info = IPv4.calculate(address, prefix)
+    return {
+      network: info.network,
+      prefix,
+      mask: info.mask,
+      server: info.firstHost,
+      first: info.firstHost + 1,
+      last: info.lastHost,
+      dns: IPv4.parse("8.8.8.8"),
+      leaseTime,
+      leases: [],
+      xid: 0x3903f326,
+    }
+  },
+
+  size(pool) {
+    return pool.last - pool.first + 1
+  },
+
+  // Drops leases whose time ran out and returns the freed ones
+  expire(pool, now) {
+    const expired = pool.leases.filter((lease) => lease.expires <= now)
+    pool.leases = pool.leases.filter((lease) => lease.expires > now)
+    return expired
+  },
+
+  // Same address for a known MAC, else the lowest free one
+  pick(pool, mac) {
+    const existing = pool.leases.find((lease) => lease.mac === mac)
+    if (existing) return existing.ip
+    const taken = new Set(pool.leases.map((lease) => lease.ip))
+    for (let ip = pool.first; ip <= pool.last; ip++) {
+      if (!taken.has(ip)) return ip
+    }
+    return null
+  },
+
+  // Discover / Offer / Request / Ack. Without free addresses the server stays
+  // silent and the client is left with only the Discover.
+  dora(pool, client, now) {
+    const xid = `0x${(pool.xid++ >>> 0).toString(16)}`
+    const serverIp = IPv4.format(pool.server)
+    const base = (type, from, to, fields) => ({ type, from, to, fields })
+    const clientHeaders = (ethDst) => [
+      ["Ethernet origen", client.mac],
+      ["Ethernet destino", ethDst],
+      ["IP origen", "0.0.0.0"],
+      ["IP destino", "255.255.255.255"],
+      ["UDP", "68 → 67"],
+    ]
+    const serverHeaders = [
+      ["Ethernet origen", LAN_SERVER.mac],
+      ["Ethernet destino", BROADCAST_MAC],
+      ["IP origen", serverIp],
+      ["IP destino", "255.255.255.255"],
+      ["UDP", "67 → 68"],
+    ]
+    const previous = pool.leases.find((lease) => lease.mac === client.mac)
+
+    const messages = [
+      base("DHCPDISCOVER", "client", "server", [
+        ...clientHeaders(BROADCAST_MAC),
+        ["op", "1 (BOOTREQUEST)"],
+        ["xid", xid],
+        ["chaddr", client.mac],
+        ["ciaddr / yiaddr", "0.0.0.0 / 0.0.0.0"],
+        ["Opción 53", "1 (DHCPDISCOVER)"],
+        ...(previous ? [["Opción 50 (IP solicitada)", IPv4.format(previous.ip)]] : []),
+      ]),
+    ]
+
+    const offered = this.pick(pool, client.mac)
+    if (offered === null) return { messages, lease: null }
+
+    const offerOptions = (type) => [
+      ["yiaddr", IPv4.format(offered)],
+      ["siaddr", serverIp],
+      ["Opción 53", type],
+      ["Opción 1 (máscara)", IPv4.format(pool.mask)],
+      ["Opción 3 (router)", serverIp],
+      ["Opción 6 (DNS)", IPv4.format(pool.dns)],
+      ["Opción 51 (concesión)", `${pool.leaseTime} s`],
+      ["Opción 54 (servidor)", serverIp],
+    ]
+
+    messages.push(
+      base("DHCPOFFER", "server", "client", [...serverHeaders, ["op", "2 (BOOTREPLY)"], ["xid", xid], ["chaddr", client.mac], ...offerOptions("2 (DHCPOFFER)")]),
+      base("DHCPREQUEST", "client", "server", [
+        ...clientHeaders(BROADCAST_MAC),
+        ["op", "1 (BOOTREQUEST)"],
+        ["xid", xid],
+        ["chaddr", client.mac],
+        ["Opción 53", "3 (DHCPREQUEST)"],
+        ["Opción 50 (IP solicitada)", IPv4.format(offered)],
+        ["Opción 54 (servidor)", serverIp],
+      ]),
+      base("DHCPACK", "server", "client", [...serverHeaders, ["op", "2 (BOOTREPLY)"], ["xid", xid], ["chaddr", client.mac], ...offerOptions("5 (DHCPACK)")]),
+    )
+
+    pool.leases = pool.leases.filter((lease) => lease.mac !== client.mac)
+    const lease = { mac: client.mac, name: client.name, ip: offered, start: now, expires: now + pool.leaseTime }
+    pool.leases.push(lease)
+    pool.leases.sort((a, b) => a.ip - b.ip)
+    return { messages, lease }
+  },
+
+  release(pool, client) {
+    const lease = pool.leases.find((candidate) => candidate.mac === client.mac)
+    if (!lease) throw new Error(`${client.name} no tiene una dirección asignada`)
+    pool.leases = pool.leases.filter((candidate) => candidate !== lease)
+    return {
+      lease,
+      messages: [
+        {
+          type: "DHCPRELEASE",
+          from: "client",
+          to: "server",
+          fields: [
+            ["Ethernet origen", client.mac],
+            ["Ethernet destino", LAN_SERVER.mac],
+            ["IP origen", IPv4.format(lease.ip)],
+            ["IP destino", IPv4.format(pool.server)],
+            ["UDP", "68 → 67"],
+            ["ciaddr", IPv4.format(lease.ip)],
+            ["Opción 53", "7 (DHCPRELEASE)"],
+          ],
+        },
+      ],
+    }
+  },
+}
+
+const ARP = {
+  // Entries are { ip, mac, expires }; a cache is a plain array per host
+  expire(cache, now) {
+    return cache.filter((entry) => entry.expires > now)
+  },
+
+  remember(cache, ip, mac, expires) {
+    return [...cache.filter((entry) => entry.ip !== ip), { ip, mac, expires }].sort((a, b) => a.ip - b.ip)
+  },
+
+  // A host that loses its lease flushes its own cache, and the entries the
+  // other hosts kept for that address go with it
+  forget(caches, lease) {
+    return Object.fromEntries(
+      Object.entries(caches)
+        .filter(([name]) => name !== lease.name)
+        .map(([name, cache]) => [name, cache.filter((entry) => entry.ip !== lease.ip)]),
+    )
+  },
+
+  // hosts: [{ name, mac, ip }] with numeric ips. Returns the messages on the
+  // wire and the updated caches of source and target.
+  resolve(hosts, caches, sourceName, targetIp, now, ttl) {
+    const source = hosts.find((host) => host.name === sourceName)
+    if (!source || source.ip === null) throw new Error("El host de origen necesita una dirección IP (pedila por DHCP)")
+    if (targetIp === source.ip) throw new Error("El destino no puede ser la propia dirección del origen")
+
+    const cached = (caches[source.name] || []).find((entry) => entry.ip === targetIp)
+    if (cached) return { cached, messages: [], caches }
+
+    const target = hosts.find((host) => host.ip === targetIp)
+    const messages = [
+      {
+        type: "ARP Request",
+        from: "client",
+        to: "server",
+        broadcast: true,
+        fields: [
+          ["Ethernet origen", source.mac],
+          ["Ethernet destino", BROADCAST_MAC],
+          ["EtherType", "0x0806 (ARP)"],
+          ["Operación", "1 (request)"],
+          ["MAC emisor", source.mac],
+          ["IP emisor", IPv4.format(source.ip)],
+          ["MAC objetivo", "00:00:00:00:00:00"],
+          ["IP objetivo", IPv4.format(targetIp)],
+        ],
+      },
+    ]
+    if (!target) return { cached: null, messages, caches }
+
+    messages.push({
+      type: "ARP Reply",
+      from: "server",
+      to: "client",
+      fields: [
+        ["Ethernet origen", target.mac],
+        ["Ethernet destino", source.mac],
+        ["EtherType", "0x0806 (ARP)"],
+        ["Operación", "2 (reply)"],
+        ["MAC emisor", target.mac],
+        ["IP emisor", IPv4.format(target.ip)],
+        ["MAC objetivo", source.mac],
+        ["IP objetivo", IPv4.format(source.ip)],
+      ],
+    })
+
+    // The target also learns the sender from the request it answered
+    return {
+      cached: null,
+      messages,
+      target,
+      caches: {
+        ...caches,
+        [source.name]: this.remember(caches[source.name] || [], target.ip, target.mac, now + ttl),
+        [target.name]: this.remember(caches[target.name] || [], source.ip, source.mac, now + ttl),
+      },
+    }
+  },
+}
+
+const LanServicesVisualizer = {
+  TIME_STEP: 30,
+
+  init() {
+    this.container = document.getElementById("lan-services")
+    if (!this.container) return
+
+    this.subnetInput = document.getElementById("dhcp-subnet")
+    this.leaseInput = document.getElementById("dhcp-lease")
+    this.ttlInput = document.getElementById("arp-ttl")
+    this.clientSelect = document.getElementById("dhcp-client")
+    this.arpSource = document.getElementById("arp-source")
+    this.arpTarget = document.getElementById("arp-target")
+    this.sequence = this.container.querySelector(".sequence-diagram")
+    this.fields = this.container.querySelector(".sequence-fields")
+    this.status = this.container.querySelector(".lan-status")
+    this.tables = this.container.querySelector(".lan-tables")
+
+    this.clientSelect.innerHTML = LAN_CLIENTS.map((client) => `<option value="${client.name}">${client.name}</option>`).join("")
+    this.arpSource.innerHTML = this.clientSelect.innerHTML
+
+    const on = (action, handler) => utils.addEventListenerSafe(this.container.querySelector(`[data-lan='${action}']`), "click", handler)
+    on("configure", () => this.configure())
+    on("dora", () => this.requestAddress())
+    on("release", () => this.releaseAddress())
+    on("arp", () => this.resolveAddress())
+    on("clock", () => this.advance(this.TIME_STEP))
+    utils.addEventListenerSafe(this.sequence, "click", (e) => {
+      const message = e.target.closest("[data-message]")
+      if (message) this.inspect(Number(message.dataset.message))
+    })
+
+    this.configure()
+  },
+
+  configure() {
+    try {
+      this.pool = DHCP.createPool(this.subnetInput.value, Number(this.leaseInput.value))
+      this.now = 0
+      this.caches = {}
+      this.messages = []
+      this.sequence.innerHTML = ""
+      this.fields.innerHTML = ""
+      const size = DHCP.size(this.pool)
+      this.showStatus(`Pool listo: ${size} ${size === 1 ? "dirección" : "direcciones"} para repartir. El servidor usa ${IPv4.format(this.pool.server)}.`)
+      this.render()
+    } catch (error) {
+      this.showStatus(error.message, true)
+    }
+  },
+
+  ttl() {
+    const value = Number(this.ttlInput.value)
+    if (!Number.isInteger(value) || value <= 0) throw new Error("La duración de la caché ARP debe ser un número entero de segundos mayor que 0")
+    return value
+  },
+
+  client(name) {
+    return LAN_CLIENTS.find((client) => client.name === name)
+  },
+
+  // Every station on the LAN with its current address (null without lease)
+  hosts() {
+    return [
+      { name: LAN_SERVER.name, mac: LAN_SERVER.mac, ip: this.pool.server },
+      ...LAN_CLIENTS.map((client) => ({ ...client, ip: this.pool.leases.find((lease) => lease.mac === client.mac)?.ip ?? null })),
+    ]
+  },
+
+  requestAddress() {
+    if (!this.pool) return
+    const client = this.client(this.clientSelect.value)
+    const { messages, lease } = DHCP.dora(this.pool, client, this.now)
+    this.play(client.name, LAN_SERVER.name, messages)
+    this.showStatus(
+      lease
+        ? `${client.name} obtuvo ${IPv4.format(lease.ip)}/${this.pool.prefix} por ${this.pool.leaseTime} s.`
+        : `El pool está agotado: el servidor no responde y ${client.name} se queda sin dirección.`,
+      !lease,
+    )
+    this.render()
+  },
+
+  releaseAddress() {
+    if (!this.pool) return
+    try {
+      const client = this.client(this.clientSelect.value)
+      const { messages, lease } = DHCP.release(this.pool, client)
+      this.caches = ARP.forget(this.caches, lease)
+      this.play(client.name, LAN_SERVER.name, messages)
+      this.showStatus(`${client.name} liberó ${IPv4.format(lease.ip)}, que vuelve al pool.`)
+      this.render()
+    } catch (error) {
+      this.showStatus(error.message, true)
+    }
+  },
+
+  resolveAddress() {
+    if (!this.pool) return
+    try {
+      const targetIp = IPv4.parse(this.arpTarget.value)
+      const result = ARP.resolve(this.hosts(), this.caches, this.arpSource.value, targetIp, this.now, this.ttl())
+      this.caches = result.caches
+
+      if (result.cached) {
+        this.showStatus(`${this.arpSource.value} ya tiene ${IPv4.format(targetIp)} en su caché (${result.cached.mac}): no envía nada. Expira en ${result.cached.expires - this.now} s.`)
+      } else {
+        this.play(this.arpSource.value, result.target ? result.target.name : IPv4.format(targetIp), result.messages)
+        this.showStatus(
+          result.target
+            ? `${this.arpSource.value} guarda ${IPv4.format(targetIp)} → ${result.target.mac} en su caché.`
+            : `Nadie tiene ${IPv4.format(targetIp)}: el request no recibe respuesta.`,
+          !result.target,
+        )
+      }
+      this.render()
+    } catch (error) {
+      this.showStatus(error.message, true)
+    }
+  },
+
+  advance(seconds) {
+    if (!this.pool) return
+    this.now += seconds
+    const expired = DHCP.expire(this.pool, this.now)
+    const before = Object.values(this.caches).reduce((total, cache) => total + cache.length, 0)
+    expired.forEach((lease) => {
+      this.caches = ARP.forget(this.caches, lease)
+    })
+    this.caches = Object.fromEntries(Object.entries(this.caches).map(([name, cache]) => [name, ARP.expire(cache, this.now)]))
+    const after = Object.values(this.caches).reduce((total, cache) => total + cache.length, 0)
+
+    const notes = []
+    if (expired.length) notes.push(`vencieron las concesiones de ${expired.map((lease) => lease.name).join(", ")}`)
+    if (before > after) notes.push(`se borraron ${before - after} entradas ARP`)
+    this.showStatus(`Reloj: ${this.now} s${notes.length ? ` — ${notes.join("; ")}.` : "."}`)
+    this.render()
+  },
+
+  // Draws the exchange as a two-lane sequence diagram; each arrow is delayed
+  // by CSS so the messages appear one after another
+  play(left, right, messages) {
+    this.messages = messages
+    const arrows = messages
+      .map(
+        (message, index) => `
+          <li>
+            <button type="button" class="sequence-message ${message.from === "client" ? "to-right" : "to-left"}" data-message="${index}" style="animation-delay: ${index * 0.6}s">
+              <span>${message.type}</span>
+              <small>${message.fields.find(([name]) => name === "Ethernet destino")[1] === BROADCAST_MAC ? "broadcast" : "unicast"}</small>
+            </button>
+          </li>`,
+      )
+      .join("")
+    this.sequence.innerHTML = `
+      <div class="sequence-lanes"><span>${utils.escapeHTML(left)}</span><span>${utils.escapeHTML(right)}</span></div>
+      <ol>${arrows}</ol>
+    `
+    this.inspect(0)
+  },
+
+  inspect(index) {
+    const message = this.messages[index]
+    if (!message) return
+    this.sequence.querySelectorAll("[data-message]").forEach((button) => {
+      button.setAttribute("aria-pressed", String(Number(button.dataset.message) === index))
+    })
+    this.fields.innerHTML = `
+      <div class="table-responsive">
+        <table class="speed-table">
+          <caption>Campos de ${message.type}</caption>
+          <tbody>${message.fields.map(([name, value]) => `<tr><th scope="row">${name}</th><td><code>${value}</code></td></tr>`).join("")}</tbody>
+        </table>
+      </div>
+    `
+  },
+
+  showStatus(message, isError = false) {
+    this.status.className = `lan-status ${isError ? "error" : "lan-ok"}`
+    this.status.textContent = message
+  },
+
+  render() {
+    const hosts = this.hosts()
+    const selected = this.arpTarget.value
+    this.arpTarget.innerHTML = hosts
+      .filter((host) => host.ip !== null)
+      .map((host) => `<option value="${IPv4.format(host.ip)}">${IPv4.format(host.ip)} (${host.name})</option>`)
+      .join("")
+    if ([...this.arpTarget.options].some((option) => option.value === selected)) this.arpTarget.value = selected
+
+    const used = this.pool.leases.length
+    const leaseRows = this.pool.leases.length
+      ? this.pool.leases
+          .map((lease) => `<tr><td><code>${IPv4.format(lease.ip)}</code></td><td>${lease.name}</td><td><code>${lease.mac}</code></td><td>${lease.expires - this.now} s</td></tr>`)
+          .join("")
+      : `<tr><td colspan="4">Sin concesiones</td></tr>`
+
+    const cacheTables = hosts
+      .map((host) => {
+        const cache = this.caches[host.name] || []
+        const rows = cache.length
+          ? cache.map((entry) => `<tr><td><code>${IPv4.format(entry.ip)}</code></td><td><code>${entry.mac}</code></td><td>${entry.expires - this.now} s</td></tr>`).join("")
+          : `<tr><td colspan="3">Vacía</td></tr>`
+        return `
+          <div class="table-responsive">
+            <table class="speed-table">
+              <caption>Caché ARP de ${host.name}${host.ip !== null ? ` (${IPv4.format(host.ip)})` : " (sin IP)"}</caption>
+              <thead><tr><th>IP</th><th>MAC</th><th>Expira en</th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>`
+      })
+      .join("")
+
+    this.tables.innerHTML = `
+      <p class="subnet-note">Reloj simulado: <strong>${this.now} s</strong> — Pool ${IPv4.format(this.pool.first)} a ${IPv4.format(this.pool.last)}: ${used} de ${DHCP.size(this.pool)} en uso.</p>
+      <div class="table-responsive">
+        <table class="speed-table">
+          <caption>Concesiones del servidor DHCP</caption>
+          <thead><tr><th>IP</th><th>Cliente</th><th>MAC</th><th>Vence en</th></tr></thead>
+          <tbody>${leaseRows}</tbody>
+        </table>
+      </div>
+      <div class="lan-caches">${cacheTables}</div>
+    `
+  },
+}
+
+// ===== DNS SIMULATOR MODULE =====
+// Resolution runs entirely against the bundled zones: each zone is answered
+// by one server, parents delegate children with NS records plus glue.
+const DNS = {
+  TYPES: ["A", "AAAA", "CNAME", "MX", "NS", "PTR"],
+  MAX_ALIASES: 8,
+  MAX_REFERRALS: 10,
+
+  // "WWW.Ejemplo.com" -> "www.ejemplo.com."
+  normalize(name) {
+    const text = String(name).trim().toLowerCase().replace(/\.?$/, ".")
+    if (text === ".") throw new Error("Escribí un nombre de dominio")
+    const labels = text.slice(0, -1).split(".")
+    if (text.length > 254 || labels.some((label) => !/^[a-z0-9_]([a-z0-9-]{0,61}[a-z0-9])?$/.test(label))) {
+      throw new Error(`"${String(name).trim()}" no es un nombre de dominio válido`)
+    }
+    return text
+  },
+
+  // "198.51.100.25" -> "25.100.51.198.in-addr.arpa."
+  reverseName(address) {
+    return `${IPv4.format(IPv4.parse(address)).split(".").reverse().join(".")}.in-addr.arpa.`
+  },
+
+  isWithin(name, zone) {
+    return zone === "." || name === zone || name.endsWith(`.${zone}`)
+  },
+
+  // What the server of `zone` answers for name/type: a referral to a child
+  // zone, the records, a CNAME to follow, or an empty/negative answer
+  answer(zone, name, type) {
+    const cut = zone.records
+      .filter((record) => record.type === "NS" && record.name !== zone.name && this.isWithin(name, record.name))
+      .sort((a, b) => b.name.length - a.name.length)[0]
+    if (cut) {
+      const ns = zone.records.filter((record) => record.type === "NS" && record.name === cut.name)
+      const glue = zone.records.filter((record) => record.type === "A" && ns.some((server) => server.value === record.name))
+      return { kind: "referral", zone: cut.name, records: ns, glue }
+    }
+
+    const owned = zone.records.filter((record) => record.name === name)
+    const exact = owned.filter((record) => record.type === type)
+    if (exact.length > 0) return { kind: "answer", records: exact }
+
+    const alias = owned.find((record) => record.type === "CNAME")
+    if (alias) return { kind: "cname", records: [alias] }
+
+    // A name with children but no records of its own still exists
+    const exists = owned.length > 0 || zone.records.some((record) => record.name.endsWith(`.${name}`))
+    return { kind: exists ? "nodata" : "nxdomain", records: [] }
+  },
+
+  cacheGet(cache, name, type, now) {
+    const entry = cache.get(`${name}|${type}`)
+    if (!entry) return null
+    if (entry.expires <= now) {
+      cache.delete(`${name}|${type}`)
+      return null
+    }
+    return entry
+  },
+
+  // Records sharing name and type live and die together, with the lowest TTL
+  cachePut(cache, records, now) {
+    const groups = new Map()
+    records.forEach((record) => {
+      const key = `${record.name}|${record.type}`
+      groups.set(key, [...(groups.get(key) || []), record])
+    })
+    groups.forEach((group, key) => {
+      cache.set(key, { name: group[0].name, type: group[0].type, records: group, expires: now + Math.min(...group.map((record) => record.ttl)) })
+    })
+  },
+
+  cacheNegative(cache, name, type, rcode, ttl, now) {
+    cache.set(`${name}|${type}`, { name, type, records: [], rcode, negative: true, expires: now + ttl })
+  },
+
+  // Closest zone whose servers the resolver already knows
+  closestZone(cache, name, now) {
+    const labels = name.slice(0, -1).split(".")
+    for (let index = 0; index < labels.length; index++) {
+      const zone = `${labels.slice(index).join(".")}.`
+      if (this.cacheGet(cache, zone, "NS", now)) return zone
+    }
+    return "."
+  },
+
+  describe(records) {
+    return records.map((record) => `${record.name} ${record.type} ${record.value}`)
+  },
+
+  // Full resolution as a recursive resolver would do it on behalf of a client
+  resolve(dataset, cache, query, type, now) {
+    if (!this.TYPES.includes(type)) throw new Error(`Tipo de registro no soportado: ${type}`)
+    const isAddress = /^\d+(\.\d+){3}$/.test(String(query).trim())
+    if (isAddress && type !== "PTR") throw new Error("Para consultar una dirección IP elegí el tipo PTR")
+    const name = isAddress ? this.reverseName(query) : this.normalize(query)
+
+    const steps = []
+    const answers = []
+    const finish = (rcode) => {
+      steps.push({
+        from: "Resolver",
+        to: "Cliente",
+        kind: rcode === "NOERROR" && answers.length > 0 ? "answer" : "negative",
+        text:
+          rcode !== "NOERROR"
+            ? `Respuesta ${rcode}`
+            : answers.length === 0
+              ? "Respuesta NOERROR sin registros (NODATA)"
+              : `Respuesta recursiva con ${answers.length} registro${answers.length === 1 ? "" : "s"}`,
+        records: this.describe(answers),
+      })
+      return { name, type, rcode, answers, steps }
+    }
+
+    const local = (dataset.hosts || []).filter((record) => record.name === name && record.type === type)
+    if (local.length > 0) {
+      answers.push(...local.map((record) => ({ ...record, ttl: 0 })))
+      steps.push({ from: "Cliente", to: "Archivo hosts", kind: "hosts", text: "Coincidencia en el archivo hosts local: no se consulta ningún servidor", records: this.describe(local) })
+      return { name, type, rcode: "NOERROR", answers, steps }
+    }
+    steps.push({ from: "Cliente", to: "Resolver", kind: "query", text: `Consulta recursiva (RD=1): ${name} ${type}` })
+
+    let current = name
+    for (let alias = 0; alias <= this.MAX_ALIASES; alias++) {
+      const cached = this.cacheGet(cache, current, type, now)
+      if (cached) {
+        steps.push({
+          from: "Resolver",
+          to: "Caché",
+          kind: "cache",
+          text: cached.negative ? `${current} ${type}: ${cached.rcode} en caché (${cached.expires - now} s restantes)` : `${current} ${type} en caché (${cached.expires - now} s restantes)`,
+          records: this.describe(cached.records),
+        })
+        if (cached.negative) return finish(cached.rcode)
+        answers.push(...cached.records)
+        return finish("NOERROR")
+      }
+
+      const cachedAlias = type !== "CNAME" && this.cacheGet(cache, current, "CNAME", now)
+      if (cachedAlias) {
+        steps.push({ from: "Resolver", to: "Caché", kind: "cache", text: `Alias de ${current} en caché (${cachedAlias.expires - now} s restantes)`, records: this.describe(cachedAlias.records) })
+        answers.push(...cachedAlias.records)
+        current = cachedAlias.records[0].value
+        continue
+      }
+
+      let zoneName = this.closestZone(cache, current, now)
+      if (zoneName !== ".") {
+        steps.push({ from: "Resolver", to: "Caché", kind: "cache", text: `Ya conoce los servidores de ${zoneName}: saltea la raíz${zoneName.split(".").length > 2 ? " y el TLD" : ""}` })
+      }
+
+      let response
+      for (let referrals = 0; ; referrals++) {
+        const zone = dataset.zones.find((candidate) => candidate.name === zoneName)
+        if (!zone || referrals > this.MAX_REFERRALS) {
+          steps.push({ from: "Resolver", to: zoneName, kind: "negative", text: "No hay servidores disponibles para esa zona (SERVFAIL)" })
+          return finish("SERVFAIL")
+        }
+
+        response = this.answer(zone, current, type)
+        const server = `${zone.server.name} (${zone.server.ip})`
+        if (response.kind !== "referral") {
+          steps.push({
+            from: "Resolver",
+            to: server,
+            kind: response.kind,
+            zone: zone.name,
+            text: {
+              answer: `Respuesta autoritativa (AA=1) de la zona ${zone.name}`,
+              cname: `${current} es un alias: hay que resolver ${response.records[0]?.value}`,
+              nodata: `El nombre existe pero no tiene registros ${type} (NOERROR sin respuestas)`,
+              nxdomain: `${current} no existe en la zona ${zone.name} (NXDOMAIN)`,
+            }[response.kind],
+            query: `${current} ${type}`,
+            records: this.describe(response.records),
+          })
+          break
+        }
+
+        this.cachePut(cache, [...response.records, ...response.glue], now)
+        steps.push({
+          from: "Resolver",
+          to: server,
+          kind: "referral",
+          zone: zone.name,
+          query: `${current} ${type}`,
+          text: `Referencia: no es autoritativo, pregunte a los servidores de ${response.zone}`,
+          records: this.describe([...response.records, ...response.glue]),
+        })
+        zoneName = response.zone
+      }
+
+      if (response.kind === "nodata" || response.kind === "nxdomain") {
+        const rcode = response.kind === "nxdomain" ? "NXDOMAIN" : "NOERROR"
+        this.cacheNegative(cache, current, type, rcode, dataset.negativeTtl || 300, now)
+        return finish(rcode)
+      }
+
+      this.cachePut(cache, response.records, now)
+      answers.push(...response.records)
+      if (response.kind === "answer") return finish("NOERROR")
+      current = response.records[0].value
+    }
+    throw new Error("Demasiados alias CNAME encadenados")
+  },
+
+  // NetBIOS names are flat: the WINS server is asked first and, on a miss,
+  // the client falls back to a broadcast on its own subnet (h-node)
+  resolveNetBIOS(wins, query) {
+    const name = String(query).trim().toUpperCase()
+    if (!/^[A-Z0-9!@#$%^&()'{}~_-]{1,15}$/.test(name)) {
+      throw new Error("Un nombre NetBIOS tiene hasta 15 caracteres y no lleva puntos")
+    }
+
+    const steps = [
+      {
+        from: "Cliente",
+        to: `${wins.server.name} (${wins.server.ip})`,
+        kind: "query",
+        text: `Consulta de nombre NetBIOS ${name} en unicast (UDP 137)`,
+      },
+    ]
+    const registered = wins.records.find((record) => record.name === name)
+    if (registered) {
+      steps.push({ from: wins.server.name, to: "Cliente", kind: "answer", text: `${name} está registrado en la tabla WINS: ${registered.ip}`, records: [`${name} <${registered.type}> ${registered.ip}`] })
+      return { name, found: registered, steps }
+    }
+
+    steps.push({ from: wins.server.name, to: "Cliente", kind: "nxdomain", text: `${name} no se registró en el servidor WINS` })
+    steps.push({ from: "Cliente", to: "Broadcast de la subred", kind: "query", text: `Name Query por broadcast (UDP 137): solo llega a los equipos de la misma subred` })
+    const local = wins.subnet.find((record) => record.name === name)
+    if (local) {
+      steps.push({ from: name, to: "Cliente", kind: "answer", text: `${name} responde él mismo: ${local.ip}`, records: [`${name} ${local.ip}`] })
+      return { name, found: local, steps }
+    }
+    steps.push({ from: "Broadcast de la subred", to: "Cliente", kind: "nxdomain", text: "Nadie responde: el nombre no se puede resolver" })
+    return { name, found: null, steps }
+  },
+}
+
+const DNSSimulator = {
+  init() {
+    this.container = document.getElementById("dns-simulator")
+    if (!this.container) return
+
+    this.nameInput = document.getElementById("dns-name")
+    this.typeSelect = document.getElementById("dns-type")
+    this.netbiosInput = document.getElementById("netbios-name")
+    this.trace = this.container.querySelector(".dns-trace")
+    this.cacheView = this.container.querySelector(".dns-cache")
+    this.cache = new Map()
+    this.now = 0
+
+    this.container.querySelectorAll("[data-dns-example]").forEach((button) => {
+      utils.addEventListenerSafe(button, "click", () => {
+        const [name, type] = button.dataset.dnsExample.split(" ")
+        this.nameInput.value = name
+        this.typeSelect.value = type
+        this.resolve()
+      })
+    })
+    this.container.querySelectorAll("[data-netbios-example]").forEach((button) => {
+      utils.addEventListenerSafe(button, "click", () => {
+        this.netbiosInput.value = button.dataset.netbiosExample
+        this.resolveNetBIOS()
+      })
+    })
+    this.container.querySelectorAll("[data-dns-clock]").forEach((button) => {
+      utils.addEventListenerSafe(button, "click", () => this.advance(Number(button.dataset.dnsClock)))
+    })
+    utils.addEventListenerSafe(document.getElementById("dns-resolve"), "click", () => this.resolve())
+    utils.addEventListenerSafe(document.getElementById("netbios-resolve"), "click", () => this.resolveNetBIOS())
+    utils.addEventListenerSafe(document.getElementById("dns-flush"), "click", () => {
+      this.cache.clear()
+      this.renderCache()
+    })
+    utils.addEventListenerSafe(this.nameInput, "keydown", (e) => {
+      if (e.key === "Enter") this.resolve()
+    })
+    utils.addEventListenerSafe(this.netbiosInput, "keydown", (e) => {
+      if (e.key === "Enter") this.resolveNetBIOS()
+    })
+
+    this.load()
+  },
+
+  async load() {
+    try {
+      const response = await fetch(this.container.dataset.zones)
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} fetching ${this.container.dataset.zones}`)
+      }
+      this.dataset = await response.json()
+      this.renderCache()
+    } catch (error) {
+      console.error("DNS zones could not be loaded:", error)
+      this.trace.innerHTML = `<p class="error">No se pudieron cargar las zonas DNS. Abrí el sitio desde un servidor web para usar el simulador.</p>`
+    }
+  },
+
+  resolve() {
+    if (!this.dataset) return
+    try {
+      const result = DNS.resolve(this.dataset, this.cache, this.nameInput.value, this.typeSelect.value, this.now)
+      this.renderTrace(`${result.name} ${result.type} → ${result.rcode}`, result.steps)
+      this.renderCache()
+    } catch (error) {
+      this.trace.innerHTML = `<p class="error">${utils.escapeHTML(error.message)}</p>`
+    }
+  },
+
+  resolveNetBIOS() {
+    if (!this.dataset) return
+    try {
+      const result = DNS.resolveNetBIOS(this.dataset.wins, this.netbiosInput.value)
+      this.renderTrace(`NetBIOS ${result.name} → ${result.found ? result.found.ip : "sin resolver"}`, result.steps)
+    } catch (error) {
+      this.trace.innerHTML = `<p class="error">${utils.escapeHTML(error.message)}</p>`
+    }
+  },
+
+  advance(seconds) {
+    this.now += seconds
+    this.cache.forEach((entry, key) => {
+      if (entry.expires <= this.now) this.cache.delete(key)
+    })
+    this.renderCache()
+  },
+
+  renderTrace(title, steps) {
+    const rows = steps
+      .map(
+        (step, index) => `
+          <li class="dns-step ${step.kind}">
+            <span class="dns-step-route">${index + 1}. ${utils.escapeHTML(step.from)} → ${utils.escapeHTML(step.to)}</span>
+            ${step.query ? `<code>${utils.escapeHTML(step.query)}</code>` : ""}
+            <p>${utils.escapeHTML(step.text)}</p>
+            ${step.records?.length ? `<ul>${step.records.map((record) => `<li><code>${utils.escapeHTML(record)}</code></li>`).join("")}</ul>` : ""}
+          </li>`,
+      )
+      .join("")
+    this.trace.innerHTML = `<h4>${utils.escapeHTML(title)}</h4><ol>${rows}</ol>`
+  },
+
+  renderCache() {
+    const entries = [...this.cache.values()].sort((a, b) => a.expires - b.expires)
+    const rows = entries.length
+      ? entries
+          .map(
+            (entry) => `
+            <tr>
+              <td><code>${entry.name}</code></td>
+              <td>${entry.type}</td>
+              <td>${entry.negative ? `<em>${entry.rcode} (caché negativa)</em>` : entry.records.map((record) => `<code>${record.value}</code>`).join("<br>")}</td>
+              <td>${(entry.expires - this.now).toLocaleString("es-AR")} s</td>
+            </tr>`,
+          )
+          .join("")
+      : `<tr><td colspan="4">La caché está vacía</td></tr>`
+    this.cacheView.innerHTML = `
+      <p class="subnet-note">Reloj simulado: <strong>${this.now.toLocaleString("es-AR")} s</strong></p>
+      <div class="table-responsive">
+        <table class="speed-table">
+          <caption>Caché del resolver</caption>
+          <thead><tr><th>Nombre</th><th>Tipo</th><th>Valor</th><th>TTL restante</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `
+  },
+}
+
+// ===== RIP SIMULATOR MODULE =====
+// Distance-vector routing in synchronous rounds: every router advertises the
+// table it had at the start of the round, the way RIP's 30 second updates
+// cross on the wire, and then processes what its neighbors sent.
+const RIP_TOPOLOGIES = {
+  line: {
+    name: "Tres routers en línea",
+    description: "R3 solo se alcanza a través de R2. Hacé que converja, cortá el enlace R2–R3 y avanzá ronda por ronda sin split horizon para ver la cuenta al infinito.",
+    routers: [
+      { id: "R1", x: 110, y: 110, networks: ["10.1.0.0/24"] },
+      { id: "R2", x: 320, y: 110, networks: ["10.2.0.0/24"] },
+      { id: "R3", x: 530, y: 110, networks: ["10.3.0.0/24"] },
+    ],
+    links: [
+      { id: "R1-R2", a: "R1", b: "R2" },
+      { id: "R2-R3", a: "R2", b: "R3" },
+    ],
+  },
+  ring: {
+    name: "Anillo de cuatro routers",
+    description: "Hay dos caminos hacia cada red. Cortá un enlace y mirá cómo RIP encuentra el camino alternativo, aunque tenga más saltos.",
+    routers: [
+      { id: "R1", x: 160, y: 60, networks: ["10.1.0.0/24"] },
+      { id: "R2", x: 480, y: 60, networks: ["10.2.0.0/24"] },
+      { id: "R3", x: 480, y: 180, networks: ["10.3.0.0/24"] },
+      { id: "R4", x: 160, y: 180, networks: ["10.4.0.0/24", "192.168.0.0/16"] },
+    ],
+    links: [
+      { id: "R1-R2", a: "R1", b: "R2" },
+      { id: "R2-R3", a: "R2", b: "R3" },
+      { id: "R3-R4", a: "R3", b: "R4" },
+      { id: "R4-R1", a: "R4", b: "R1" },
+    ],
+  },
+  triangle: {
+    name: "Triángulo con un router colgado",
+    description: "R1, R2 y R3 forman un lazo y R4 cuelga de R3. Cortá R3–R4: en la misma ronda R1 y R2 escuchan el 16 de R3 y la ruta vieja del otro. Aun con split horizon o poison reverse, la ruta falsa da vueltas al triángulo y la métrica sube hasta 16.",
+    routers: [
+      { id: "R1", x: 120, y: 60, networks: ["10.1.0.0/24"] },
+      { id: "R2", x: 120, y: 180, networks: ["10.2.0.0/24"] },
+      { id: "R3", x: 330, y: 120, networks: ["10.3.0.0/24"] },
+      { id: "R4", x: 540, y: 120, networks: ["10.4.0.0/24"] },
+    ],
+    links: [
+      { id: "R1-R3", a: "R1", b: "R3" },
+      { id: "R2-R3", a: "R2", b: "R3" },
+      { id: "R1-R2", a: "R1", b: "R2" },
+      { id: "R3-R4", a: "R3", b: "R4" },
+    ],
+  },
+}
+
+const RIP = {
+  INFINITY: 16,
+  // Six silent updates (180 s) expire a route; unreachable routes are still
+  // advertised for four more (120 s) before being flushed
+  TIMEOUT_ROUNDS: 6,
+  GARBAGE_ROUNDS: 4,
+  MAX_ROUNDS: 40,
+
+  createState(topology) {
+    const tables = {}
+    topology.routers.forEach((router) => {
+      tables[router.id] = router.networks.map((network) => ({ network, metric: 0, nextHop: null, link: null, age: 0, garbage: 0 }))
+    })
+    return { tables, down: new Set(), round: 0 }
+  },
+
+  neighbors(topology, state, routerId) {
+    return topology.links
+      .filter((link) => !state.down.has(link.id) && (link.a === routerId || link.b === routerId))
+      .map((link) => ({ id: link.a === routerId ? link.b : link.a, link: link.id }))
+  },
+
+  // What `from` tells `to`, applying split horizon or poison reverse
+  advertisement(table, to, options) {
+    return table
+      .filter((route) => route.nextHop !== to || options.poisonReverse || !options.splitHorizon)
+      .map((route) => ({
+        network: route.network,
+        metric: route.nextHop === to && options.poisonReverse ? this.INFINITY : route.metric,
+      }))
+  },
+
+  // One update round. Returns the log lines describing what changed.
+  round(topology, state, options) {
+    const snapshot = JSON.parse(JSON.stringify(state.tables))
+    const changes = []
+    state.round++
+
+    topology.routers.forEach((router) => {
+      const table = state.tables[router.id]
+      table.forEach((route) => {
+        if (route.metric >= this.INFINITY) route.garbage++
+        else if (route.nextHop) route.age++
+      })
+
+      this.neighbors(topology, state, router.id).forEach((neighbor) => {
+        this.advertisement(snapshot[neighbor.id], router.id, options).forEach((advertised) => {
+          const metric = Math.min(advertised.metric + 1, this.INFINITY)
+          const route = table.find((candidate) => candidate.network === advertised.network)
+
+          if (!route) {
+            if (metric >= this.INFINITY) return
+            table.push({ network: advertised.network, metric, nextHop: neighbor.id, link: neighbor.link, age: 0, garbage: 0 })
+            changes.push({ router: router.id, network: advertised.network, text: `${router.id} aprende ${advertised.network} por ${neighbor.id} a ${this.describeMetric(metric)}` })
+          } else if (route.nextHop === neighbor.id) {
+            // News from the current next hop is always believed, even if worse
+            route.age = 0
+            if (metric === route.metric) return
+            const text = metric >= this.INFINITY
+              ? `${router.id} se entera por ${neighbor.id} de que ${advertised.network} es inalcanzable (16)`
+              : `${router.id} cambia ${advertised.network} de ${this.describeMetric(route.metric)} a ${this.describeMetric(metric)} porque ${neighbor.id} lo anuncia así`
+            changes.push({ router: router.id, network: advertised.network, text, increase: metric > route.metric })
+            route.metric = metric
+            route.garbage = 0
+          } else if (metric < route.metric) {
+            const previous = route.nextHop ? `por ${route.nextHop} a ${this.describeMetric(route.metric)}` : "conectada"
+            Object.assign(route, { metric, nextHop: neighbor.id, link: neighbor.link, age: 0, garbage: 0 })
+            changes.push({ router: router.id, network: advertised.network, text: `${router.id} reemplaza ${advertised.network} (${previous}) por la ruta de ${neighbor.id} a ${this.describeMetric(metric)}` })
+          }
+        })
+      })
+
+      table
+        .filter((route) => route.metric < this.INFINITY && route.age > this.TIMEOUT_ROUNDS)
+        .forEach((route) => {
+          route.metric = this.INFINITY
+          route.garbage = 0
+          changes.push({ router: router.id, network: route.network, text: `${router.id} no recibe noticias de ${route.network} por ${route.nextHop} hace 180 s: la marca como inalcanzable (16)` })
+        })
+
+      for (let index = table.length - 1; index >= 0; index--) {
+        if (table[index].garbage > this.GARBAGE_ROUNDS) {
+          changes.push({ router: router.id, network: table[index].network, text: `${router.id} borra ${table[index].network} después de anunciarla como inalcanzable` })
+          table.splice(index, 1)
+        }
+      }
+    })
+    return changes
+  },
+
+  // Converged once a round changes nothing, every learned route was refreshed
+  // by its next hop and no dead route waits to be flushed
+  isStable(state, changes) {
+    return (
+      changes.length === 0 &&
+      Object.values(state.tables).every((table) => table.every((route) => route.metric < this.INFINITY && (!route.nextHop || route.age === 0)))
+    )
+  },
+
+  // Runs rounds until stable; the cap keeps naive RIP from looping forever
+  converge(topology, state, options) {
+    const log = []
+    for (let count = 0; count < this.MAX_ROUNDS; count++) {
+      const changes = this.round(topology, state, options)
+      log.push({ round: state.round, changes })
+      if (this.isStable(state, changes)) break
+    }
+    return log
+  },
+
+  // A router notices its own interface going down right away and poisons
+  // every route that used it. Bringing it up just lets updates flow again.
+  setLink(topology, state, linkId, up) {
+    const link = topology.links.find((candidate) => candidate.id === linkId)
+    if (up) {
+      state.down.delete(linkId)
+      return [{ text: `Se restablece el enlace ${link.a}–${link.b}. Los routers se enterarán en la próxima ronda.` }]
+    }
+    state.down.add(linkId)
+    const changes = [{ text: `Se cae el enlace ${link.a}–${link.b}` }]
+    ;[link.a, link.b].forEach((routerId) => {
+      state.tables[routerId]
+        .filter((route) => route.link === linkId && route.metric < this.INFINITY)
+        .forEach((route) => {
+          route.metric = this.INFINITY
+          route.garbage = 0
+          changes.push({ router: routerId, network: route.network, text: `${routerId} marca ${route.network} como inalcanzable (16)` })
+        })
+    })
+    return changes
+  },
+
+  describeMetric(metric) {
+    if (metric >= this.INFINITY) return "16 (infinito)"
+    return `${metric} salto${metric === 1 ? "" : "s"}`
+  },
+
+  // ----- Longest prefix match over a hand-written table -----
+
+  // One route per line: "network/prefix next-hop"
+  parseTable(text) {
+    return String(text)
+      .split("\n")
+      .map((line, index) => ({ line: line.replace(/#.*/, "").trim(), number: index + 1 }))
+      .filter(({ line }) => line)
+      .map(({ line, number }) => {
+        const [cidr, ...rest] = line.split(/\s+/)
+        let parsed
+        try {
+          parsed = IPv4.parseCidr(cidr)
+        } catch (error) {
+          throw new Error(`Línea ${number}: ${error.message}`)
+        }
+        const network = IPv4.calculate(parsed.address, parsed.prefix).network
+        if (network !== parsed.address) {
+          throw new Error(`Línea ${number}: ${cidr} tiene bits de host encendidos; la red es ${IPv4.format(network)}/${parsed.prefix}`)
+        }
+        return { cidr: `${IPv4.format(network)}/${parsed.prefix}`, nextHop: rest.join(" ") || "—", prefix: parsed.prefix, network }
+      })
+  },
+
+  // Every matching route, most specific first; the first one wins
+  matches(routes, address) {
+    const target = IPv4.parse(address)
+    return routes.filter((route) => IPv4.contains(route.network, route.prefix, target)).sort((a, b) => b.prefix - a.prefix)
+  },
+}
+
+const RIPSimulator = {
+  init() {
+    this.container = document.getElementById("rip-sim")
+    if (!this.container) return
+
+    this.topologySelect = document.getElementById("rip-topology")
+    this.splitHorizon = document.getElementById("rip-split-horizon")
+    this.poisonReverse = document.getElementById("rip-poison-reverse")
+    this.svg = this.container.querySelector(".rip-diagram")
+    this.status = this.container.querySelector(".rip-status")
+    this.tables = this.container.querySelector(".rip-tables")
+    this.log = this.container.querySelector(".rip-log")
+    this.lpmTable = document.getElementById("rip-lpm-table")
+    this.lpmAddress = document.getElementById("rip-lpm-address")
+    this.lpmRouter = document.getElementById("rip-lpm-router")
+    this.lpmResult = this.container.querySelector(".rip-lpm-result")
+
+    this.topologySelect.innerHTML = Object.entries(RIP_TOPOLOGIES)
+      .map(([key, topology]) => `<option value="${key}">${topology.name}</option>`)
+      .join("")
+
+    utils.addEventListenerSafe(this.topologySelect, "change", () => this.load(this.topologySelect.value))
+    utils.addEventListenerSafe(this.container.querySelector("[data-rip='round']"), "click", () => this.runRound())
+    utils.addEventListenerSafe(this.container.querySelector("[data-rip='converge']"), "click", () => this.runConverge())
+    utils.addEventListenerSafe(this.container.querySelector("[data-rip='reset']"), "click", () => this.load(this.key))
+    // Poison reverse is a stronger form of split horizon
+    utils.addEventListenerSafe(this.poisonReverse, "change", () => {
+      if (this.poisonReverse.checked) this.splitHorizon.checked = true
+    })
+    utils.addEventListenerSafe(this.splitHorizon, "change", () => {
+      if (!this.splitHorizon.checked) this.poisonReverse.checked = false
+    })
+    utils.addEventListenerSafe(this.svg, "click", (e) => {
+      const link = e.target.closest("[data-link]")
+      if (link) this.toggleLink(link.dataset.link)
+    })
+    utils.addEventListenerSafe(this.svg, "keydown", (e) => {
+      const link = e.target.closest("[data-link]")
+      if (link && (e.key === "Enter" || e.key === " ")) {
+        e.preventDefault()
+        this.toggleLink(link.dataset.link)
+      }
+    })
+
+    utils.addEventListenerSafe(this.container.querySelector(".rip-lpm-form"), "submit", (e) => {
+      e.preventDefault()
+      this.lookup()
+    })
+    utils.addEventListenerSafe(this.container.querySelector("[data-rip='copy']"), "click", () => this.copyTable())
+
+    this.load(this.topologySelect.value)
+    this.lookup()
+  },
+
+  options() {
+    return { splitHorizon: this.splitHorizon.checked, poisonReverse: this.poisonReverse.checked }
+  },
+
+  load(key) {
+    this.key = key
+    this.topology = RIP_TOPOLOGIES[key]
+    this.state = RIP.createState(this.topology)
+    this.changed = []
+    this.converged = false
+    this.container.querySelector(".rip-description").textContent = this.topology.description
+    this.lpmRouter.innerHTML = this.topology.routers.map((router) => `<option value="${router.id}">${router.id}</option>`).join("")
+    this.log.innerHTML = ""
+    this.status.textContent = "Cada router conoce solo sus redes conectadas. Avanzá una ronda para que empiecen a intercambiar tablas."
+    this.render()
+  },
+
+  addLog(title, changes) {
+    const items = changes.length ? changes.map((change) => `<li>${utils.escapeHTML(change.text)}</li>`).join("") : "<li>Ningún cambio en las métricas.</li>"
+    this.log.insertAdjacentHTML("afterbegin", `<li class="rip-log-round"><strong>${utils.escapeHTML(title)}</strong><ul>${items}</ul></li>`)
+  },
+
+  runRound() {
+    const changes = RIP.round(this.topology, this.state, this.options())
+    this.changed = changes
+    this.converged = RIP.isStable(this.state, changes)
+    this.addLog(`Ronda ${this.state.round} (${(this.state.round * 30).toLocaleString("es-AR")} s)`, changes)
+    if (this.converged) {
+      this.status.textContent = `Convergencia: en la ronda ${this.state.round} ningún router cambió su tabla.`
+    } else if (changes.length === 0) {
+      this.status.textContent = `Ronda ${this.state.round}: sin cambios de métricas, pero quedan rutas sin confirmar o inalcanzables esperando sus temporizadores.`
+    } else {
+      this.status.textContent = `Ronda ${this.state.round}: ${changes.length} cambio${changes.length === 1 ? "" : "s"} en las tablas.`
+    }
+    this.render()
+  },
+
+  runConverge() {
+    const start = this.state.round
+    const log = RIP.converge(this.topology, this.state, this.options())
+    log.forEach((entry) => this.addLog(`Ronda ${entry.round} (${(entry.round * 30).toLocaleString("es-AR")} s)`, entry.changes))
+    const last = log[log.length - 1]
+    this.changed = log.length > 1 ? log[log.length - 2].changes : []
+    this.converged = RIP.isStable(this.state, last.changes)
+    // The same route getting worse round after round is the telltale sign
+    const increases = {}
+    log.forEach((entry) =>
+      entry.changes.filter((change) => change.increase).forEach((change) => {
+        const key = `${change.router} ${change.network}`
+        increases[key] = (increases[key] || 0) + 1
+      }),
+    )
+    const countedToInfinity = Object.values(increases).some((count) => count >= 3)
+    const rounds = last.round - start
+    this.status.textContent = this.converged
+      ? `Convergió en ${rounds} ronda${rounds === 1 ? "" : "s"} (${(rounds * 30).toLocaleString("es-AR")} s de actualizaciones).${
+          countedToInfinity ? " Algunas métricas subieron de a una hasta 16: eso es la cuenta al infinito." : ""
+        }`
+      : `Después de ${RIP.MAX_ROUNDS} rondas las tablas siguen cambiando.`
+    this.render()
+  },
+
+  toggleLink(linkId) {
+    const changes = RIP.setLink(this.topology, this.state, linkId, this.state.down.has(linkId))
+    this.changed = changes.filter((change) => change.router)
+    this.converged = false
+    this.addLog(changes[0].text, changes.slice(1))
+    this.status.textContent = `${changes[0].text}. Avanzá rondas para ver cómo se propaga el cambio.`
+    this.render()
+  },
+
+  render() {
+    const byId = new Map(this.topology.routers.map((router) => [router.id, router]))
+    const linksHTML = this.topology.links
+      .map((link) => {
+        const a = byId.get(link.a)
+        const b = byId.get(link.b)
+        const down = this.state.down.has(link.id)
+        return `
+          <g data-link="${link.id}" class="topology-link${down ? " failed" : ""}" tabindex="0" role="button"
+            aria-label="Enlace ${link.a} – ${link.b}${down ? " (caído, activar para restablecer)" : " (activar para cortar)"}">
+            <path class="topology-link-hit" d="M ${a.x} ${a.y} L ${b.x} ${b.y}"></path>
+            <path class="topology-link-line" d="M ${a.x} ${a.y} L ${b.x} ${b.y}"></path>
+          </g>`
+      })
+      .join("")
+    const routersHTML = this.topology.routers
+      .map(
+        (router) => `
+          <g class="topology-node${this.changed.some((change) => change.router === router.id) ? " pending" : ""}" transform="translate(${router.x} ${router.y})">
+            <circle class="topology-node-halo" r="28"></circle>
+            <image href="img/router.png" x="-22" y="-22" width="44" height="44"></image>
+            <text y="42" text-anchor="middle">${router.id}</text>
+          </g>`,
+      )
+      .join("")
+    utils.keepFocus(this.svg, ["link"], () => {
+      this.svg.innerHTML = `<g class="topology-links">${linksHTML}</g><g class="topology-nodes">${routersHTML}</g>`
+    })
+
+    this.tables.innerHTML = this.topology.routers
+      .map((router) => {
+        const rows = [...this.state.tables[router.id]]
+          .sort((a, b) => a.network.localeCompare(b.network, "es", { numeric: true }))
+          .map((route) => {
+            const changed = this.changed.some((change) => change.router === router.id && change.network === route.network)
+            const classes = [changed ? "forwarding-match" : "", route.metric >= RIP.INFINITY ? "rip-unreachable" : ""].filter(Boolean).join(" ")
+            return `
+              <tr${classes ? ` class="${classes}"` : ""}>
+                <td><code>${route.network}</code></td>
+                <td>${route.nextHop ? RIP.describeMetric(route.metric) : "0 (conectada)"}</td>
+                <td>${route.nextHop || "—"}</td>
+              </tr>`
+          })
+          .join("")
+        return `
+          <div class="table-responsive">
+            <table class="speed-table">
+              <caption>Tabla de ${router.id}</caption>
+              <thead><tr><th>Red</th><th>Métrica</th><th>Siguiente salto</th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>`
+      })
+      .join("")
+  },
+
+  // Loads the reachable routes of one router into the lookup exercise
+  copyTable() {
+    this.lpmTable.value = this.state.tables[this.lpmRouter.value]
+      .filter((route) => route.metric < RIP.INFINITY)
+      .map((route) => `${route.network} ${route.nextHop || "conectada"}`)
+      .join("\n")
+    this.lookup()
+  },
+
+  lookup() {
+    try {
+      const routes = RIP.parseTable(this.lpmTable.value)
+      const address = this.lpmAddress.value.trim()
+      const matches = RIP.matches(routes, address)
+      const best = matches[0]
+      const rows = routes
+        .map((route) => {
+          const matched = matches.includes(route)
+          return `
+            <tr${route === best ? ' class="forwarding-match"' : ""}>
+              <td><code>${route.cidr}</code></td>
+              <td>/${route.prefix}</td>
+              <td>${utils.escapeHTML(route.nextHop)}</td>
+              <td>${route === best ? "✔ Gana" : matched ? "Coincide" : "No coincide"}</td>
+            </tr>`
+        })
+        .join("")
+      let verdict = `Ninguna ruta contiene ${utils.escapeHTML(address)} y no hay ruta por defecto (0.0.0.0/0): el router descarta el paquete y avisa con ICMP "red inalcanzable".`
+      if (matches.length === 1) {
+        verdict = `${utils.escapeHTML(address)} solo coincide con <strong>${best.cidr}</strong>: siguiente salto <strong>${utils.escapeHTML(best.nextHop)}</strong>.`
+      } else if (best) {
+        verdict = `${utils.escapeHTML(address)} coincide con ${matches.length} rutas. Gana <strong>${best.cidr}</strong> por tener el prefijo más largo (/${best.prefix}): siguiente salto <strong>${utils.escapeHTML(best.nextHop)}</strong>.`
+      }
+      this.lpmResult.innerHTML = `
+        <div class="result-success"><p>${verdict}</p></div>
+        <div class="table-responsive">
+          <table class="speed-table">
+            <thead><tr><th>Red</th><th>Prefijo</th><th>Siguiente salto</th><th>Resultado</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      `
+    } catch (error) {
+      this.lpmResult.innerHTML = `<p class="error">${utils.escapeHTML(error.message)}</p>`
+    }
+  },
+}
+
+// ===== FIREWALL MODULE =====
+// Ordered ACL evaluation, first match wins. The lab firewall sits on the
+// router of the segmentation example and tracks connections, so only the
+// packet that opens a connection has to be allowed by the rules.
+
+// The four PCs and servers are the "Ejemplo de Segmentación" diagram in
+// segmentacion.html (#segment-example); keep both in sync, since
+// FIREWALL_GOALS refers to these addresses too.
+const FIREWALL_HOSTS = [
+  { name: "PC 192.168.1.5", ip: "192.168.1.5", segment: "192.168.1.0/24" },
+  { name: "PC 192.168.1.102", ip: "192.168.1.102", segment: "192.168.1.0/24" },
+  { name: "Servidor web 192.168.100.18", ip: "192.168.100.18", segment: "192.168.100.0/24" },
+  { name: "Servidor 192.168.100.22", ip: "192.168.100.22", segment: "192.168.100.0/24" },
+  { name: "DNS público 8.8.8.8", ip: "8.8.8.8", segment: "Internet" },
+  { name: "Internet 203.0.113.10", ip: "203.0.113.10", segment: "Internet" },
+]
+
+const FIREWALL_SERVICES = {
+  ping: { name: "Ping (ICMP)", protocol: "icmp" },
+  ssh: { name: "SSH (TCP 22)", protocol: "tcp", port: 22 },
+  web: { name: "HTTPS (TCP 443)", protocol: "tcp", port: 443 },
+  dns: { name: "DNS (UDP 53)", protocol: "udp", port: 53 },
+  smb: { name: "Archivos compartidos (TCP 445)", protocol: "tcp", port: 445 },
+}
+
+// What the segmentation example should enforce; students fix the rules until all pass
+const FIREWALL_GOALS = [
+  {
+    text: "Las PC de 192.168.1.0/24 abren la web de 192.168.100.18",
+    packets: [{ protocol: "tcp", source: "192.168.1.102", destination: "192.168.100.18", port: 443, expected: "allow" }],
+  },
+  {
+    text: "Solo 192.168.1.5 administra 192.168.100.22 por SSH",
+    packets: [
+      { protocol: "tcp", source: "192.168.1.5", destination: "192.168.100.22", port: 22, expected: "allow" },
+      { protocol: "tcp", source: "192.168.1.102", destination: "192.168.100.22", port: 22, expected: "deny" },
+    ],
+  },
+  {
+    text: "Los servidores no pueden abrir conexiones hacia las PC",
+    packets: [{ protocol: "tcp", source: "192.168.100.18", destination: "192.168.1.5", port: 445, expected: "deny" }],
+  },
+  {
+    text: "Todos resuelven nombres con 8.8.8.8",
+    packets: [
+      { protocol: "udp", source: "192.168.1.5", destination: "8.8.8.8", port: 53, expected: "allow" },
+      { protocol: "udp", source: "192.168.100.22", destination: "8.8.8.8", port: 53, expected: "allow" },
+    ],
+  },
+  {
+    text: "Los servidores descargan actualizaciones por HTTPS desde Internet",
+    packets: [{ protocol: "tcp", source: "192.168.100.22", destination: "203.0.113.10", port: 443, expected: "allow" }],
+  },
+  {
+    text: "Nadie en Internet llega por SSH a los servidores",
+    packets: [{ protocol: "tcp", source: "203.0.113.10", destination: "192.168.100.22", port: 22, expected: "deny" }],
+  },
+]
+
+const Firewall = {
+  ACTIONS: { permitir: "allow", permit: "allow", allow: "allow", accept: "allow", denegar: "deny", deny: "deny", drop: "deny", bloquear: "deny" },
+  PROTOCOLS: ["ip", "tcp", "udp", "icmp"],
+  ALL_PORTS: [[0, 65535]],
+
+  parseAddress(text) {
+    if (/^(any|cualquiera|\*)$/i.test(text)) return { network: 0, prefix: 0 }
+    const { address, prefix } = text.includes("/") ? IPv4.parseCidr(text) : { address: IPv4.parse(text), prefix: 32 }
+    const network = IPv4.calculate(address, prefix).network
+    if (network !== address) {
+      throw new Error(`${text} tiene bits de host encendidos; la red es ${IPv4.format(network)}/${prefix}`)
+    }
+    return { network, prefix }
+  },
+
+  // "80", "80,443", "1024-65535"; null means every port
+  parsePorts(text) {
+    if (!text || /^(any|cualquiera|\*)$/i.test(text)) return null
+    return text.split(",").map((part) => {
+      const [low, high = low, extra] = part.split("-")
+      if (extra !== undefined || ![low, high].every((port) => /^\d+$/.test(port) && Number(port) <= 65535) || Number(low) > Number(high)) {
+        throw new Error(`"${part}" no es un puerto ni un rango válido (0-65535)`)
+      }
+      return [Number(low), Number(high)]
+    })
+  },
+
+  // One rule per line: action protocol source destination [ports]
+  parseRules(text) {
+    return String(text)
+      .split("\n")
+      .map((line) => line.replace(/#.*/, "").trim())
+      .filter(Boolean)
+      .map((line, index) => {
+        const number = index + 1
+        const [action, protocol, source, destination, ports, ...extra] = line.split(/\s+/)
+        try {
+          if (!this.ACTIONS[action?.toLowerCase()]) throw new Error(`la acción debe ser "permitir" o "denegar"`)
+          if (!this.PROTOCOLS.includes(protocol?.toLowerCase())) throw new Error("el protocolo debe ser ip, tcp, udp o icmp")
+          if (!destination) throw new Error("faltan el origen o el destino")
+          if (extra.length) throw new Error(`sobra "${extra.join(" ")}"`)
+          const proto = protocol.toLowerCase()
+          if (ports && !["tcp", "udp"].includes(proto)) throw new Error("solo TCP y UDP tienen puertos")
+          return {
+            number,
+            text: line,
+            action: this.ACTIONS[action.toLowerCase()],
+            protocol: proto,
+            source: this.parseAddress(source),
+            destination: this.parseAddress(destination),
+            ports: this.parsePorts(ports),
+          }
+        } catch (error) {
+          throw new Error(`Regla ${number}: ${error.message}`)
+        }
+      })
+  },
+
+  parsePacket({ protocol, source, destination, port }) {
+    const packet = { protocol, source: IPv4.parse(source), destination: IPv4.parse(destination) }
+    if (protocol === "tcp" || protocol === "udp") {
+      if (String(port).trim() === "" || !Number.isInteger(Number(port)) || Number(port) < 0 || Number(port) > 65535) {
+        throw new Error("El puerto de destino debe ser un entero entre 0 y 65535")
+      }
+      packet.port = Number(port)
+    }
+    return packet
+  },
+
+  matches(rule, packet) {
+    if (rule.protocol !== "ip" && rule.protocol !== packet.protocol) return false
+    if (!IPv4.contains(rule.source.network, rule.source.prefix, packet.source)) return false
+    if (!IPv4.contains(rule.destination.network, rule.destination.prefix, packet.destination)) return false
+    return !rule.ports || rule.ports.some(([low, high]) => packet.port >= low && packet.port <= high)
+  },
+
+  // Returns { action, rule } where rule is null when the default policy applied
+  evaluate(rules, defaultAction, packet) {
+    const rule = rules.find((candidate) => this.matches(candidate, packet)) || null
+    return { action: rule ? rule.action : defaultAction, rule }
+  },
+
+  // ----- Rule analysis -----
+
+  containsNetwork(outer, inner) {
+    return outer.prefix <= inner.prefix && IPv4.contains(outer.network, outer.prefix, inner.network)
+  },
+
+  overlapsNetwork(a, b) {
+    return this.containsNetwork(a, b) || this.containsNetwork(b, a)
+  },
+
+  // Port ranges that a protocol can actually carry; ICMP and IP have none to filter
+  portRanges(rule) {
+    return rule.ports || this.ALL_PORTS
+  },
+
+  coversPorts(outer, inner) {
+    return this.portRanges(inner).every(([low, high]) => {
+      // Walk the inner range and make sure outer ranges fill it without gaps
+      let next = low
+      const sorted = [...this.portRanges(outer)].sort((a, b) => a[0] - b[0])
+      for (const [outerLow, outerHigh] of sorted) {
+        if (outerLow <= next && outerHigh >= next) next = outerHigh + 1
+        if (next > high) return true
+      }
+      return false
+    })
+  },
+
+  // True when every packet matched by `inner` is also matched by `outer`
+  covers(outer, inner) {
+    if (outer.protocol !== "ip" && outer.protocol !== inner.protocol) return false
+    if (!this.containsNetwork(outer.source, inner.source) || !this.containsNetwork(outer.destination, inner.destination)) return false
+    if (outer.protocol === "ip" || inner.protocol === "icmp") return true
+    return this.coversPorts(outer, inner)
+  },
+
+  overlaps(a, b) {
+    if (a.protocol !== "ip" && b.protocol !== "ip" && a.protocol !== b.protocol) return false
+    if (!this.overlapsNetwork(a.source, b.source) || !this.overlapsNetwork(a.destination, b.destination)) return false
+    if (a.protocol === "ip" || b.protocol === "ip" || a.protocol === "icmp") return true
+    return this.portRanges(a).some(([aLow, aHigh]) => this.portRanges(b).some(([bLow, bHigh]) => aLow <= bHigh && bLow <= aHigh))
+  },
+
+  // First and last address of a network
+  addressRange({ network, prefix }) {
+    return [network, network + 2 ** (32 - prefix) - 1]
+  },
+
+  // Cuts [low, high] at every edge of `ranges` and returns where each piece
+  // starts: inside a piece, every value falls in the same set of ranges
+  pieceStarts([low, high], ranges) {
+    const starts = new Set([low])
+    ranges.forEach(([first, last]) => {
+      if (first > low && first <= high) starts.add(first)
+      if (last + 1 > low && last + 1 <= high) starts.add(last + 1)
+    })
+    return [...starts]
+  },
+
+  // Earlier rules that together catch every packet of `rule`, or null when
+  // some packet still reaches it. One packet per piece of each field is
+  // enough to decide; "other" stands for protocols only "ip" rules match.
+  catchers(earlier, rule) {
+    const candidates = earlier.filter((candidate) => this.overlaps(candidate, rule))
+    if (candidates.length === 0) return null
+
+    const protocols = rule.protocol === "ip" ? ["tcp", "udp", "icmp", "other"] : [rule.protocol]
+    const sources = this.pieceStarts(this.addressRange(rule.source), candidates.map((candidate) => this.addressRange(candidate.source)))
+    const destinations = this.pieceStarts(
+      this.addressRange(rule.destination),
+      candidates.map((candidate) => this.addressRange(candidate.destination)),
+    )
+    const portsFor = (protocol) =>
+      protocol === "tcp" || protocol === "udp"
+        ? this.portRanges(rule).flatMap((range) => this.pieceStarts(range, candidates.flatMap((candidate) => candidate.ports || [])))
+        : [undefined]
+
+    const used = new Set()
+    const caught = protocols.every((protocol) =>
+      sources.every((source) =>
+        destinations.every((destination) =>
+          portsFor(protocol).every((port) => {
+            const match = candidates.find((candidate) => this.matches(candidate, { protocol, source, destination, port }))
+            if (match) used.add(match)
+            return Boolean(match)
+          }),
+        ),
+      ),
+    )
+    return caught ? candidates.filter((candidate) => used.has(candidate)) : null
+  },
+
+  // One warning per rule that can never change the outcome
+  analyze(rules, defaultAction) {
+    const warnings = {}
+    rules.forEach((rule, index) => {
+      const earlier = rules.slice(0, index).find((candidate) => this.covers(candidate, rule))
+      if (earlier) {
+        warnings[rule.number] =
+          earlier.action === rule.action
+            ? { kind: "redundant", text: `Redundante: la regla ${earlier.number} ya ${rule.action === "allow" ? "permite" : "deniega"} todo lo que esta regla abarca.` }
+            : { kind: "shadowed", text: `Sombreada: la regla ${earlier.number} atrapa antes todos sus paquetes y hace lo contrario, así que esta regla nunca se aplica.` }
+        return
+      }
+      // No single rule covers it, but several together may
+      const catchers = this.catchers(rules.slice(0, index), rule)
+      if (catchers) {
+        const numbers = catchers.map((candidate) => candidate.number)
+        const list = `${numbers.slice(0, -1).join(", ")} y ${numbers[numbers.length - 1]}`
+        warnings[rule.number] = catchers.every((candidate) => candidate.action === rule.action)
+          ? { kind: "redundant", text: `Redundante: las reglas ${list} juntas ya ${rule.action === "allow" ? "permiten" : "deniegan"} todo lo que esta regla abarca.` }
+          : { kind: "shadowed", text: `Sombreada: las reglas ${list} juntas atrapan antes todos sus paquetes, así que esta regla nunca se aplica.` }
+        return
+      }
+      // Same action as the default policy and nothing below it to override
+      const later = rules.slice(index + 1).some((candidate) => candidate.action !== rule.action && this.overlaps(rule, candidate))
+      if (rule.action === defaultAction && !later) {
+        warnings[rule.number] = {
+          kind: "redundant",
+          text: `Redundante: la política por defecto ya ${defaultAction === "allow" ? "permite" : "deniega"} estos paquetes (se puede dejar para documentar la intención).`,
+        }
+      }
+    })
+    return warnings
+  },
+
+  describeAddress({ network, prefix }) {
+    if (prefix === 0) return "cualquiera"
+    return prefix === 32 ? IPv4.format(network) : `${IPv4.format(network)}/${prefix}`
+  },
+
+  describePorts(rule) {
+    if (rule.protocol !== "tcp" && rule.protocol !== "udp") return "—"
+    if (!rule.ports) return "todos"
+    return rule.ports.map(([low, high]) => (low === high ? low : `${low}-${high}`)).join(", ")
+  },
+}
+
+const FirewallLab = {
+  init() {
+    this.container = document.getElementById("firewall-lab")
+    if (!this.container) return
+
+    this.rulesInput = document.getElementById("firewall-rules")
+    this.defaultSelect = document.getElementById("firewall-default")
+    this.packetForm = this.container.querySelector(".firewall-packet")
+    this.serviceSelect = document.getElementById("firewall-service")
+    this.rulesView = this.container.querySelector(".firewall-rules")
+    this.verdict = this.container.querySelector(".firewall-verdict")
+    this.matrix = this.container.querySelector(".firewall-matrix")
+    this.goals = this.container.querySelector(".firewall-goals")
+
+    this.serviceSelect.innerHTML = Object.entries(FIREWALL_SERVICES)
+      .map(([key, service]) => `<option value="${key}">${service.name}</option>`)
+      .join("")
+
+    utils.addEventListenerSafe(this.rulesInput, "input", utils.debounce(() => this.update(), 300))
+    utils.addEventListenerSafe(this.defaultSelect, "change", () => this.update())
+    utils.addEventListenerSafe(this.serviceSelect, "change", () => this.update())
+    utils.addEventListenerSafe(this.packetForm.elements.protocol, "change", () => this.togglePort())
+    utils.addEventListenerSafe(this.packetForm, "submit", (e) => {
+      e.preventDefault()
+      this.testPacket()
+    })
+
+    this.togglePort()
+    this.update()
+  },
+
+  togglePort() {
+    const protocol = this.packetForm.elements.protocol.value
+    this.packetForm.querySelector(".firewall-port").hidden = protocol === "icmp"
+  },
+
+  update() {
+    try {
+      this.rules = Firewall.parseRules(this.rulesInput.value)
+      this.error = null
+    } catch (error) {
+      this.rules = null
+      this.error = error.message
+    }
+    this.matched = null
+    this.verdict.innerHTML = ""
+    this.render()
+  },
+
+  testPacket() {
+    if (!this.rules) return
+    const value = (name) => this.packetForm.elements[name].value
+    try {
+      const packet = Firewall.parsePacket({ protocol: value("protocol"), source: value("source"), destination: value("destination"), port: value("port") })
+      const { action, rule } = Firewall.evaluate(this.rules, this.defaultSelect.value, packet)
+      this.matched = rule ? rule.number : "default"
+      const label = action === "allow" ? "PERMITIDO" : "DENEGADO"
+      const reason = rule
+        ? `Coincide con la regla ${rule.number} (<code>${utils.escapeHTML(rule.text)}</code>)${rule.number > 1 ? ` después de descartar las ${rule.number - 1} anteriores` : ""}.`
+        : "Ninguna regla coincide, así que se aplica la política por defecto."
+      this.verdict.innerHTML = `<p class="firewall-${action}"><strong>${label}.</strong> ${reason}</p>`
+    } catch (error) {
+      this.matched = null
+      this.verdict.innerHTML = `<p class="error">${utils.escapeHTML(error.message)}</p>`
+    }
+    this.render()
+  },
+
+  render() {
+    if (this.error) {
+      this.rulesView.innerHTML = `<p class="error">${utils.escapeHTML(this.error)}</p>`
+      this.matrix.innerHTML = ""
+      this.goals.innerHTML = ""
+      return
+    }
+
+    const defaultAction = this.defaultSelect.value
+    const warnings = Firewall.analyze(this.rules, defaultAction)
+    const actionLabel = (action) => `<span class="firewall-action firewall-${action}">${action === "allow" ? "Permitir" : "Denegar"}</span>`
+    const rows = this.rules
+      .map((rule) => {
+        const warning = warnings[rule.number]
+        return `
+          <tr${this.matched === rule.number ? ' class="forwarding-match"' : ""}>
+            <td>${rule.number}</td>
+            <td>${actionLabel(rule.action)}</td>
+            <td>${rule.protocol.toUpperCase()}</td>
+            <td><code>${Firewall.describeAddress(rule.source)}</code></td>
+            <td><code>${Firewall.describeAddress(rule.destination)}</code></td>
+            <td>${Firewall.describePorts(rule)}</td>
+            <td>${warning ? `<span class="firewall-warning ${warning.kind}">${warning.text}</span>` : "✔"}</td>
+          </tr>`
+      })
+      .join("")
+    const issues = Object.keys(warnings).length
+    this.rulesView.innerHTML = `
+      <div class="table-responsive">
+        <table class="speed-table">
+          <thead><tr><th>N.º</th><th>Acción</th><th>Protocolo</th><th>Origen</th><th>Destino</th><th>Puertos</th><th>Análisis</th></tr></thead>
+          <tbody>
+            ${rows}
+            <tr${this.matched === "default" ? ' class="forwarding-match"' : ""}>
+              <td>—</td><td>${actionLabel(defaultAction)}</td><td colspan="5">Política por defecto: todo lo que no coincide con ninguna regla</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <p class="firewall-summary">${
+        issues
+          ? `${issues} regla${issues === 1 ? " no cambia" : "s no cambian"} ningún resultado: revisá el orden o borralas.`
+          : "Ninguna regla está sombreada ni es redundante."
+      }</p>
+    `
+
+    this.renderMatrix(defaultAction)
+    this.renderGoals(defaultAction)
+  },
+
+  // Traffic between every pair of example hosts for the chosen service
+  renderMatrix(defaultAction) {
+    const service = FIREWALL_SERVICES[this.serviceSelect.value]
+    const header = FIREWALL_HOSTS.map((host) => `<th scope="col">${host.name}</th>`).join("")
+    const rows = FIREWALL_HOSTS.map((source) => {
+      const cells = FIREWALL_HOSTS.map((destination) => {
+        if (source === destination) return `<td class="firewall-same">—</td>`
+        if (source.segment === destination.segment) {
+          const label = source.segment === "Internet" ? "Fuera de la red" : "Mismo segmento"
+          return `<td class="firewall-same" title="No cruza el router, el firewall no lo ve">${label}</td>`
+        }
+        const packet = Firewall.parsePacket({ ...service, source: source.ip, destination: destination.ip })
+        const { action, rule } = Firewall.evaluate(this.rules, defaultAction, packet)
+        return `<td class="firewall-${action}">${action === "allow" ? "✔" : "✘"} <small>${rule ? `regla ${rule.number}` : "defecto"}</small></td>`
+      }).join("")
+      return `<tr><th scope="row">${source.name}</th>${cells}</tr>`
+    }).join("")
+
+    this.matrix.innerHTML = `
+      <table class="speed-table firewall-matrix-table">
+        <caption>${service.name}: filas = origen, columnas = destino</caption>
+        <thead><tr><th>Origen \\ Destino</th>${header}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `
+  },
+
+  renderGoals(defaultAction) {
+    let passed = 0
+    const items = FIREWALL_GOALS.map((goal) => {
+      const failures = goal.packets.filter((spec) => {
+        const packet = Firewall.parsePacket(spec)
+        return Firewall.evaluate(this.rules, defaultAction, packet).action !== spec.expected
+      })
+      if (failures.length === 0) passed++
+      const detail = failures
+        .map((spec) => {
+          const service = spec.protocol === "icmp" ? "ICMP" : `${spec.protocol.toUpperCase()} ${spec.port}`
+          return `${spec.source} → ${spec.destination} (${service}) debería estar ${spec.expected === "allow" ? "permitido" : "denegado"}`
+        })
+        .join("; ")
+      return `<li class="${failures.length ? "firewall-deny" : "firewall-allow"}">${failures.length ? "✘" : "✔"} ${goal.text}${detail ? `<small>${detail}</small>` : ""}</li>`
+    }).join("")
+
+    this.goals.innerHTML = `
+      <p class="firewall-summary">Objetivos cumplidos: ${passed} de ${FIREWALL_GOALS.length}</p>
+      <ul>${items}</ul>
+    `
+  },
+}
+
+// ===== UTP CABLING MODULE =====
+// Patch cable checker: each end is the color order on pins 1-8, and the
+// cable type follows from where every wire lands on the other end.
+const UTP_COLORS = {
+  "blanco-naranja": { name: "Blanco/naranja", color: "#f97316", striped: true, pair: "naranja" },
+  naranja: { name: "Naranja", color: "#f97316", pair: "naranja" },
+  "blanco-verde": { name: "Blanco/verde", color: "#16a34a", striped: true, pair: "verde" },
+  verde: { name: "Verde", color: "#16a34a", pair: "verde" },
+  "blanco-azul": { name: "Blanco/azul", color: "#2563eb", striped: true, pair: "azul" },
+  azul: { name: "Azul", color: "#2563eb", pair: "azul" },
+  "blanco-marron": { name: "Blanco/marrón", color: "#78350f", striped: true, pair: "marrón" },
+  marron: { name: "Marrón", color: "#78350f", pair: "marrón" },
+}
+
+const UTP_STANDARDS = {
+  T568A: ["blanco-verde", "verde", "blanco-naranja", "azul", "blanco-azul", "naranja", "blanco-marron", "marron"],
+  T568B: ["blanco-naranja", "naranja", "blanco-verde", "azul", "blanco-azul", "verde", "blanco-marron", "marron"],
+}
+
+// Pin on end B where each pin of end A (index 0 = pin 1) should arrive
+const UTP_CABLE_TYPES = [
+  {
+    key: "straight",
+    name: "Directo (straight-through)",
+    map: [1, 2, 3, 4, 5, 6, 7, 8],
+    use: "Conecta equipos distintos: PC con switch, router con switch o patch panel con switch.",
+  },
+  {
+    key: "crossover",
+    name: "Cruzado (crossover 10/100)",
+    map: [3, 6, 1, 4, 5, 2, 7, 8],
+    use: "Conecta equipos iguales (PC con PC, switch con switch) a 10 o 100 Mbps. Hoy la mayoría de los puertos tiene Auto-MDIX y no lo necesita.",
+  },
+  {
+    key: "gigabit-crossover",
+    name: "Cruzado gigabit (los cuatro pares)",
+    map: [3, 6, 1, 7, 8, 2, 4, 5],
+    use: "Conecta equipos iguales a 1 Gbps cruzando también los pares azul y marrón.",
+  },
+  {
+    key: "rollover",
+    name: "Rollover (cable de consola)",
+    map: [8, 7, 6, 5, 4, 3, 2, 1],
+    use: "Conecta una PC al puerto de consola de un router o switch Cisco para configurarlo. No transporta Ethernet.",
+  },
+]
+
+// Pins that must carry the two wires of one twisted pair
+const UTP_PAIRS = [
+  [1, 2],
+  [3, 6],
+  [4, 5],
+  [7, 8],
+]
+
+// Extra data the speed table on the page does not have
+const UTP_CATEGORIES = [
+  { name: "3", bandwidth: 16 },
+  { name: "5", bandwidth: 100 },
+  { name: "5E", bandwidth: 100 },
+  { name: "6", bandwidth: 250, note: "10GBASE-T hasta 55 m" },
+  { name: "6A", bandwidth: 500 },
+]
+
+const Cabling = {
+  standardOf(end) {
+    return Object.keys(UTP_STANDARDS).find((name) => UTP_STANDARDS[name].every((color, index) => end[index] === color)) || null
+  },
+
+  validateEnd(end, label) {
+    const missing = end.findIndex((color) => !UTP_COLORS[color])
+    if (missing !== -1) throw new Error(`Falta elegir el color del pin ${missing + 1} en el ${label}`)
+    end.forEach((color, index) => {
+      const other = end.indexOf(color, index + 1)
+      if (other !== -1) throw new Error(`En el ${label} el ${UTP_COLORS[color].name.toLowerCase()} está en los pines ${index + 1} y ${other + 1}`)
+    })
+  },
+
+  // Pairs whose two pins hold wires of different twisted pairs
+  splitPairs(end) {
+    return UTP_PAIRS.filter(([a, b]) => UTP_COLORS[end[a - 1]].pair !== UTP_COLORS[end[b - 1]].pair)
+  },
+
+  analyze(endA, endB) {
+    this.validateEnd(endA, "extremo A")
+    this.validateEnd(endB, "extremo B")
+    const map = endA.map((color) => endB.indexOf(color) + 1)
+    const scored = UTP_CABLE_TYPES.map((type) => ({
+      type,
+      wrong: type.map.map((pin, index) => index + 1).filter((pin) => map[pin - 1] !== type.map[pin - 1]),
+    })).sort((a, b) => a.wrong.length - b.wrong.length)
+
+    const best = scored[0]
+    return {
+      map,
+      standards: [this.standardOf(endA), this.standardOf(endB)],
+      splitPairs: [this.splitPairs(endA), this.splitPairs(endB)],
+      type: best.wrong.length === 0 ? best.type : null,
+      closest: best.type,
+      wrong: best.wrong,
+    }
+  },
+}
+
+const CableBuilder = {
+  init() {
+    this.container = document.getElementById("cable-builder")
+    if (!this.container) return
+
+    this.ends = [this.container.querySelector("[data-end='0']"), this.container.querySelector("[data-end='1']")]
+    this.diagram = this.container.querySelector(".utp-diagram")
+    this.result = this.container.querySelector(".utp-result")
+    this.categories = this.container.querySelector(".utp-category-table")
+
+    const options = Object.entries(UTP_COLORS)
+      .map(([key, wire]) => `<option value="${key}">${wire.name}</option>`)
+      .join("")
+    this.ends.forEach((end, endIndex) => {
+      end.querySelector(".utp-pins").innerHTML = Array.from(
+        { length: 8 },
+        (_, pin) => `
+          <div class="utp-pin">
+            <label for="utp-${endIndex}-${pin + 1}">Pin ${pin + 1}</label>
+            <span class="utp-swatch" aria-hidden="true"></span>
+            <select id="utp-${endIndex}-${pin + 1}">${options}</select>
+          </div>`,
+      ).join("")
+      utils.addEventListenerSafe(end, "change", () => this.update())
+    })
+
+    utils.addEventListenerSafe(this.container, "click", (e) => {
+      const preset = e.target.closest("[data-utp-preset]")
+      if (!preset) return
+      const [endIndex, standard] = preset.dataset.utpPreset.split(":")
+      this.setEnd(Number(endIndex), standard === "reverse" ? [...this.read(1 - Number(endIndex))].reverse() : UTP_STANDARDS[standard])
+      this.update()
+    })
+
+    this.setEnd(0, UTP_STANDARDS.T568B)
+    this.setEnd(1, UTP_STANDARDS.T568B)
+    this.update()
+    this.renderCategories()
+  },
+
+  read(endIndex) {
+    return Array.from(this.ends[endIndex].querySelectorAll("select"), (select) => select.value)
+  },
+
+  setEnd(endIndex, colors) {
+    this.ends[endIndex].querySelectorAll("select").forEach((select, pin) => {
+      select.value = colors[pin]
+    })
+  },
+
+  paintSwatches() {
+    this.ends.forEach((end) => {
+      end.querySelectorAll(".utp-pin").forEach((pin) => {
+        const wire = UTP_COLORS[pin.querySelector("select").value]
+        const swatch = pin.querySelector(".utp-swatch")
+        swatch.style.background = wire.striped ? `repeating-linear-gradient(135deg, ${wire.color} 0 4px, #fff 4px 8px)` : wire.color
+      })
+    })
+  },
+
+  update() {
+    this.paintSwatches()
+    const endA = this.read(0)
+    const endB = this.read(1)
+    let analysis
+    try {
+      analysis = Cabling.analyze(endA, endB)
+    } catch (error) {
+      this.diagram.innerHTML = ""
+      this.result.innerHTML = `<p class="error">${utils.escapeHTML(error.message)}</p>`
+      return
+    }
+
+    this.renderDiagram(endA, analysis)
+    const describeEnd = (index) => analysis.standards[index] || "sin estándar"
+    const notes = []
+    analysis.splitPairs.forEach((pairs, index) => {
+      if (pairs.length) {
+        notes.push(
+          `En el extremo ${index === 0 ? "A" : "B"} los pines ${pairs.map((pair) => pair.join("-")).join(", ")} no llevan los dos hilos de un mismo par: el cable puede dar continuidad y aun así fallar por diafonía (par partido).`,
+        )
+      }
+    })
+
+    let verdict
+    if (analysis.type) {
+      verdict = `<p class="utp-ok"><strong>${analysis.type.name}</strong> · extremo A ${describeEnd(0)}, extremo B ${describeEnd(1)}.</p><p>${analysis.type.use}</p>`
+    } else {
+      const wrong = analysis.wrong
+        .map((pin) => `<li>El pin ${pin} del extremo A (${UTP_COLORS[endA[pin - 1]].name.toLowerCase()}) llega al pin ${analysis.map[pin - 1]} del extremo B; debería llegar al ${analysis.closest.map[pin - 1]}.</li>`)
+        .join("")
+      verdict = `<p class="error"><strong>Cable mal armado.</strong> Se parece a un ${analysis.closest.name.toLowerCase()}, pero ${analysis.wrong.length} hilo${analysis.wrong.length === 1 ? " no coincide" : "s no coinciden"}:</p><ul>${wrong}</ul>`
+    }
+    this.result.innerHTML = `${verdict}${notes.map((note) => `<p class="utp-warning">${note}</p>`).join("")}`
+  },
+
+  // One line per wire from its pin on end A to its pin on end B
+  renderDiagram(endA, analysis) {
+    const y = (pin) => 24 + (pin - 1) * 30
+    const wrong = new Set(analysis.wrong)
+    const wires = endA
+      .map((color, index) => {
+        const pin = index + 1
+        const wire = UTP_COLORS[color]
+        const d = `M 70 ${y(pin)} C 160 ${y(pin)}, 200 ${y(analysis.map[index])}, 290 ${y(analysis.map[index])}`
+        return `
+          <g class="utp-wire${wrong.has(pin) ? " wrong" : ""}">
+            <path d="${d}" stroke="${wire.color}"></path>
+            ${wire.striped ? `<path d="${d}" class="utp-stripe"></path>` : ""}
+          </g>`
+      })
+      .join("")
+    const labels = Array.from(
+      { length: 8 },
+      (_, index) => `
+        <text x="50" y="${y(index + 1) + 4}" text-anchor="end">${index + 1}</text>
+        <text x="310" y="${y(index + 1) + 4}">${index + 1}</text>`,
+    ).join("")
+    this.diagram.innerHTML = `
+      <text x="50" y="8" text-anchor="end" class="utp-end">A</text>
+      <text x="310" y="8" class="utp-end">B</text>
+      ${labels}${wires}`
+  },
+
+  // Category reference built from the "Velocidades Ethernet" table on the page
+  renderCategories() {
+    const rows = Array.from(document.querySelectorAll(".ethernet-speeds tbody tr"), (row) => {
+      const [standard, speed, medium, distance] = Array.from(row.cells, (cell) => cell.textContent.trim())
+      const categories = (medium.match(/Cat\s*([\w/]+)/i)?.[1] || "").toUpperCase().split("/")
+      return { standard, speed, distance, categories }
+    })
+    if (rows.length === 0) return
+
+    const rank = (name) => UTP_CATEGORIES.findIndex((category) => category.name === name)
+    const tableRows = UTP_CATEGORIES.map((category, index) => {
+      // A category carries every standard whose minimum category is at or below it
+      const supported = rows.filter((row) => Math.min(...row.categories.map(rank).filter((value) => value !== -1)) <= index)
+      const top = supported[supported.length - 1]
+      return `
+        <tr>
+          <td>Cat ${category.name}</td>
+          <td>${category.bandwidth} MHz</td>
+          <td>${top ? `${top.speed} (${top.standard})` : "—"}</td>
+          <td>${top ? top.distance : "—"}${category.note ? ` · ${category.note}` : ""}</td>
+          <td>${supported.map((row) => row.standard).join(", ") || "—"}</td>
+        </tr>`
+    }).join("")
+
+    this.categories.innerHTML = `
+      <table class="speed-table">
+        <thead><tr><th scope="col">Categoría</th><th scope="col">Ancho de banda</th><th scope="col">Velocidad máxima</th><th scope="col">Distancia</th><th scope="col">Estándares Ethernet</th></tr></thead>
+        <tbody>${tableRows}</tbody>
+      </table>
+    `
+  },
+}
+
+// ===== PACKET CAPTURE MODULE =====
+// Reads .pcap/.pcapng files in the browser and decodes the protocols the
+// course covers. Each decoded layer records its OSI layer and the byte range
+// it spans so the viewer can color the tree and highlight the hex dump.
+const OSI_LAYER_SLUGS = {
+  1: "fisica",
+  2: "enlace-de-datos",
+  3: "red",
+  4: "transporte",
+  5: "sesion",
+  6: "presentacion",
+  7: "aplicacion",
+}
+
+const PacketDecoder = {
+  MAX_PACKETS: 5000,
+  ETHERTYPES: { 0x0800: "IPv4", 0x0806: "ARP", 0x86dd: "IPv6", 0x8100: "802.1Q" },
+  IP_PROTOCOLS: { 1: "ICMP", 6: "TCP", 17: "UDP", 58: "ICMPv6" },
+  ICMP_TYPES: {
+    0: "Respuesta de eco (echo reply)",
+    3: "Destino inalcanzable",
+    5: "Redirección",
+    8: "Solicitud de eco (echo request)",
+    11: "Tiempo excedido (TTL)",
+  },
+  ICMP_UNREACHABLE: { 0: "red inalcanzable", 1: "host inalcanzable", 2: "protocolo inalcanzable", 3: "puerto inalcanzable", 4: "se necesita fragmentar", 13: "prohibido por filtro" },
+  ICMPV6_TYPES: {
+    1: "Destino inalcanzable",
+    2: "Paquete demasiado grande",
+    3: "Tiempo excedido",
+    128: "Solicitud de eco (echo request)",
+    129: "Respuesta de eco (echo reply)",
+    133: "Solicitud de router (RS)",
+    134: "Anuncio de router (RA)",
+    135: "Solicitud de vecino (NS)",
+    136: "Anuncio de vecino (NA)",
+  },
+  DNS_TYPES: { 1: "A", 2: "NS", 5: "CNAME", 6: "SOA", 12: "PTR", 15: "MX", 16: "TXT", 28: "AAAA", 33: "SRV", 41: "OPT", 255: "ANY" },
+  DNS_RCODES: { 0: "Sin error", 1: "Formato incorrecto", 2: "Falla del servidor", 3: "El nombre no existe (NXDOMAIN)", 5: "Rechazada" },
+  DHCP_TYPES: { 1: "Discover", 2: "Offer", 3: "Request", 4: "Decline", 5: "ACK", 6: "NAK", 7: "Release", 8: "Inform" },
+
+  // ----- File formats -----
+
+  parseCapture(buffer) {
+    if (buffer.byteLength < 24) throw new Error("El archivo es demasiado corto para ser una captura")
+    const view = new DataView(buffer)
+    const magic = view.getUint32(0, false)
+    if (magic === 0x0a0d0d0a) return this.parsePcapng(view)
+    if ([0xa1b2c3d4, 0xa1b23c4d, 0xd4c3b2a1, 0x4d3cb2a1].includes(magic)) return this.parsePcap(view, magic)
+    throw new Error("El archivo no es una captura .pcap ni .pcapng")
+  },
+
+  // Classic libpcap: the magic number gives byte order and µs/ns timestamps
+  parsePcap(view, magic) {
+    const little = magic === 0xd4c3b2a1 || magic === 0x4d3cb2a1
+    const divisor = magic === 0xa1b23c4d || magic === 0x4d3cb2a1 ? 1e9 : 1e6
+    const linkType = view.getUint32(20, little) & 0xffff
+    const packets = []
+    let offset = 24
+    let truncated = false
+
+    while (offset + 16 <= view.byteLength && packets.length < this.MAX_PACKETS) {
+      const captured = view.getUint32(offset + 8, little)
+      if (offset + 16 + captured > view.byteLength) {
+        truncated = true
+        break
+      }
+      packets.push({
+        time: view.getUint32(offset, little) + view.getUint32(offset + 4, little) / divisor,
+        original: view.getUint32(offset + 12, little),
+        linkType,
+        data: new Uint8Array(view.buffer, view.byteOffset + offset + 16, captured),
+      })
+      offset += 16 + captured
+    }
+    return { format: "pcap", packets, truncated: truncated || offset < view.byteLength }
+  },
+
+  // pcapng: a sequence of blocks. Each section header sets the byte order,
+  // each interface block the link type and timestamp resolution.
+  parsePcapng(view) {
+    const packets = []
+    let interfaces = []
+    let little = true
+    let offset = 0
+    let truncated = false
+
+    while (offset + 12 <= view.byteLength && packets.length < this.MAX_PACKETS) {
+      if (view.getUint32(offset, false) === 0x0a0d0d0a) {
+        little = view.getUint32(offset + 8, true) === 0x1a2b3c4d
+        interfaces = []
+      }
+      const type = view.getUint32(offset, little)
+      const length = view.getUint32(offset + 4, little)
+      if (length < 12 || offset + length > view.byteLength) {
+        truncated = true
+        break
+      }
+      const body = offset + 8
+
+      if (type === 1) {
+        interfaces.push({
+          linkType: view.getUint16(body, little),
+          resolution: this.timestampResolution(view, body + 8, offset + length - 4, little),
+        })
+      } else if (type === 6) {
+        const iface = interfaces[view.getUint32(body, little)] || { linkType: 1, resolution: 1e-6 }
+        const ticks = view.getUint32(body + 4, little) * 2 ** 32 + view.getUint32(body + 8, little)
+        const captured = view.getUint32(body + 12, little)
+        packets.push({
+          time: ticks * iface.resolution,
+          original: view.getUint32(body + 16, little),
+          linkType: iface.linkType,
+          data: new Uint8Array(view.buffer, view.byteOffset + body + 20, Math.min(captured, length - 32)),
+        })
+      } else if (type === 3) {
+        // Simple packet block: no timestamp, always interface 0
+        const original = view.getUint32(body, little)
+        packets.push({
+          time: 0,
+          original,
+          linkType: interfaces[0]?.linkType ?? 1,
+          data: new Uint8Array(view.buffer, view.byteOffset + body + 4, Math.min(original, length - 16)),
+        })
+      }
+      offset += length
+    }
+    return { format: "pcapng", packets, truncated: truncated || offset < view.byteLength }
+  },
+
+  // if_tsresol option (code 9): 10^-n, or 2^-n when the high bit is set
+  timestampResolution(view, start, end, little) {
+    for (let offset = start; offset + 4 <= end; ) {
+      const code = view.getUint16(offset, little)
+      const length = view.getUint16(offset + 2, little)
+      if (code === 0) break
+      if (code === 9 && length >= 1) {
+        const value = view.getUint8(offset + 4)
+        return value & 0x80 ? 2 ** -(value & 0x7f) : 10 ** -value
+      }
+      offset += 4 + length + (-length & 3)
+    }
+    return 1e-6
+  },
+
+  // ----- Byte helpers -----
+
+  check(bytes, offset, length) {
+    if (offset + length > bytes.length) throw new Error("Paquete truncado")
+  },
+
+  u8(bytes, offset) {
+    this.check(bytes, offset, 1)
+    return bytes[offset]
+  },
+
+  u16(bytes, offset) {
+    this.check(bytes, offset, 2)
+    return (bytes[offset] << 8) | bytes[offset + 1]
+  },
+
+  u32(bytes, offset) {
+    this.check(bytes, offset, 4)
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0
+  },
+
+  hex(value, digits) {
+    return `0x${value.toString(16).padStart(digits, "0")}`
+  },
+
+  mac(bytes, offset) {
+    this.check(bytes, offset, 6)
+    return Array.from(bytes.subarray(offset, offset + 6), (byte) => byte.toString(16).padStart(2, "0")).join(":")
+  },
+
+  text(bytes, start, end) {
+    return String.fromCharCode(...bytes.subarray(start, end))
+  },
+
+  ipv4Address(bytes, offset) {
+    return IPv4.format(this.u32(bytes, offset))
+  },
+
+  ipv6Address(bytes, offset) {
+    this.check(bytes, offset, 16)
+    const value = bytes.subarray(offset, offset + 16).reduce((total, byte) => (total << 8n) | BigInt(byte), 0n)
+    return IPv6.compress(value)
+  },
+
+  // RFC 1071 one's complement sum, used to verify the IPv4 header checksum
+  checksum(bytes, start, end) {
+    let sum = 0
+    for (let offset = start; offset < end; offset += 2) {
+      sum += (bytes[offset] << 8) | (offset + 1 < end ? bytes[offset + 1] : 0)
+    }
+    while (sum > 0xffff) sum = (sum & 0xffff) + (sum >>> 16)
+    return ~sum & 0xffff
+  },
+
+  // ----- Protocol decoders -----
+
+  // Returns { layers, source, destination, protocol, info } for one packet
+  decode(packet, firstTime = packet.time) {
+    const bytes = packet.data
+    const result = {
+      layers: [
+        {
+          osi: 1,
+          name: "Trama capturada",
+          summary: `${packet.original} bytes en el cable, ${bytes.length} capturados`,
+          range: [0, bytes.length],
+          fields: [
+            ["Tiempo relativo", `${(packet.time - firstTime).toFixed(6)} s`],
+            ["Bytes en el cable", packet.original],
+            ["Bytes capturados", bytes.length],
+          ],
+        },
+      ],
+      source: "",
+      destination: "",
+      protocol: "",
+      info: "",
+    }
+
+    if (packet.linkType !== 1) {
+      result.protocol = `Enlace ${packet.linkType}`
+      result.info = "Tipo de enlace no soportado: el visor decodifica solo Ethernet"
+      return result
+    }
+
+    try {
+      this.ethernet(bytes, result)
+    } catch (error) {
+      result.layers.push({ osi: null, name: "Error de decodificación", summary: error.message, range: [0, 0], fields: [] })
+      result.info = result.info || error.message
+    }
+    return result
+  },
+
+  add(result, osi, name, protocol, range, fields, summary = "") {
+    result.layers.push({ osi, name, summary, range, fields })
+    result.protocol = protocol
+  },
+
+  ethernet(bytes, result) {
+    const destination = this.mac(bytes, 0)
+    const source = this.mac(bytes, 6)
+    let type = this.u16(bytes, 12)
+    let offset = 14
+    const fields = [
+      ["MAC destino", destination === "ff:ff:ff:ff:ff:ff" ? `${destination} (broadcast)` : destination],
+      ["MAC origen", source],
+    ]
+
+    // 802.1Q tags sit between the addresses and the real EtherType
+    while (type === 0x8100) {
+      const tci = this.u16(bytes, offset)
+      fields.push(["VLAN (802.1Q)", `ID ${tci & 0x0fff}, prioridad ${tci >> 13}`])
+      type = this.u16(bytes, offset + 2)
+      offset += 4
+    }
+
+    result.source = source
+    result.destination = destination
+    if (type <= 1500) {
+      fields.push(["Longitud (802.3)", type])
+      this.add(result, 2, "IEEE 802.3", "LLC", [0, offset], fields, `${source} → ${destination}`)
+      result.info = "Trama 802.3 con LLC (no decodificada)"
+      return
+    }
+
+    fields.push(["EtherType", `${this.hex(type, 4)} (${this.ETHERTYPES[type] || "desconocido"})`])
+    this.add(result, 2, "Ethernet II", "Ethernet", [0, offset], fields, `${source} → ${destination}`)
+
+    if (type === 0x0806) this.arp(bytes, offset, result)
+    else if (type === 0x0800) this.ipv4(bytes, offset, result)
+    else if (type === 0x86dd) this.ipv6(bytes, offset, result)
+    else result.info = `EtherType ${this.hex(type, 4)} no soportado`
+  },
+
+  arp(bytes, offset, result) {
+    const operation = this.u16(bytes, offset + 6)
+    const senderMac = this.mac(bytes, offset + 8)
+    const senderIp = this.ipv4Address(bytes, offset + 14)
+    const targetMac = this.mac(bytes, offset + 18)
+    const targetIp = this.ipv4Address(bytes, offset + 24)
+    const name = operation === 1 ? "request" : operation === 2 ? "reply" : `operación ${operation}`
+
+    this.add(result, 2, "ARP", "ARP", [offset, offset + 28], [
+      ["Tipo de hardware", this.u16(bytes, offset) === 1 ? "1 (Ethernet)" : this.u16(bytes, offset)],
+      ["Tipo de protocolo", this.hex(this.u16(bytes, offset + 2), 4)],
+      ["Operación", `${operation} (${name})`],
+      ["MAC del emisor", senderMac],
+      ["IP del emisor", senderIp],
+      ["MAC objetivo", targetMac],
+      ["IP objetivo", targetIp],
+    ], `${name}: ${senderIp} → ${targetIp}`)
+    result.info = operation === 1 ? `¿Quién tiene ${targetIp}? Avisar a ${senderIp}` : `${senderIp} está en ${senderMac}`
+  },
+
+  ipv4(bytes, offset, result) {
+    const versionIhl = this.u8(bytes, offset)
+    const headerLength = (versionIhl & 0x0f) * 4
+    if (headerLength < 20) throw new Error("Longitud de cabecera IPv4 inválida")
+    this.check(bytes, offset, headerLength)
+
+    const totalLength = this.u16(bytes, offset + 2)
+    const flags = this.u16(bytes, offset + 6)
+    const protocol = this.u8(bytes, offset + 9)
+    const source = this.ipv4Address(bytes, offset + 12)
+    const destination = this.ipv4Address(bytes, offset + 16)
+    const checksumOk = this.checksum(bytes, offset, offset + headerLength) === 0
+    const fragmentOffset = (flags & 0x1fff) * 8
+    // Ethernet pads short frames, so the payload ends where IP says it does
+    const end = Math.min(offset + totalLength, bytes.length)
+
+    this.add(result, 3, "IPv4", "IPv4", [offset, offset + headerLength], [
+      ["Versión", versionIhl >> 4],
+      ["Longitud de cabecera", `${headerLength} bytes`],
+      ["DSCP / ECN", `${this.u8(bytes, offset + 1) >> 2} / ${this.u8(bytes, offset + 1) & 3}`],
+      ["Longitud total", totalLength],
+      ["Identificación", this.hex(this.u16(bytes, offset + 4), 4)],
+      ["Flags", [flags & 0x4000 ? "DF (no fragmentar)" : "", flags & 0x2000 ? "MF (más fragmentos)" : ""].filter(Boolean).join(", ") || "ninguno"],
+      ["Desplazamiento del fragmento", fragmentOffset],
+      ["TTL", this.u8(bytes, offset + 8)],
+      ["Protocolo", `${protocol} (${this.IP_PROTOCOLS[protocol] || "otro"})`],
+      ["Checksum de cabecera", `${this.hex(this.u16(bytes, offset + 10), 4)} (${checksumOk ? "correcto" : "incorrecto"})`],
+      ["IP origen", source],
+      ["IP destino", destination],
+    ], `${source} → ${destination}`)
+    result.source = source
+    result.destination = destination
+
+    if (fragmentOffset > 0) {
+      result.info = `Fragmento IPv4 (desplazamiento ${fragmentOffset})`
+      return
+    }
+    this.transport(bytes, offset + headerLength, end, protocol, result, { source, destination })
+  },
+
+  ipv6(bytes, offset, result) {
+    const first = this.u32(bytes, offset)
+    const payloadLength = this.u16(bytes, offset + 4)
+    let nextHeader = this.u8(bytes, offset + 6)
+    const source = this.ipv6Address(bytes, offset + 8)
+    const destination = this.ipv6Address(bytes, offset + 24)
+    const fields = [
+      ["Versión", first >>> 28],
+      ["Clase de tráfico", this.hex((first >>> 20) & 0xff, 2)],
+      ["Etiqueta de flujo", this.hex(first & 0xfffff, 5)],
+      ["Longitud de carga útil", payloadLength],
+      ["Siguiente cabecera", `${nextHeader} (${this.IP_PROTOCOLS[nextHeader] || "otra"})`],
+      ["Límite de saltos", this.u8(bytes, offset + 7)],
+      ["IP origen", source],
+      ["IP destino", destination],
+    ]
+
+    let cursor = offset + 40
+    const end = Math.min(cursor + payloadLength, bytes.length)
+    // Hop-by-hop, routing and destination options share the same layout
+    while ([0, 43, 60].includes(nextHeader)) {
+      fields.push(["Cabecera de extensión", nextHeader])
+      const next = this.u8(bytes, cursor)
+      cursor += (this.u8(bytes, cursor + 1) + 1) * 8
+      nextHeader = next
+    }
+
+    this.add(result, 3, "IPv6", "IPv6", [offset, cursor], fields, `${source} → ${destination}`)
+    result.source = source
+    result.destination = destination
+    this.transport(bytes, cursor, end, nextHeader, result, { source, destination })
+  },
+
+  transport(bytes, offset, end, protocol, result, addresses) {
+    if (protocol === 1) this.icmp(bytes, offset, end, result)
+    else if (protocol === 58) this.icmpv6(bytes, offset, end, result)
+    else if (protocol === 6) this.tcp(bytes, offset, end, result)
+    else if (protocol === 17) this.udp(bytes, offset, end, result)
+    else result.info = `Protocolo IP ${protocol} no soportado (${addresses.source} → ${addresses.destination})`
+  },
+
+  icmp(bytes, offset, end, result) {
+    const type = this.u8(bytes, offset)
+    const code = this.u8(bytes, offset + 1)
+    const name = this.ICMP_TYPES[type] || `Tipo ${type}`
+    const fields = [
+      ["Tipo", `${type} (${name})`],
+      ["Código", type === 3 ? `${code} (${this.ICMP_UNREACHABLE[code] || "otro"})` : code],
+      ["Checksum", `${this.hex(this.u16(bytes, offset + 2), 4)} (${this.checksum(bytes, offset, end) === 0 ? "correcto" : "incorrecto"})`],
+    ]
+    let info = name
+    if (type === 0 || type === 8) {
+      const id = this.u16(bytes, offset + 4)
+      const sequence = this.u16(bytes, offset + 6)
+      fields.push(["Identificador", id], ["Secuencia", sequence], ["Datos", `${end - offset - 8} bytes`])
+      info = `${name} id=${id}, seq=${sequence}`
+    } else if (type === 3) {
+      info = `${name}: ${this.ICMP_UNREACHABLE[code] || `código ${code}`}`
+    }
+    // ICMP rides inside IP but is part of the network layer
+    this.add(result, 3, "ICMP", "ICMP", [offset, end], fields, name)
+    result.info = info
+  },
+
+  icmpv6(bytes, offset, end, result) {
+    const type = this.u8(bytes, offset)
+    const name = this.ICMPV6_TYPES[type] || `Tipo ${type}`
+    const fields = [
+      ["Tipo", `${type} (${name})`],
+      ["Código", this.u8(bytes, offset + 1)],
+      ["Checksum", this.hex(this.u16(bytes, offset + 2), 4)],
+    ]
+    let info = name
+    if (type === 128 || type === 129) {
+      const id = this.u16(bytes, offset + 4)
+      const sequence = this.u16(bytes, offset + 6)
+      fields.push(["Identificador", id], ["Secuencia", sequence])
+      info = `${name} id=${id}, seq=${sequence}`
+    } else if (type === 135 || type === 136) {
+      const target = this.ipv6Address(bytes, offset + 8)
+      fields.push(["Dirección objetivo", target])
+      info = `${name} para ${target}`
+    }
+    this.add(result, 3, "ICMPv6", "ICMPv6", [offset, end], fields, name)
+    result.info = info
+  },
+
+  tcp(bytes, offset, end, result) {
+    const sourcePort = this.u16(bytes, offset)
+    const destinationPort = this.u16(bytes, offset + 2)
+    const sequence = this.u32(bytes, offset + 4)
+    const acknowledgment = this.u32(bytes, offset + 8)
+    const headerLength = (this.u8(bytes, offset + 12) >> 4) * 4
+    if (headerLength < 20) throw new Error("Longitud de cabecera TCP inválida")
+    this.check(bytes, offset, headerLength)
+    const flagBits = this.u8(bytes, offset + 13)
+    const flags = ["FIN", "SYN", "RST", "PSH", "ACK", "URG", "ECE", "CWR"].filter((_, bit) => flagBits & (1 << bit))
+    const window = this.u16(bytes, offset + 14)
+    const payload = Math.max(end - offset - headerLength, 0)
+
+    const fields = [
+      ["Puerto origen", sourcePort],
+      ["Puerto destino", destinationPort],
+      ["Número de secuencia", sequence],
+      ["Número de acuse (ACK)", flags.includes("ACK") ? acknowledgment : "—"],
+      ["Longitud de cabecera", `${headerLength} bytes`],
+      ["Flags", flags.join(", ") || "ninguno"],
+      ["Ventana", window],
+      ["Checksum", this.hex(this.u16(bytes, offset + 16), 4)],
+      ...this.tcpOptions(bytes, offset + 20, offset + headerLength),
+      ["Datos", `${payload} bytes`],
+    ]
+    this.add(result, 4, "TCP", "TCP", [offset, offset + headerLength], fields, `${sourcePort} → ${destinationPort} [${flags.join(", ")}]`)
+    result.info = `${sourcePort} → ${destinationPort} [${flags.join(", ")}] Seq=${sequence}${flags.includes("ACK") ? ` Ack=${acknowledgment}` : ""} Win=${window} Len=${payload}`
+
+    if (payload > 0) this.application(bytes, offset + headerLength, end, sourcePort, destinationPort, result, "TCP")
+  },
+
+  tcpOptions(bytes, offset, end) {
+    const options = []
+    while (offset < end) {
+      const kind = bytes[offset]
+      if (kind === 0) break
+      if (kind === 1) {
+        offset++
+        continue
+      }
+      const length = bytes[offset + 1]
+      if (!length || length < 2) break
+      if (kind === 2) options.push(["Opción MSS", `${this.u16(bytes, offset + 2)} bytes`])
+      else if (kind === 3) options.push(["Opción escala de ventana", `× ${2 ** bytes[offset + 2]}`])
+      else if (kind === 4) options.push(["Opción SACK", "permitido"])
+      else if (kind === 8) options.push(["Opción marcas de tiempo", `${this.u32(bytes, offset + 2)} / ${this.u32(bytes, offset + 6)}`])
+      else options.push([`Opción ${kind}`, `${length} bytes`])
+      offset += length
+    }
+    return options
+  },
+
+  udp(bytes, offset, end, result) {
+    const sourcePort = this.u16(bytes, offset)
+    const destinationPort = this.u16(bytes, offset + 2)
+    const length = this.u16(bytes, offset + 4)
+    this.add(result, 4, "UDP", "UDP", [offset, offset + 8], [
+      ["Puerto origen", sourcePort],
+      ["Puerto destino", destinationPort],
+      ["Longitud", length],
+      ["Checksum", this.hex(this.u16(bytes, offset + 6), 4)],
+    ], `${sourcePort} → ${destinationPort}`)
+    result.info = `${sourcePort} → ${destinationPort} Len=${length - 8}`
+
+    if (end > offset + 8) this.application(bytes, offset + 8, Math.min(end, offset + length), sourcePort, destinationPort, result, "UDP")
+  },
+
+  application(bytes, offset, end, sourcePort, destinationPort, result, transport) {
+    const ports = [sourcePort, destinationPort]
+    if (transport === "UDP" && (ports.includes(53) || ports.includes(5353))) return this.dns(bytes, offset, end, result)
+    if (transport === "UDP" && (ports.includes(67) || ports.includes(68))) return this.dhcp(bytes, offset, end, result)
+
+    const text = this.text(bytes, offset, Math.min(end, offset + 2048))
+    if (transport === "TCP" && /^(GET|POST|PUT|DELETE|HEAD|OPTIONS|PATCH) \S+ HTTP\/1\.[01]\r\n|^HTTP\/1\.[01] \d{3}/.test(text)) {
+      const lines = text.split("\r\n")
+      const headerEnd = lines.indexOf("")
+      const headers = lines.slice(1, headerEnd === -1 ? lines.length : headerEnd).slice(0, 20)
+      this.add(result, 7, "HTTP", "HTTP", [offset, end], [["Línea inicial", lines[0]], ...headers.map((line) => {
+        const separator = line.indexOf(":")
+        return separator === -1 ? ["Cabecera", line] : [line.slice(0, separator), line.slice(separator + 1).trim()]
+      })], lines[0])
+      result.info = lines[0]
+      return
+    }
+
+    this.add(result, 7, "Datos de aplicación", result.protocol, [offset, end], [["Longitud", `${end - offset} bytes`]], `${end - offset} bytes`)
+  },
+
+  // Domain names may point back to earlier names (compression); the jump
+  // limit protects against pointer loops in malformed packets
+  dnsName(bytes, offset, start) {
+    const labels = []
+    let cursor = offset
+    let next = null
+    for (let jumps = 0; jumps < 32; ) {
+      const length = this.u8(bytes, cursor)
+      if (length === 0) {
+        return { name: labels.length ? `${labels.join(".")}.` : ".", next: next ?? cursor + 1 }
+      }
+      if ((length & 0xc0) === 0xc0) {
+        if (next === null) next = cursor + 2
+        cursor = start + (((length & 0x3f) << 8) | this.u8(bytes, cursor + 1))
+        jumps++
+        continue
+      }
+      this.check(bytes, cursor + 1, length)
+      labels.push(this.text(bytes, cursor + 1, cursor + 1 + length))
+      cursor += length + 1
+    }
+    throw new Error("Nombre DNS con demasiados punteros de compresión")
+  },
+
+  dnsRecordData(bytes, offset, length, type, start) {
+    if (type === 1 && length === 4) return this.ipv4Address(bytes, offset)
+    if (type === 28 && length === 16) return this.ipv6Address(bytes, offset)
+    if (type === 2 || type === 5 || type === 12) return this.dnsName(bytes, offset, start).name
+    if (type === 15) return `${this.u16(bytes, offset)} ${this.dnsName(bytes, offset + 2, start).name}`
+    return `${length} bytes`
+  },
+
+  dns(bytes, offset, end, result) {
+    const id = this.u16(bytes, offset)
+    const flags = this.u16(bytes, offset + 2)
+    const isResponse = Boolean(flags & 0x8000)
+    const rcode = flags & 0x0f
+    const counts = [4, 6, 8, 10].map((delta) => this.u16(bytes, offset + delta))
+    const fields = [
+      ["ID de transacción", this.hex(id, 4)],
+      ["Tipo", isResponse ? "Respuesta" : "Consulta"],
+      ["Flags", [flags & 0x0400 ? "AA (autoritativa)" : "", flags & 0x0200 ? "TC (truncada)" : "", flags & 0x0100 ? "RD (recursión deseada)" : "", flags & 0x0080 ? "RA (recursión disponible)" : ""].filter(Boolean).join(", ") || "ninguno"],
+      ["Código de respuesta", `${rcode} (${this.DNS_RCODES[rcode] || "otro"})`],
+      ["Preguntas / Respuestas / Autoridad / Adicionales", counts.join(" / ")],
+    ]
+
+    let cursor = offset + 12
+    const questions = []
+    for (let index = 0; index < counts[0]; index++) {
+      const { name, next } = this.dnsName(bytes, cursor, offset)
+      const type = this.u16(bytes, next)
+      questions.push(`${this.DNS_TYPES[type] || type} ${name}`)
+      fields.push(["Pregunta", `${name} ${this.DNS_TYPES[type] || type}`])
+      cursor = next + 4
+    }
+
+    const answers = []
+    const sections = ["Respuesta", "Autoridad", "Adicional"]
+    sections.forEach((section, sectionIndex) => {
+      for (let index = 0; index < counts[sectionIndex + 1]; index++) {
+        const { name, next } = this.dnsName(bytes, cursor, offset)
+        const type = this.u16(bytes, next)
+        const ttl = this.u32(bytes, next + 4)
+        const length = this.u16(bytes, next + 8)
+        this.check(bytes, next + 10, length)
+        const data = type === 41 ? "EDNS" : this.dnsRecordData(bytes, next + 10, length, type, offset)
+        if (sectionIndex === 0) answers.push(`${this.DNS_TYPES[type] || type} ${data}`)
+        fields.push([section, `${name} ${this.DNS_TYPES[type] || type} ${data}${type === 41 ? "" : ` (TTL ${ttl} s)`}`])
+        cursor = next + 10 + length
+      }
+    })
+
+    this.add(result, 7, "DNS", "DNS", [offset, end], fields, `${isResponse ? "Respuesta" : "Consulta"} ${this.hex(id, 4)}`)
+    result.info = `${isResponse ? "Respuesta" : "Consulta"} ${this.hex(id, 4)} ${questions.join(", ")}${answers.length ? ` → ${answers.join(", ")}` : ""}${rcode ? ` (${this.DNS_RCODES[rcode] || `rcode ${rcode}`})` : ""}`
+  },
+
+  dhcp(bytes, offset, end, result) {
+    const op = this.u8(bytes, offset)
+    const xid = this.hex(this.u32(bytes, offset + 4), 8)
+    const fields = [
+      ["Operación", op === 1 ? "1 (BOOTREQUEST)" : "2 (BOOTREPLY)"],
+      ["ID de transacción (xid)", xid],
+      ["Flags", this.u16(bytes, offset + 10) & 0x8000 ? "Broadcast" : "Unicast"],
+      ["ciaddr (IP del cliente)", this.ipv4Address(bytes, offset + 12)],
+      ["yiaddr (tu IP)", this.ipv4Address(bytes, offset + 16)],
+      ["siaddr (servidor)", this.ipv4Address(bytes, offset + 20)],
+      ["giaddr (relay)", this.ipv4Address(bytes, offset + 24)],
+      ["chaddr (MAC del cliente)", this.mac(bytes, offset + 28)],
+    ]
+
+    let messageType = null
+    if (this.u32(bytes, offset + 236) === 0x63825363) {
+      let cursor = offset + 240
+      while (cursor < end) {
+        const code = bytes[cursor]
+        if (code === 255) break
+        if (code === 0) {
+          cursor++
+          continue
+        }
+        const length = this.u8(bytes, cursor + 1)
+        this.check(bytes, cursor + 2, length)
+        const data = cursor + 2
+        const addresses = () => Array.from({ length: length / 4 }, (_, index) => this.ipv4Address(bytes, data + index * 4)).join(", ")
+        const text = () => this.text(bytes, data, data + length)
+        const option = {
+          1: () => ["Opción 1 (máscara)", addresses()],
+          3: () => ["Opción 3 (router)", addresses()],
+          6: () => ["Opción 6 (DNS)", addresses()],
+          12: () => ["Opción 12 (nombre de host)", text()],
+          15: () => ["Opción 15 (dominio)", text()],
+          50: () => ["Opción 50 (IP solicitada)", addresses()],
+          51: () => ["Opción 51 (concesión)", `${this.u32(bytes, data).toLocaleString("es-AR")} s`],
+          53: () => {
+            messageType = this.DHCP_TYPES[bytes[data]] || bytes[data]
+            return ["Opción 53 (tipo de mensaje)", `${bytes[data]} (DHCP ${messageType})`]
+          },
+          54: () => ["Opción 54 (servidor)", addresses()],
+          55: () => ["Opción 55 (parámetros pedidos)", Array.from(bytes.subarray(data, data + length)).join(", ")],
+          61: () => ["Opción 61 (id. de cliente)", length === 7 ? this.mac(bytes, data + 1) : `${length} bytes`],
+        }[code]
+        fields.push(option ? option() : [`Opción ${code}`, `${length} bytes`])
+        cursor = data + length
+      }
+    }
+
+    this.add(result, 7, "DHCP", "DHCP", [offset, end], fields, `DHCP ${messageType || (op === 1 ? "request" : "reply")}`)
+    result.info = `DHCP ${messageType || "BOOTP"} - xid ${xid}`
+  },
+}
+
+const CaptureViewer = {
+  init() {
+    this.container = document.getElementById("capture-viewer")
+    if (!this.container) return
+
+    this.fileInput = document.getElementById("capture-file")
+    this.filterInput = document.getElementById("capture-filter")
+    this.status = this.container.querySelector(".capture-status")
+    this.list = this.container.querySelector(".capture-list")
+    this.tree = this.container.querySelector(".capture-tree")
+    this.hexView = this.container.querySelector(".capture-hex")
+
+    utils.addEventListenerSafe(this.fileInput, "change", () => this.openFile(this.fileInput.files[0]))
+    this.container.querySelectorAll("[data-capture]").forEach((button) => {
+      utils.addEventListenerSafe(button, "click", () => this.openSample(button.dataset.capture))
+    })
+    utils.addEventListenerSafe(this.filterInput, "input", utils.debounce(() => this.renderList(), 200))
+    utils.addEventListenerSafe(this.list, "click", (e) => {
+      const row = e.target.closest("[data-packet]")
+      if (row) this.select(Number(row.dataset.packet))
+    })
+    utils.addEventListenerSafe(this.list, "keydown", (e) => {
+      const row = e.target.closest("[data-packet]")
+      if (!row) return
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault()
+        this.select(Number(row.dataset.packet))
+      } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault()
+        const sibling = e.key === "ArrowDown" ? row.nextElementSibling : row.previousElementSibling
+        if (sibling) {
+          sibling.focus()
+          this.select(Number(sibling.dataset.packet))
+        }
+      }
+    })
+    utils.addEventListenerSafe(this.tree, "click", (e) => {
+      const layer = e.target.closest("[data-layer]")
+      if (layer && !e.target.closest("a")) this.highlight(Number(layer.dataset.layer))
+    })
+  },
+
+  async openFile(file) {
+    if (!file) return
+    try {
+      this.load(await file.arrayBuffer(), file.name)
+    } catch (error) {
+      this.showError(error.message)
+    }
+  },
+
+  async openSample(url) {
+    try {
+      const response = await fetch(url)
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} fetching ${url}`)
+      }
+      this.load(await response.arrayBuffer(), url.split("/").pop())
+    } catch (error) {
+      console.error("Sample capture could not be loaded:", error)
+      this.showError("No se pudo cargar la captura de ejemplo. Abrí el sitio desde un servidor web o elegí un archivo propio.")
+    }
+  },
+
+  load(buffer, name) {
+    const capture = PacketDecoder.parseCapture(buffer)
+    const firstTime = capture.packets[0]?.time ?? 0
+    this.packets = capture.packets.map((packet, index) => ({ number: index + 1, packet, ...PacketDecoder.decode(packet, firstTime) }))
+    this.selected = null
+
+    const count = this.packets.length
+    this.status.className = "capture-status"
+    this.status.textContent = `${name}: ${count.toLocaleString("es-AR")} paquete${count === 1 ? "" : "s"} (${capture.format})${
+      capture.truncated ? ". El archivo termina antes de tiempo o supera el límite de paquetes: se muestra lo que se pudo leer." : ""
+    }`
+    this.renderList()
+    if (count > 0) this.select(0)
+    else this.tree.innerHTML = this.hexView.innerHTML = ""
+  },
+
+  showError(message) {
+    this.status.className = "capture-status error"
+    this.status.textContent = message
+  },
+
+  // Plain text match over the columns, like a very small display filter
+  matches(entry, filter) {
+    if (!filter) return true
+    const haystack = [entry.source, entry.destination, entry.protocol, entry.info, ...entry.layers.map((layer) => layer.name)].join(" ").toLowerCase()
+    return filter
+      .toLowerCase()
+      .split(/\s+/)
+      .every((term) => haystack.includes(term))
+  },
+
+  renderList() {
+    if (!this.packets) return
+    const filter = this.filterInput.value.trim()
+    const rows = this.packets
+      .filter((entry) => this.matches(entry, filter))
+      .map((entry) => {
+        const top = entry.layers[entry.layers.length - 1]
+        return `
+          <tr data-packet="${entry.number - 1}" tabindex="0"${this.selected === entry.number - 1 ? ' class="selected" aria-selected="true"' : ""}>
+            <td>${entry.number}</td>
+            <td>${(entry.packet.time - this.packets[0].packet.time).toFixed(6)}</td>
+            <td><code>${utils.escapeHTML(entry.source)}</code></td>
+            <td><code>${utils.escapeHTML(entry.destination)}</code></td>
+            <td><span class="capture-protocol osi-layer-${top.osi || 1}">${utils.escapeHTML(entry.protocol)}</span></td>
+            <td>${entry.packet.original}</td>
+            <td>${utils.escapeHTML(entry.info)}</td>
+          </tr>`
+      })
+      .join("")
+
+    this.list.innerHTML = `
+      <table class="speed-table capture-table">
+        <thead><tr><th>N.º</th><th>Tiempo (s)</th><th>Origen</th><th>Destino</th><th>Protocolo</th><th>Longitud</th><th>Información</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="7">Ningún paquete coincide con el filtro</td></tr>'}</tbody>
+      </table>
+    `
+  },
+
+  select(index) {
+    this.selected = index
+    this.list.querySelectorAll("[data-packet]").forEach((row) => {
+      const selected = Number(row.dataset.packet) === index
+      row.classList.toggle("selected", selected)
+      if (selected) row.setAttribute("aria-selected", "true")
+      else row.removeAttribute("aria-selected")
+    })
+
+    const entry = this.packets[index]
+    this.tree.innerHTML = entry.layers
+      .map((layer, layerIndex) => {
+        const osi = layer.osi
+          ? `<a class="capture-osi osi-layer-${layer.osi}" href="modelo-osi.html#layers/${OSI_LAYER_SLUGS[layer.osi]}" title="Ver la capa ${layer.osi} en el modelo OSI">Capa ${layer.osi}</a>`
+          : ""
+        return `
+          <details class="capture-layer capture-layer-${layer.osi || "error"}" data-layer="${layerIndex}"${layerIndex > 0 ? " open" : ""}>
+            <summary>${osi}<strong>${utils.escapeHTML(layer.name)}</strong> <span>${utils.escapeHTML(layer.summary)}</span></summary>
+            <dl>${layer.fields.map(([name, value]) => `<dt>${utils.escapeHTML(name)}</dt><dd>${utils.escapeHTML(value)}</dd>`).join("")}</dl>
+          </details>`
+      })
+      .join("")
+    this.highlight(entry.layers.length - 1)
+  },
+
+  // Hex and ASCII dump, 16 bytes per row, with the chosen layer's bytes marked
+  highlight(layerIndex) {
+    const entry = this.packets[this.selected]
+    const [start, end] = entry.layers[layerIndex].range
+    const osi = entry.layers[layerIndex].osi || 1
+    const bytes = entry.packet.data
+    const mark = (offset, text) => (offset >= start && offset < end ? `<mark class="osi-layer-${osi}">${text}</mark>` : text)
+
+    const rows = []
+    for (let row = 0; row < bytes.length; row += 16) {
+      const slice = Array.from(bytes.subarray(row, row + 16))
+      const hex = slice.map((byte, index) => mark(row + index, byte.toString(16).padStart(2, "0"))).join(" ")
+      const ascii = slice.map((byte, index) => mark(row + index, byte >= 32 && byte < 127 ? utils.escapeHTML(String.fromCharCode(byte)) : ".")).join("")
+      rows.push(`<span class="capture-offset">${row.toString(16).padStart(4, "0")}</span>  ${hex}${"   ".repeat(16 - slice.length)}  ${ascii}`)
+    }
+    this.hexView.innerHTML = `<pre>${rows.join("\n")}</pre>`
+    this.tree.querySelectorAll("[data-layer]").forEach((layer) => {
+      layer.classList.toggle("highlighted", Number(layer.dataset.layer) === layerIndex)
+    })
+  },
+}
+
+// ===== TOPOLOGY MODULE =====
+// Networks are undirected graphs: nodes { id, type, label, x, y, failed } and
+// links { id, a, b, failed }. Two links between the same pair are allowed so a
+// double ring can be drawn.
+const TOPOLOGY_DEVICES = {
+  pc: { label: "PC", image: "img/adaptador de red.png", host: true },
+  switch: { label: "Switch", image: "img/Switch.png" },
+  hub: { label: "Hub", image: "img/hub.png" },
+  router: { label: "Router", image: "img/router.png" },
+  ap: { label: "AP", image: "img/Access Point.png" },
+  firewall: { label: "Firewall", image: "img/firewal.png" },
+  tap: { label: "T" },
+}
+
+const Topology = {
+  adjacency(nodes, links) {
+    const adjacency = new Map(nodes.map((node) => [node.id, []]))
+    links.forEach((link) => {
+      if (!adjacency.has(link.a) || !adjacency.has(link.b)) return
+      adjacency.get(link.a).push({ node: link.b, link: link.id })
+      adjacency.get(link.b).push({ node: link.a, link: link.id })
+    })
+    return adjacency
+  },
+
+  // Groups of node ids that can reach each other
+  components(nodes, links) {
+    const adjacency = this.adjacency(nodes, links)
+    const seen = new Set()
+    const groups = []
+
+    nodes.forEach((start) => {
+      if (seen.has(start.id)) return
+      const group = []
+      const queue = [start.id]
+      seen.add(start.id)
+      while (queue.length > 0) {
+        const id = queue.shift()
+        group.push(id)
+        adjacency.get(id).forEach(({ node }) => {
+          if (!seen.has(node)) {
+            seen.add(node)
+            queue.push(node)
+          }
+        })
+      }
+      groups.push(group)
+    })
+    return groups
+  },
+
+  // Tarjan: links (bridges) and nodes (articulation points) whose failure
+  // splits the network. Parallel links are not bridges because the parent is
+  // skipped by link id, not by node.
+  criticalPoints(nodes, links) {
+    const adjacency = this.adjacency(nodes, links)
+    const order = new Map()
+    const low = new Map()
+    const bridges = []
+    const articulations = new Set()
+    let counter = 0
+
+    const visit = (id, parentLink) => {
+      order.set(id, counter)
+      low.set(id, counter)
+      counter++
+      let children = 0
+
+      adjacency.get(id).forEach(({ node, link }) => {
+        if (link === parentLink) return
+        if (order.has(node)) {
+          low.set(id, Math.min(low.get(id), order.get(node)))
+          return
+        }
+        children++
+        visit(node, link)
+        low.set(id, Math.min(low.get(id), low.get(node)))
+        if (low.get(node) > order.get(id)) bridges.push(link)
+        if (parentLink !== null && low.get(node) >= order.get(id)) articulations.add(id)
+      })
+
+      if (parentLink === null && children > 1) articulations.add(id)
+    }
+
+    nodes.forEach((node) => {
+      if (!order.has(node.id)) visit(node.id, null)
+    })
+    return { bridges, articulations: [...articulations] }
+  },
+
+  // Classifies the "core" left after removing the devices hanging from a
+  // single link, so a star with PCs is a star and a mesh of routers with a PC
+  // behind each router is still a mesh
+  classify(nodes, links) {
+    if (nodes.length === 0) return { name: "Vacía", description: "Agregá dispositivos para empezar." }
+    if (links.length === 0) return { name: "Sin enlaces", description: "Conectá los dispositivos entre sí." }
+
+    const parts = this.components(nodes, links).length
+    if (parts > 1) {
+      return { name: "Desconectada", description: `La red está dividida en ${parts} partes sin conexión entre sí.` }
+    }
+
+    const pairs = new Map()
+    links.forEach((link) => {
+      const key = [link.a, link.b].sort().join("|")
+      pairs.set(key, (pairs.get(key) || 0) + 1)
+    })
+    const degree = (ids, id) =>
+      [...pairs.keys()].filter((key) => {
+        const [a, b] = key.split("|")
+        return (a === id && ids.has(b)) || (b === id && ids.has(a))
+      }).length
+
+    if (nodes.length === 2) {
+      return links.length > 1
+        ? { name: "Punto a punto (enlace doble)", description: "Dos dispositivos unidos por dos enlaces: si uno falla, el otro sigue funcionando." }
+        : { name: "Punto a punto (P2P)", description: "Un enlace dedicado entre dos dispositivos." }
+    }
+
+    const allIds = new Set(nodes.map((node) => node.id))
+    // A tree where nobody has more than two neighbours is a chain, even when
+    // it is short enough to look like a star or a line of switches
+    if (pairs.size === nodes.length - 1 && nodes.every((node) => degree(allIds, node.id) <= 2)) {
+      return nodes.some((node) => node.type === "tap")
+        ? { name: "Bus", description: "Los equipos comparten un único cable troncal: un corte lo divide en dos." }
+        : { name: "Bus/Lineal", description: "Cada dispositivo se conecta solo con el siguiente: un corte en cualquier enlace divide la red en dos." }
+    }
+
+    const core = nodes.filter((node) => degree(allIds, node.id) > 1)
+    const coreIds = new Set(core.map((node) => node.id))
+    const coreDegrees = core.map((node) => degree(coreIds, node.id))
+    const corePairs = [...pairs.entries()].filter(([key]) => key.split("|").every((id) => coreIds.has(id)))
+
+    // A star needs one device linked to every other one
+    if (core.length === 1 && degree(allIds, core[0].id) === nodes.length - 1) {
+      const center = core[0]
+      return { name: "Estrella", description: `Todos los dispositivos dependen de ${center.label}: si falla, cae toda la red.` }
+    }
+    if (corePairs.length === core.length - 1) {
+      if (core.every((node) => node.type === "tap") && Math.max(...coreDegrees) <= 2) {
+        return { name: "Bus", description: "Los equipos comparten un único cable troncal: un corte lo divide en dos." }
+      }
+      return { name: "Árbol (estrella extendida)", description: "Jerarquía de dispositivos: la falla de un nodo superior aísla toda su rama." }
+    }
+    if (corePairs.length === core.length && coreDegrees.every((value) => value === 2)) {
+      return corePairs.every(([, count]) => count === 2)
+        ? { name: "Doble anillo", description: "Dos anillos sobre los mismos nodos: si se corta uno, el tráfico sigue por el otro." }
+        : { name: "Anillo", description: "Cada dispositivo se conecta con dos vecinos formando un círculo." }
+    }
+    if (core.length >= 4 && corePairs.length === (core.length * (core.length - 1)) / 2) {
+      return { name: "Malla completa", description: "Cada dispositivo del núcleo se conecta con todos los demás." }
+    }
+    if (coreDegrees.every((value) => value >= 2)) {
+      return { name: "Malla parcial", description: "Hay caminos alternativos entre los dispositivos del núcleo." }
+    }
+    return { name: "Híbrida", description: "Combina partes en anillo o malla con ramas en estrella o árbol." }
+  },
+
+  analyze(nodes, links) {
+    const components = this.components(nodes, links).length
+    const critical = this.criticalPoints(nodes, links)
+    // Cyclomatic number: links that could be removed keeping every part connected
+    const redundantLinks = links.length - nodes.length + components
+
+    return {
+      topology: this.classify(nodes, links),
+      nodeCount: nodes.length,
+      linkCount: links.length,
+      redundantLinks,
+      redundancy: links.length === 0 ? 0 : Math.round(((links.length - critical.bridges.length) / links.length) * 100),
+      bridges: critical.bridges,
+      articulations: critical.articulations,
+    }
+  },
+
+  // Which hosts can no longer reach hosts they reached before the failures.
+  // Hosts are the PCs, or every device when there are no PCs.
+  simulateFailure(nodes, links) {
+    const hosts = nodes.some((node) => TOPOLOGY_DEVICES[node.type]?.host)
+      ? nodes.filter((node) => TOPOLOGY_DEVICES[node.type]?.host)
+      : nodes
+    const groupOf = (groups) => new Map(groups.flatMap((group, index) => group.map((id) => [id, index])))
+
+    const before = groupOf(this.components(nodes, links))
+    const working = nodes.filter((node) => !node.failed)
+    const workingIds = new Set(working.map((node) => node.id))
+    const workingLinks = links.filter((link) => !link.failed && workingIds.has(link.a) && workingIds.has(link.b))
+    const after = groupOf(this.components(working, workingLinks))
+
+    const down = hosts.filter((host) => host.failed)
+    const affected = hosts
+      .filter((host) => !host.failed)
+      .map((host) => ({
+        host,
+        lost: hosts.filter(
+          (other) =>
+            other !== host && !other.failed && before.get(other.id) === before.get(host.id) && after.get(other.id) !== after.get(host.id),
+        ),
+      }))
+      .filter(({ lost }) => lost.length > 0)
+
+    return { hosts, down, affected }
+  },
+}
+
+const TopologyBuilder = {
+  WIDTH: 800,
+  HEIGHT: 420,
+
+  init() {
+    this.container = document.getElementById("topology-builder")
+    if (!this.container) return
+
+    this.svg = this.container.querySelector(".topology-canvas")
+    this.result = this.container.querySelector(".topology-result")
+    this.hint = this.container.querySelector(".topology-hint")
+    this.nodes = []
+    this.links = []
+    this.mode = "move"
+    this.pending = null
+    this.counter = 0
+
+    this.container.querySelectorAll("[data-add]").forEach((button) => {
+      utils.addEventListenerSafe(button, "click", () => this.addNode(button.dataset.add))
+    })
+    this.container.querySelectorAll("[data-mode]").forEach((button) => {
+      utils.addEventListenerSafe(button, "click", () => this.setMode(button.dataset.mode))
+    })
+    this.container.querySelectorAll("[data-preset]").forEach((button) => {
+      utils.addEventListenerSafe(button, "click", () => this.loadPreset(button.dataset.preset))
+    })
+    utils.addEventListenerSafe(this.container.querySelector("[data-action='clear']"), "click", () => this.clear())
+    utils.addEventListenerSafe(this.container.querySelector("[data-action='repair']"), "click", () => this.repair())
+
+    utils.addEventListenerSafe(this.svg, "click", (e) => this.handleClick(e))
+    utils.addEventListenerSafe(this.svg, "keydown", (e) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault()
+        this.handleClick(e)
+      }
+    })
+    utils.addEventListenerSafe(this.svg, "pointerdown", (e) => this.startDrag(e))
+    utils.addEventListenerSafe(this.svg, "pointermove", (e) => this.drag(e))
+    utils.addEventListenerSafe(this.svg, "pointerup", () => this.endDrag())
+
+    this.setMode("move")
+    this.loadPreset("star")
+  },
+
+  nextId(prefix) {
+    this.counter++
+    return `${prefix}${this.counter}`
+  },
+
+  createNode(type, x, y) {
+    const sameType = this.nodes.filter((node) => node.type === type).length
+    const node = { id: this.nextId("n"), type, label: `${TOPOLOGY_DEVICES[type].label}${sameType + 1}`, x, y, failed: false }
+    this.nodes.push(node)
+    return node
+  },
+
+  // Parallel links are capped at two (double ring)
+  connect(a, b) {
+    if (a === b) return false
+    const existing = this.links.filter((link) => (link.a === a && link.b === b) || (link.a === b && link.b === a))
+    if (existing.length >= 2) return false
+    this.links.push({ id: this.nextId("l"), a, b, failed: false })
+    return true
+  },
+
+  addNode(type) {
+    // Next free slot on a grid so new devices never stack on each other
+    const columns = 8
+    const slot = this.nodes.length
+    const x = 60 + (slot % columns) * 95
+    const y = 50 + (Math.floor(slot / columns) % 4) * 100
+    this.createNode(type, x, y)
+    this.render()
+  },
+
+  setMode(mode) {
+    this.mode = mode
+    this.pending = null
+    this.container.querySelectorAll("[data-mode]").forEach((button) => {
+      button.setAttribute("aria-pressed", String(button.dataset.mode === mode))
+    })
+    const hints = {
+      move: "Arrastrá los dispositivos para ubicarlos.",
+      connect: "Tocá dos dispositivos para unirlos con un enlace.",
+      fail: "Tocá un dispositivo o un enlace para simular que falla (tocalo de nuevo para repararlo).",
+      delete: "Tocá un dispositivo o un enlace para eliminarlo.",
+    }
+    this.hint.textContent = hints[mode]
+    this.render()
+  },
+
+  clear() {
+    this.nodes = []
+    this.links = []
+    this.pending = null
+    this.render()
+  },
+
+  repair() {
+    this.nodes.forEach((node) => {
+      node.failed = false
+    })
+    this.links.forEach((link) => {
+      link.failed = false
+    })
+    this.render()
+  },
+
+  loadPreset(name) {
+    this.clear()
+    const cx = this.WIDTH / 2
+    const cy = this.HEIGHT / 2
+    const around = (count, radius, type, offset = -Math.PI / 2) =>
+      Array.from({ length: count }, (_, index) => {
+        const angle = offset + (index * 2 * Math.PI) / count
+        return this.createNode(type, cx + radius * Math.cos(angle), cy + radius * Math.sin(angle))
+      })
+    const ring = (ring) => ring.forEach((node, index) => this.connect(node.id, ring[(index + 1) % ring.length].id))
+
+    if (name === "bus") {
+      const taps = Array.from({ length: 5 }, (_, index) => this.createNode("tap", 120 + index * 140, cy))
+      taps.slice(0, -1).forEach((tap, index) => this.connect(tap.id, taps[index + 1].id))
+      taps.forEach((tap, index) => this.connect(tap.id, this.createNode("pc", tap.x, index % 2 ? cy + 110 : cy - 110).id))
+    } else if (name === "star") {
+      const center = this.createNode("switch", cx, cy)
+      around(6, 150, "pc").forEach((pc) => this.connect(center.id, pc.id))
+    } else if (name === "ring") {
+      ring(around(6, 150, "pc"))
+    } else if (name === "dualRing") {
+      const routers = around(4, 140, "router", -Math.PI / 4)
+      ring(routers)
+      ring(routers)
+    } else if (name === "mesh") {
+      const routers = around(4, 100, "router", -Math.PI / 4)
+      routers.forEach((router, index) => routers.slice(index + 1).forEach((other) => this.connect(router.id, other.id)))
+      routers.forEach((router) => {
+        const pc = this.createNode("pc", cx + (router.x - cx) * 1.9, cy + (router.y - cy) * 1.7)
+        this.connect(router.id, pc.id)
+      })
+    } else if (name === "tree") {
+      const root = this.createNode("router", cx, 50)
+      ;[cx - 220, cx + 220].forEach((x) => {
+        const branch = this.createNode("switch", x, 180)
+        this.connect(root.id, branch.id)
+        ;[-70, 0, 70].forEach((dx) => this.connect(branch.id, this.createNode("pc", x + dx, 330).id))
+      })
+    } else if (name === "p2p") {
+      const left = this.createNode("router", cx - 200, cy)
+      const right = this.createNode("router", cx + 200, cy)
+      this.connect(left.id, right.id)
+    }
+    this.render()
+  },
+
+  targetOf(e) {
+    const node = e.target.closest?.("[data-node]")
+    if (node) return { kind: "node", id: node.dataset.node }
+    const link = e.target.closest?.("[data-link]")
+    if (link) return { kind: "link", id: link.dataset.link }
+    return null
+  },
+
+  handleClick(e) {
+    const target = this.targetOf(e)
+    // A drag ends with a click on the same node, which must not toggle it
+    if (!target || (e.type === "click" && this.dragMoved)) return
+
+    const collection = target.kind === "node" ? this.nodes : this.links
+    const item = collection.find((candidate) => candidate.id === target.id)
+    if (!item) return
+
+    if (this.mode === "connect" && target.kind === "node") {
+      if (!this.pending) {
+        this.pending = item.id
+      } else {
+        if (!this.connect(this.pending, item.id) && this.pending !== item.id) {
+          this.hint.textContent = "Esos dispositivos ya tienen dos enlaces entre sí."
+        }
+        this.pending = null
+      }
+    } else if (this.mode === "fail") {
+      item.failed = !item.failed
+    } else if (this.mode === "delete") {
+      if (target.kind === "node") {
+        this.nodes = this.nodes.filter((node) => node !== item)
+        this.links = this.links.filter((link) => link.a !== item.id && link.b !== item.id)
+      } else {
+        this.links = this.links.filter((link) => link !== item)
+      }
+    }
+    this.render()
+  },
+
+  toSvgPoint(e) {
+    const matrix = this.svg.getScreenCTM?.()
+    if (!matrix) return null
+    const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(matrix.inverse())
+    return {
+      x: Math.min(Math.max(point.x, 30), this.WIDTH - 30),
+      y: Math.min(Math.max(point.y, 30), this.HEIGHT - 40),
+    }
+  },
+
+  startDrag(e) {
+    const target = this.targetOf(e)
+    this.dragMoved = false
+    if (this.mode !== "move" || target?.kind !== "node") return
+
+    this.dragging = this.nodes.find((node) => node.id === target.id)
+    this.svg.setPointerCapture?.(e.pointerId)
+  },
+
+  drag(e) {
+    if (!this.dragging) return
+    const point = this.toSvgPoint(e)
+    if (!point) return
+
+    this.dragging.x = point.x
+    this.dragging.y = point.y
+    this.dragMoved = true
+    this.renderCanvas()
+  },
+
+  endDrag() {
+    this.dragging = null
+  },
+
+  render() {
+    this.renderCanvas()
+    this.renderAnalysis()
+  },
+
+  renderCanvas() {
+    const byId = new Map(this.nodes.map((node) => [node.id, node]))
+    const { affected, down } = Topology.simulateFailure(this.nodes, this.links)
+    const isolated = new Set([...affected.map(({ host }) => host.id), ...down.map((host) => host.id)])
+
+    const linksHTML = this.links
+      .map((link, index) => {
+        const a = byId.get(link.a)
+        const b = byId.get(link.b)
+        // The second of two parallel links is drawn as a curve
+        const parallel = this.links.slice(0, index).some(
+          (other) => (other.a === link.a && other.b === link.b) || (other.a === link.b && other.b === link.a),
+        )
+        const mx = (a.x + b.x) / 2 + (parallel ? (b.y - a.y) * 0.15 : 0)
+        const my = (a.y + b.y) / 2 - (parallel ? (b.x - a.x) * 0.15 : 0)
+        const d = `M ${a.x} ${a.y} Q ${mx} ${my} ${b.x} ${b.y}`
+        return `
+          <g data-link="${link.id}" class="topology-link${link.failed ? " failed" : ""}" tabindex="0" role="button"
+            aria-label="Enlace ${utils.escapeHTML(a.label)} – ${utils.escapeHTML(b.label)}${link.failed ? " (caído)" : ""}">
+            <path class="topology-link-hit" d="${d}"></path>
+            <path class="topology-link-line" d="${d}"></path>
+          </g>`
+      })
+      .join("")
+
+    const nodesHTML = this.nodes
+      .map((node) => {
+        const device = TOPOLOGY_DEVICES[node.type]
+        const classes = ["topology-node", node.failed ? "failed" : "", isolated.has(node.id) ? "isolated" : "", this.pending === node.id ? "pending" : ""]
+        const icon = device.image
+          ? `<image href="${device.image}" x="-22" y="-22" width="44" height="44"></image>`
+          : `<circle r="8"></circle>`
+        return `
+          <g data-node="${node.id}" class="${classes.join(" ").trim()}" transform="translate(${node.x} ${node.y})" tabindex="0" role="button"
+            aria-label="${utils.escapeHTML(node.label)}${node.failed ? " (caído)" : ""}">
+            <circle class="topology-node-halo" r="28"></circle>
+            ${icon}
+            <text y="${device.image ? 38 : 24}" text-anchor="middle">${utils.escapeHTML(node.label)}</text>
+          </g>`
+      })
+      .join("")
+
+    utils.keepFocus(this.svg, ["node", "link"], () => {
+      this.svg.innerHTML = `<g class="topology-links">${linksHTML}</g><g class="topology-nodes">${nodesHTML}</g>`
+    })
+  },
+
+  renderAnalysis() {
+    const analysis = Topology.analyze(this.nodes, this.links)
+    const failure = Topology.simulateFailure(this.nodes, this.links)
+    const label = (id) => this.nodes.find((node) => node.id === id)?.label
+    const linkLabel = (id) => {
+      const link = this.links.find((candidate) => candidate.id === id)
+      return `${label(link.a)}–${label(link.b)}`
+    }
+    const list = (items) => (items.length ? items.map((item) => `<code>${utils.escapeHTML(item)}</code>`).join(", ") : "ninguno")
+
+    const hasFailures = this.nodes.some((node) => node.failed) || this.links.some((link) => link.failed)
+    let failureHTML = ""
+    if (hasFailures) {
+      const lines = [
+        ...failure.down.map(({ label: name }) => `<li>${utils.escapeHTML(name)} está fuera de servicio.</li>`),
+        ...failure.affected.map(
+          ({ host, lost }) =>
+            `<li>${utils.escapeHTML(host.label)} pierde conexión con ${lost.length} de ${failure.hosts.length - 1}: ${lost.map((other) => utils.escapeHTML(other.label)).join(", ")}.</li>`,
+        ),
+      ]
+      failureHTML = `
+        <h4>Simulación de falla</h4>
+        ${failure.affected.length === 0 ? `<p class="topology-ok">Los demás equipos siguen comunicados: la red absorbe la falla.</p>` : ""}
+        <ul class="topology-failures">${lines.join("")}</ul>
+      `
+    }
+
+    this.result.innerHTML = `
+      <div class="result-success">
+        <h4>Topología: ${analysis.topology.name}</h4>
+        <p>${analysis.topology.description}</p>
+        <div class="subnet-result-grid">
+          <p><strong>Dispositivos:</strong> ${analysis.nodeCount}</p>
+          <p><strong>Enlaces:</strong> ${analysis.linkCount}</p>
+          <p><strong>Enlaces redundantes:</strong> ${Math.max(analysis.redundantLinks, 0)}</p>
+          <p><strong>Redundancia:</strong> ${analysis.redundancy}% de los enlaces tienen alternativa</p>
+        </div>
+        <p class="subnet-note"><strong>Puntos únicos de falla:</strong> dispositivos ${list(analysis.articulations.map(label))};
+          enlaces ${list(analysis.bridges.map(linkLabel))}.</p>
+        ${failureHTML}
+      </div>
+    `
+  },
+}
+
+// ===== OSI SPECIFIC FUNCTIONS =====
+// Tabs and the open layer are mirrored in the URL hash, e.g.
+// "#layers/transporte", so they can be linked and restored with back/forward.
+// Any other hash (a heading id from search) opens the tab that contains it.
+const OSITabs = {
+  init() {
+    this.tablist = document.querySelector('.osi-nav-content[role="tablist"]')
+    if (!this.tablist) return
+
+    this.tabs = [...this.tablist.querySelectorAll('[role="tab"]')]
+    utils.addEventListenerSafe(this.tablist, "keydown", (e) => this.handleKeydown(e))
+    utils.addEventListenerSafe(window, "popstate", () => this.restoreFromHash())
+    utils.addEventListenerSafe(window, "hashchange", () => this.restoreFromHash())
+
+    this.restoreFromHash()
+  },
+
+  // Without a usable hash (e.g. back to the first history entry) the page
+  // returns to its initial view: overview tab and no layer open
+  restoreFromHash() {
+    if (this.applyHash()) return
+    this.show("overview", { updateHistory: false })
+    const open = document.querySelector(".osi-layer-card.osi-layer-active")
+    if (open) this.setLayer(null, open.closest('.osi-section-content[role="tabpanel"]'))
+  },
+
+  // "Capa de Enlace de Datos" -> "enlace-de-datos"
+  layerSlug(card) {
+    const title = card.querySelector(".osi-layer-title")?.textContent || ""
+    return utils.slugify(title.replace(/^\s*capa\s+(de\s+)?/i, ""))
+  },
+
+  show(sectionId, { updateHistory = true, focus = false } = {}) {
+    const panel = document.getElementById(sectionId)
+    if (!this.tablist || !panel || panel.getAttribute("role") !== "tabpanel") return
+
+    this.tabs.forEach((tab) => {
+      const selected = tab.getAttribute("aria-controls") === sectionId
+      tab.classList.toggle("active", selected)
+      tab.setAttribute("aria-selected", String(selected))
+      tab.tabIndex = selected ? 0 : -1
+      if (selected && focus) tab.focus()
+    })
+
+    document.querySelectorAll('.osi-section-content[role="tabpanel"]').forEach((section) => {
+      const visible = section === panel
+      if (visible && section.classList.contains("osi-hidden")) section.classList.add("osi-fade-in")
+      section.classList.toggle("osi-hidden", !visible)
+    })
+
+    if (updateHistory) this.updateHash(sectionId)
+  },
+
+  handleKeydown(e) {
+    const index = this.tabs.indexOf(e.target)
+    if (index === -1) return
+
+    const targets = {
+      ArrowRight: (index + 1) % this.tabs.length,
+      ArrowLeft: (index - 1 + this.tabs.length) % this.tabs.length,
+      Home: 0,
+      End: this.tabs.length - 1,
+    }
+    if (!(e.key in targets)) return
+
+    e.preventDefault()
+    this.show(this.tabs[targets[e.key]].getAttribute("aria-controls"), { focus: true })
+  },
+
+  // Returns false when the hash does not point to anything on this page
+  applyHash() {
+    const hash = decodeURIComponent(window.location.hash.slice(1))
+    if (!hash) return false
+
+    const [sectionId, layer] = hash.split("/")
+    const panel = document.getElementById(sectionId)
+    if (panel?.getAttribute("role") === "tabpanel") {
+      this.show(sectionId, { updateHistory: false })
+      const card = [...panel.querySelectorAll(".osi-layer-card")].find((item) => this.layerSlug(item) === layer)
+      this.setLayer(card || null, panel)
+      if (card) setTimeout(() => utils.scrollToElement(card), CONFIG.ANIMATION_DELAY)
+      return true
+    }
+
+    return this.reveal(document.getElementById(hash))
+  },
+
+  // Opens the tab (and layer card) an element lives in, e.g. a search result
+  reveal(element) {
+    const panel = element?.closest('.osi-section-content[role="tabpanel"]')
+    if (!panel) return false
+
+    this.show(panel.id, { updateHistory: false })
+    const card = element.closest(".osi-layer-card")
+    if (card) this.setLayer(card, panel)
+    return true
+  },
+
+  // Opens `card` (or closes every layer when null) without touching history
+  setLayer(card, panel) {
+    const open = panel.querySelector(".osi-layer-card.osi-layer-active")
+    if (open === card) return
+
+    this.restoring = true
+    if (card) {
+      window.toggleOSILayer(card)
+    } else if (open) {
+      window.toggleOSILayer(open)
+    }
+    this.restoring = false
+  },
+
+  // Called by toggleOSILayer after a layer opens or closes
+  layerToggled(card, isOpen) {
+    if (this.restoring || !this.tablist) return
+    this.updateHash(isOpen ? `layers/${this.layerSlug(card)}` : "layers")
+  },
+
+  updateHash(hash) {
+    if (decodeURIComponent(window.location.hash.slice(1)) === hash) return
+    history.pushState(null, "", `#${hash}`)
+  },
+}
+
+window.showOSISection = (sectionId) => OSITabs.show(sectionId)
+
+// OSI Layer toggle functionality
+window.toggleOSILayer = (element) => {
+  const details = element.querySelector(".osi-layer-details")
+  const icon = element.querySelector(".osi-layer-toggle")
+
+  if (details.classList.contains("osi-hidden")) {
+    // Close all other layers
+    document.querySelectorAll(".osi-layer-details").forEach((detail) => {
+      detail.classList.add("osi-hidden")
+    })
+    document.querySelectorAll(".osi-layer-card").forEach((card) => {
+      card.classList.remove("osi-layer-active")
+    })
+    document.querySelectorAll(".osi-layer-toggle").forEach((i) => {
+      i.textContent = "+"
+    })
+
+    // Open this layer
+    details.classList.remove("osi-hidden")
+    details.classList.add("osi-fade-in")
+    element.classList.add("osi-layer-active")
+    icon.textContent = "−"
+
+    const layer = element.querySelector(".osi-layer-number")
+    if (layer) LearningProgress.markOSILayer(Number(layer.textContent))
+    OSITabs.layerToggled(element, true)
+  } else {
+    // Close this layer
+    details.classList.add("osi-hidden")
+    element.classList.remove("osi-layer-active")
+    icon.textContent = "+"
+    OSITabs.layerToggled(element, false)
+  }
+}
+
+// An HTTP request from a PC to a web server, layer by layer. Layers 6 and 5
+// have no header of their own in TCP/IP, so they only transform the data.
+const OSI_ENCAPSULATION_LAYERS = [
+  {
+    number: 7,
+    name: "Aplicación",
+    pdu: "Datos",
+    block: "HTTP + datos",
+    header: "HTTP",
+    fields: [
+      ["Método", "GET"],
+      ["Ruta", "/index.html"],
+      ["Host", "www.ejemplo.com"],
+      ["User-Agent", "Mozilla/5.0"],
+    ],
+  },
+  {
+    number: 6,
+    name: "Presentación",
+    pdu: "Datos",
+    note: "codifica el texto en UTF-8 y lo comprime con gzip; no agrega cabecera propia.",
+    fields: [
+      ["Codificación", "UTF-8"],
+      ["Compresión", "gzip"],
+      ["Cifrado", "ninguno (con HTTPS lo haría TLS)"],
+    ],
+  },
+  {
+    number: 5,
+    name: "Sesión",
+    pdu: "Datos",
+    note: "mantiene abierta la conversación (HTTP keep-alive); no agrega cabecera propia.",
+    fields: [
+      ["Conexión", "keep-alive"],
+      ["Sesión", "una conexión para varias peticiones"],
+    ],
+  },
+  {
+    number: 4,
+    name: "Transporte",
+    pdu: "Segmento",
+    block: "TCP",
+    header: "TCP",
+    fields: [
+      ["Puerto origen", "49152"],
+      ["Puerto destino", "80 (HTTP)"],
+      ["Nº de secuencia", "1"],
+      ["Nº de acuse (ACK)", "1"],
+      ["Flags", "PSH, ACK"],
+      ["Ventana", "64240 bytes"],
+    ],
+  },
+  {
+    number: 3,
+    name: "Red",
+    pdu: "Paquete",
+    block: "IPv4",
+    header: "IPv4",
+    fields: [
+      ["Versión", "4"],
+      ["TTL", "64"],
+      ["Protocolo", "6 (TCP)"],
+      ["IP origen", "192.168.1.10"],
+      ["IP destino", "93.184.216.34"],
+    ],
+  },
+  {
+    number: 2,
+    name: "Enlace de datos",
+    pdu: "Trama",
+    block: "Ethernet",
+    trailer: "FCS",
+    header: "Ethernet II",
+    fields: [
+      ["MAC destino", "00:1a:2b:3c:4d:5e (router)"],
+      ["MAC origen", "a4:5e:60:d1:22:9f"],
+      ["EtherType", "0x0800 (IPv4)"],
+      ["FCS (cola)", "CRC-32 de toda la trama"],
+    ],
+  },
+  {
+    number: 1,
+    name: "Física",
+    pdu: "Bits",
+    fields: [
+      ["Preámbulo", "10101010 × 7"],
+      ["SFD", "10101011"],
+      ["Codificación", "PAM-5 (1000BASE-T)"],
+      ["Medio", "Cable UTP Cat 6"],
+    ],
+  },
+]
+
+const OSIEncapsulation = {
+  PLAY_INTERVAL: 1800,
+
+  init() {
+    this.container = document.getElementById("encapsulation-animator")
+    if (!this.container) return
+
+    this.section = this.container.closest(".osi-section-content")
+    this.status = this.container.querySelector(".encap-status")
+    this.pdu = this.container.querySelector(".encap-pdu")
+    this.fields = this.container.querySelector(".encap-fields")
+    this.playButton = this.container.querySelector('[data-encap="play"]')
+
+    // Down the sender's stack, across the medium and up the receiver's
+    const down = OSI_ENCAPSULATION_LAYERS
+    const up = [...OSI_ENCAPSULATION_LAYERS].reverse()
+    this.steps = [
+      ...down.map((layer) => ({ side: "sender", layer })),
+      { side: "medium", layer: OSI_ENCAPSULATION_LAYERS[OSI_ENCAPSULATION_LAYERS.length - 1] },
+      ...up.map((layer) => ({ side: "receiver", layer })),
+    ]
+
+    this.container.querySelectorAll(".encap-stack").forEach((stack) => {
+      stack.innerHTML = down
+        .map(
+          (layer) => `
+          <li class="osi-layer osi-layer-${layer.number}" data-layer="${layer.number}">
+            ${layer.number}. ${layer.name}
+          </li>`,
+        )
+        .join("")
+    })
+
+    this.container.querySelectorAll("[data-encap]").forEach((button) => {
+      utils.addEventListenerSafe(button, "click", () => this[button.dataset.encap]())
+    })
+
+    this.step = 0
+    this.render()
+  },
+
+  play() {
+    if (this.timer) {
+      this.pause()
+      return
+    }
+    if (this.step === this.steps.length - 1) this.step = 0
+
+    this.timer = setInterval(() => {
+      // Stop when the tab is left or the walkthrough ends
+      if (this.section?.classList.contains("osi-hidden") || this.step === this.steps.length - 1) {
+        this.pause()
+        return
+      }
+      this.step++
+      this.render()
+    }, this.PLAY_INTERVAL)
+    this.playButton.textContent = "⏸ Pausa"
+    this.playButton.setAttribute("aria-pressed", "true")
+    this.render()
+  },
+
+  pause() {
+    clearInterval(this.timer)
+    this.timer = null
+    this.playButton.textContent = "▶ Reproducir"
+    this.playButton.setAttribute("aria-pressed", "false")
+  },
+
+  next() {
+    this.pause()
+    this.step = Math.min(this.step + 1, this.steps.length - 1)
+    this.render()
+  },
+
+  prev() {
+    this.pause()
+    this.step = Math.max(this.step - 1, 0)
+    this.render()
+  },
+
+  reset() {
+    this.pause()
+    this.step = 0
+    this.render()
+  },
+
+  // Headers on the wire at this step; on the receiver the current layer's
+  // header is still there, about to be removed
+  headersPresent({ side, layer }) {
+    if (side === "medium") return OSI_ENCAPSULATION_LAYERS
+    return OSI_ENCAPSULATION_LAYERS.filter((item) => item.number >= layer.number)
+  },
+
+  describe({ side, layer }) {
+    const prefix = `Capa ${layer.number} (${layer.name})`
+    const lower = OSI_ENCAPSULATION_LAYERS.find((item) => item.number === layer.number - 1)
+    const upper = OSI_ENCAPSULATION_LAYERS.find((item) => item.number === layer.number + 1)
+
+    if (side === "medium") {
+      return "Medio de transmisión: los bits viajan por el cable como señales eléctricas hasta la placa de red del servidor."
+    }
+    if (side === "sender") {
+      if (layer.number === 7) return `Emisor · ${prefix}: el navegador genera la petición HTTP GET.`
+      if (layer.number === 1) return `Emisor · ${prefix}: la trama se convierte en bits y se transmite por el medio.`
+      if (!layer.header) return `Emisor · ${prefix}: ${layer.note}`
+      return `Emisor · ${prefix}: agrega la cabecera ${layer.header}${layer.trailer ? ` y la cola ${layer.trailer}` : ""}; ` +
+        `la PDU pasa a llamarse ${layer.pdu.toLowerCase()} y se entrega a la capa ${lower.number}.`
+    }
+    if (layer.number === 1) return `Receptor · ${prefix}: la placa de red recibe los bits y reconstruye la trama.`
+    if (layer.number === 7) return `Receptor · ${prefix}: el servidor web lee la cabecera HTTP y responde a la petición GET.`
+    if (!layer.header) return `Receptor · ${prefix}: deshace la transformación del emisor y pasa los datos a la capa ${upper.number}.`
+    return `Receptor · ${prefix}: verifica y quita la cabecera ${layer.header}${layer.trailer ? ` y la cola ${layer.trailer}` : ""}, ` +
+      `y entrega el contenido a la capa ${upper.number}.`
+  },
+
+  render() {
+    const current = this.steps[this.step]
+    const { side, layer } = current
+
+    this.container.querySelectorAll(".encap-stack").forEach((stack) => {
+      stack.querySelectorAll("[data-layer]").forEach((item) => {
+        const active = stack.dataset.side === side && Number(item.dataset.layer) === layer.number
+        item.classList.toggle("encap-active", active)
+        if (active) {
+          item.setAttribute("aria-current", "step")
+        } else {
+          item.removeAttribute("aria-current")
+        }
+      })
+    })
+    this.container.querySelector(".encap-medium").classList.toggle("encap-active", side === "medium")
+
+    this.status.textContent = `Paso ${this.step + 1} de ${this.steps.length}. ${this.describe(current)}`
+    this.pdu.innerHTML = this.renderPDU(current)
+    this.fields.innerHTML = this.renderFields(current)
+
+    this.container.querySelector('[data-encap="prev"]').disabled = this.step === 0
+    this.container.querySelector('[data-encap="next"]').disabled = this.step === this.steps.length - 1
+  },
+
+  // [Ethernet][IPv4][TCP][HTTP + datos][FCS], or the same as a bit stream on the wire
+  renderPDU(current) {
+    const present = this.headersPresent(current)
+    const pduName = current.side === "medium" ? "Bits" : current.layer.pdu
+    const isBits = current.layer.number === 1
+
+    const blockHTML = (layer, label) => {
+      const changing = layer.number === current.layer.number && current.side !== "medium"
+      const state = changing ? (current.side === "sender" ? " encap-added" : " encap-removed") : ""
+      return `<span class="encap-block osi-layer-${layer.number}${state}">${label}</span>`
+    }
+
+    const headers = present.filter((layer) => layer.block).reverse()
+    const trailers = present.filter((layer) => layer.trailer)
+    let blocks = [...headers.map((layer) => blockHTML(layer, layer.block)), ...trailers.map((layer) => blockHTML(layer, layer.trailer))]
+    if (isBits) {
+      blocks = [
+        `<span class="encap-block encap-bits osi-layer-1">10101010…10101011</span>`,
+        `<span class="encap-block encap-bits osi-layer-1">0000 0000 0001 1010 0010 1011…</span>`,
+      ]
+    }
+
+    return `
+      <p class="encap-pdu-name"><strong>PDU:</strong> ${pduName}</p>
+      <div class="encap-blocks">${blocks.join("")}</div>
+    `
+  },
+
+  renderFields({ side, layer }) {
+    if (side === "medium") return ""
+
+    return `
+      <h4>${layer.header ? `Cabecera ${layer.header}` : `Capa ${layer.number}: ${layer.name}`}</h4>
+      <div class="table-responsive">
+        <table class="speed-table">
+          <tbody>
+            ${layer.fields.map(([name, value]) => `<tr><th scope="row">${name}</th><td>${value}</td></tr>`).join("")}
+          </tbody>
+        </table>
+      </div>
+    `
+  },
 }
 
-const ProgressBar = {
+// Which OSI layers each TCP/IP layer covers
+const TCPIP_LAYERS = [
+  { name: "Aplicación", osi: [7, 6, 5] },
+  { name: "Transporte", osi: [4] },
+  { name: "Internet", osi: [3] },
+  { name: "Acceso a la red", osi: [2, 1] },
+]
+
+// Protocols from resumen.html and devices from tipos-de-redes.html with the
+// OSI layers accepted as correct
+const MAPPING_ITEMS = [
+  { id: "http", label: "HTTP", layers: [7], explanation: "Transfiere páginas web entre navegador y servidor." },
+  { id: "ftp", label: "FTP", layers: [7], explanation: "Transfiere archivos; usa los puertos TCP 20 y 21." },
+  { id: "dns", label: "DNS", layers: [7], explanation: "Resuelve nombres en direcciones IP; viaja sobre UDP 53." },
+  { id: "dhcp", label: "DHCP", layers: [7], explanation: "Entrega la configuración IP; es una aplicación sobre UDP 67/68." },
+  { id: "tcp", label: "TCP", layers: [4], explanation: "Transporte orientado a conexión: confirma y retransmite." },
+  { id: "udp", label: "UDP", layers: [4], explanation: "Transporte sin conexión, con menos sobrecarga que TCP." },
+  { id: "ip", label: "IP", layers: [3], explanation: "Direccionamiento lógico y enrutamiento de paquetes." },
+  {
+    id: "arp",
+    label: "ARP",
+    layers: [2, 3],
+    explanation: "Resuelve IP → MAC: sirve a la capa 3 pero viaja directamente en tramas de capa 2, por eso se acepta en ambas.",
+  },
+  {
+    id: "ethernet",
+    label: "Ethernet",
+    layers: [2, 1],
+    explanation: "Define las tramas y direcciones MAC (capa 2) y también el cableado y las señales (capa 1).",
+  },
+  { id: "hub", label: "Hub", image: "img/hub.png", layers: [1], explanation: "Repite la señal por todos los puertos sin leer direcciones." },
+  { id: "switch", label: "Switch", image: "img/Switch.png", layers: [2], explanation: "Reenvía cada trama según su tabla de direcciones MAC." },
+  { id: "router", label: "Router", image: "img/router.png", layers: [3], explanation: "Enruta paquetes entre redes distintas usando direcciones IP." },
+  {
+    id: "firewall",
+    label: "Firewall",
+    image: "img/firewal.png",
+    layers: [3, 4, 7],
+    explanation: "Filtra por IP y puertos (capas 3 y 4); los de nueva generación inspeccionan también la aplicación (capa 7).",
+  },
+]
+
+const ModelMapping = {
   init() {
-    this.progressBar = utils.getElementById("progressBar")
-    if (this.progressBar) {
-      this.updateProgress()
-      utils.addEventListenerSafe(
-        window,
-        "scroll",
-        utils.throttle(() => {
-          this.updateProgress()
-        }, 16),
-      )
+    this.container = document.getElementById("model-mapping")
+    if (!this.container) return
+
+    this.pool = this.container.querySelector(".mapping-pool")
+    this.grid = this.container.querySelector(".mapping-grid")
+    this.status = this.container.querySelector(".mapping-status")
+    this.feedback = this.container.querySelector(".mapping-feedback")
+
+    this.renderGrid()
+    this.bindEvents()
+    this.reset()
+  },
+
+  renderGrid() {
+    // Row 1 holds the headings, so layer 7 starts on row 2
+    const row = (number) => 9 - number
+    const osiCells = OSI_ENCAPSULATION_LAYERS.map(
+      (layer) => `
+        <div class="osi-layer osi-layer-${layer.number}" style="grid-row: ${row(layer.number)}">${layer.number}. ${layer.name}</div>
+        <button type="button" class="mapping-zone" data-layer="${layer.number}" style="grid-row: ${row(layer.number)}"
+          aria-label="Ubicar en la capa ${layer.number}, ${layer.name}"></button>`,
+    )
+    const tcpipCells = TCPIP_LAYERS.map(
+      (layer) => `
+        <div class="mapping-tcpip" style="grid-row: ${row(layer.osi[0])} / span ${layer.osi.length}">${layer.name}</div>`,
+    )
+
+    this.grid.innerHTML = `
+      <div class="mapping-heading">Modelo OSI</div>
+      <div class="mapping-heading">Protocolos y dispositivos</div>
+      <div class="mapping-heading">Modelo TCP/IP</div>
+      ${osiCells.join("")}
+      ${tcpipCells.join("")}
+    `
+  },
+
+  bindEvents() {
+    utils.addEventListenerSafe(this.pool, "click", (e) => {
+      const chip = e.target.closest(".mapping-chip")
+      if (chip) this.select(this.selected === chip.dataset.item ? null : chip.dataset.item)
+    })
+    utils.addEventListenerSafe(this.pool, "dragstart", (e) => {
+      const chip = e.target.closest(".mapping-chip")
+      if (!chip) return
+      e.dataTransfer.setData("text/plain", chip.dataset.item)
+      e.dataTransfer.effectAllowed = "move"
+    })
+
+    this.grid.querySelectorAll(".mapping-zone").forEach((zone) => {
+      const layer = Number(zone.dataset.layer)
+      utils.addEventListenerSafe(zone, "click", () => {
+        if (this.selected) this.place(this.selected, layer)
+      })
+      utils.addEventListenerSafe(zone, "dragover", (e) => {
+        e.preventDefault()
+        zone.classList.add("drag-over")
+      })
+      utils.addEventListenerSafe(zone, "dragleave", () => zone.classList.remove("drag-over"))
+      utils.addEventListenerSafe(zone, "drop", (e) => {
+        e.preventDefault()
+        zone.classList.remove("drag-over")
+        this.place(e.dataTransfer.getData("text/plain"), layer)
+      })
+    })
+
+    utils.addEventListenerSafe(this.container.querySelector(".mapping-reset"), "click", () => this.reset())
+  },
+
+  reset() {
+    this.placed = new Map()
+    this.errors = 0
+    this.selected = null
+    this.grid.querySelectorAll(".mapping-zone").forEach((zone) => {
+      zone.innerHTML = ""
+    })
+    this.pool.innerHTML = MAPPING_ITEMS.map((item) => this.chipHTML(item, true)).join("")
+    this.feedback.innerHTML = ""
+    this.updateStatus()
+  },
+
+  chipHTML(item, draggable) {
+    const image = item.image ? `<img src="${item.image}" alt="" width="24" height="24">` : ""
+    const attributes = draggable ? ` draggable="true" aria-pressed="false"` : ""
+    const tag = draggable ? "button" : "span"
+    return `<${tag}${draggable ? ' type="button"' : ""} class="mapping-chip${item.image ? " mapping-device" : ""}" data-item="${item.id}"${attributes}>${image}${item.label}</${tag}>`
+  },
+
+  select(itemId) {
+    this.selected = itemId
+    this.pool.querySelectorAll(".mapping-chip").forEach((chip) => {
+      chip.setAttribute("aria-pressed", String(chip.dataset.item === itemId))
+    })
+    this.grid.classList.toggle("awaiting-drop", Boolean(itemId))
+  },
+
+  place(itemId, layerNumber) {
+    const item = MAPPING_ITEMS.find((candidate) => candidate.id === itemId)
+    if (!item || this.placed.has(itemId)) return
+
+    const layer = OSI_ENCAPSULATION_LAYERS.find((candidate) => candidate.number === layerNumber)
+    const tcpip = TCPIP_LAYERS.find((candidate) => candidate.osi.includes(layerNumber))
+    this.select(null)
+
+    if (!item.layers.includes(layerNumber)) {
+      this.errors++
+      this.feedback.innerHTML = `
+        <div class="feedback-incorrect"><strong>Incorrecto.</strong> ${item.label} no opera en la capa ${layerNumber} (${layer.name}). Probá con otra capa.</div>
+      `
+      this.updateStatus()
+      return
     }
+
+    this.placed.set(itemId, layerNumber)
+    this.pool.querySelector(`[data-item="${itemId}"]`)?.remove()
+    this.grid.querySelector(`.mapping-zone[data-layer="${layerNumber}"]`).insertAdjacentHTML("beforeend", this.chipHTML(item, false))
+    this.feedback.innerHTML = `
+      <div class="feedback-correct">
+        <strong>¡Correcto!</strong> ${item.label} → capa ${layerNumber} de OSI (${layer.name}), capa ${tcpip.name} de TCP/IP. ${item.explanation}
+      </div>
+    `
+    this.updateStatus()
   },
 
-  updateProgress() {
-    if (!this.progressBar) return
+  updateStatus() {
+    const total = MAPPING_ITEMS.length
+    const done = this.placed.size === total
+    this.status.textContent = done
+      ? `¡Completado! Ubicaste los ${total} elementos con ${this.errors} ${this.errors === 1 ? "error" : "errores"}.`
+      : `Ubicados: ${this.placed.size} de ${total} · Errores: ${this.errors}`
+  },
+}
 
-    const scrollTop = window.pageYOffset
-    const docHeight = document.documentElement.scrollHeight - window.innerHeight
-    const scrollPercent = (scrollTop / docHeight) * 100
+// ===== TCP SIMULATOR MODULE =====
+// Event-driven model of one TCP transfer: a fixed window of segments,
+// cumulative ACKs, an out-of-order buffer at the receiver, fast retransmit
+// after three duplicate ACKs and a retransmission timeout of 2 × (RTT +
+// transmission time of one MSS). The sender's link puts one segment on the
+// wire at a time (length × 8 ÷ bandwidth), then it takes RTT / 2 to arrive.
+// ACKs are small enough that their transmission time is ignored.
+const TCPSimulation = {
+  CLIENT_ISN: 1000,
+  SERVER_ISN: 5000,
+
+  validate({ bytes, mss, window, rtt, bandwidth, lost }) {
+    const checks = [
+      [bytes, 1, 1e6, "Los datos a enviar deben estar entre 1 y 1.000.000 bytes"],
+      [mss, 1, 65495, "El MSS debe estar entre 1 y 65.495 bytes"],
+      [window, 1, 64, "La ventana debe tener entre 1 y 64 segmentos"],
+      [rtt, 1, 10000, "El RTT debe estar entre 1 y 10.000 ms"],
+      [bandwidth, 0.001, 1e6, "El ancho de banda debe ser mayor que 0"],
+    ]
+    checks.forEach(([value, min, max, message]) => {
+      if (!Number.isFinite(value) || value < min || value > max) throw new Error(message)
+    })
+    const segments = Math.ceil(bytes / mss)
+    if (segments > 200) throw new Error("Con ese MSS son más de 200 segmentos: aumentá el MSS o reducí los datos")
+    // Lost segments may come straight from the form as text
+    lost.forEach((item) => {
+      const text = String(item).trim()
+      if (text === "") throw new Error("Falta un número entre dos comas en los segmentos perdidos")
+      if (!/^\d+$/.test(text)) throw new Error(`"${text}" no es un número de segmento: usá enteros separados por comas`)
+      if (Number(text) < 1 || Number(text) > segments) throw new Error(`El segmento ${text} no existe: hay ${segments} segmentos`)
+    })
+    return segments
+  },
 
-    this.progressBar.style.width = Math.min(scrollPercent, 100) + "%"
+  // Segments the window and the RTT allow per second, capped by the link
+  throughput({ mss, window, rtt, bandwidth }) {
+    const windowLimit = (window * mss * 8) / (rtt / 1000) / 1e6
+    return {
+      windowLimit,
+      effective: Math.min(windowLimit, bandwidth),
+      limitedBy: windowLimit < bandwidth ? "window" : "link",
+      // Bandwidth-delay product: bytes in flight needed to keep the link busy
+      bdpBytes: (bandwidth * 1e6 * (rtt / 1000)) / 8,
+    }
+  },
+
+  run(options) {
+    const { bytes, mss, window, rtt, bandwidth } = options
+    const total = this.validate(options)
+    const lost = options.lost.map(Number)
+    const half = rtt / 2
+    // Milliseconds to put one byte on the wire
+    const byteTime = 8 / (bandwidth * 1000)
+    const rto = 2 * (rtt + mss * byteTime)
+    const firstSeq = this.CLIENT_ISN + 1
+    const seqOf = (index) => firstSeq + index * mss
+    const lengthOf = (index) => Math.min(mss, bytes - index * mss)
+
+    const events = []
+    const queue = []
+    const schedule = (time, type, data = {}) => {
+      queue.push({ time, order: queue.length, type, ...data })
+    }
+    const log = (event) => events.push({ ...event, base, next })
+
+    // Sender and receiver state
+    let base = 0
+    let next = 0
+    let duplicates = 0
+    let timer = 0
+    let expected = 0
+    const buffered = new Set()
+    const dropped = new Set()
+    let dataStart = null
+    let dataEnd = null
+    let retransmissions = 0
+    // Segments waiting for the link; retransmissions jump the queue
+    const outbox = []
+    let linkBusy = false
+
+    const startTimer = (now) => {
+      timer++
+      schedule(now + rto, "timeout", { timer })
+    }
+
+    const transmit = (now) => {
+      if (linkBusy || outbox.length === 0) return
+      const position = Math.max(0, outbox.findIndex((item) => item.reason))
+      const [{ index, reason }] = outbox.splice(position, 1)
+      const lose = lost.includes(index + 1) && !dropped.has(index)
+      if (lose) dropped.add(index)
+      if (reason) retransmissions++
+      linkBusy = true
+      log({
+        time: now,
+        from: "client",
+        kind: reason ? "retransmit" : "data",
+        label: `${reason ? "Retransmisión" : "Datos"} #${index + 1}`,
+        seq: seqOf(index),
+        len: lengthOf(index),
+        lost: lose,
+        note: reason,
+      })
+      schedule(now + lengthOf(index) * byteTime, "sent", { index, lose })
+    }
+
+    const sendSegment = (now, index, reason = null) => {
+      if (reason && outbox.some((item) => item.index === index)) return
+      outbox.push({ index, reason })
+      transmit(now)
+    }
+
+    const fillWindow = (now) => {
+      if (dataStart === null) dataStart = now
+      while (next < total && next < base + window) {
+        if (next === base) startTimer(now)
+        next++
+        sendSegment(now, next - 1)
+      }
+    }
+
+    // Three-way handshake
+    log({ time: 0, from: "client", kind: "handshake", label: "SYN", seq: this.CLIENT_ISN, note: "El cliente elige su número de secuencia inicial (ISN)" })
+    log({ time: half, from: "server", kind: "handshake", label: "SYN + ACK", seq: this.SERVER_ISN, ack: this.CLIENT_ISN + 1, note: "El servidor confirma el SYN (ISN + 1) y envía su propio ISN" })
+    log({ time: rtt, from: "client", kind: "handshake", label: "ACK", seq: firstSeq, ack: this.SERVER_ISN + 1, note: "Conexión establecida: ya se pueden enviar datos" })
+    fillWindow(rtt)
+
+    while (queue.length > 0) {
+      queue.sort((a, b) => a.time - b.time || a.order - b.order)
+      const event = queue.shift()
+      const now = event.time
+
+      if (event.type === "sent") {
+        linkBusy = false
+        if (!event.lose) schedule(now + half, "segment", { index: event.index })
+        transmit(now)
+      } else if (event.type === "segment") {
+        if (event.index === expected) {
+          expected++
+          while (buffered.delete(expected)) expected++
+        } else if (event.index > expected) {
+          buffered.add(event.index)
+        }
+        const ackNumber = expected >= total ? firstSeq + bytes : seqOf(expected)
+        const outOfOrder = event.index >= expected
+        const filledGap = !outOfOrder && event.index < expected - 1
+        schedule(now + half, "ack", { ack: expected })
+        log({
+          time: now,
+          from: "server",
+          kind: outOfOrder ? "dupack" : "ack",
+          label: `ACK ${ackNumber}`,
+          ack: ackNumber,
+          note: outOfOrder
+            ? `Llegó el #${event.index + 1} fuera de orden: lo guarda y repite el ACK del #${expected + 1} que falta`
+            : filledGap
+              ? `El #${event.index + 1} completa el hueco: confirma de una vez hasta el #${expected}`
+              : null,
+        })
+      } else if (event.type === "ack") {
+        if (event.ack > base) {
+          base = event.ack
+          duplicates = 0
+          if (base >= total) {
+            dataEnd = now
+            timer++
+            break
+          }
+          if (next > base) startTimer(now)
+          fillWindow(now)
+        } else if (event.ack === base) {
+          duplicates++
+          if (duplicates === 3) {
+            sendSegment(now, base, "3 ACK duplicados: retransmisión rápida")
+            startTimer(now)
+          }
+        }
+      } else if (event.type === "timeout" && event.timer === timer && base < total) {
+        log({ time: now, from: "client", kind: "timeout", label: "Timeout", note: `Pasaron ${rto.toLocaleString("es-AR")} ms (2 × (RTT + transmisión de un MSS)) sin confirmar el #${base + 1}` })
+        sendSegment(now, base, "Vencido el temporizador")
+        startTimer(now)
+      }
+    }
+
+    // Connection teardown
+    const finSeq = firstSeq + bytes
+    log({ time: dataEnd, from: "client", kind: "fin", label: "FIN", seq: finSeq, ack: this.SERVER_ISN + 1, note: "El cliente no tiene más datos" })
+    log({ time: dataEnd + half, from: "server", kind: "fin", label: "FIN + ACK", seq: this.SERVER_ISN + 1, ack: finSeq + 1 })
+    log({ time: dataEnd + rtt, from: "client", kind: "fin", label: "ACK", seq: finSeq + 1, ack: this.SERVER_ISN + 2, note: "Conexión cerrada" })
+
+    const duration = dataEnd - dataStart
+    return {
+      events,
+      segments: total,
+      retransmissions,
+      duration,
+      measured: (bytes * 8) / (duration / 1000) / 1e6,
+      ...this.throughput(options),
+    }
   },
 }
 
-// ===== OSI SPECIFIC FUNCTIONS =====
-window.showOSISection = (sectionId) => {
-  // Hide all sections
-  document.querySelectorAll(".osi-section-content").forEach((section) => {
-    section.classList.add("osi-hidden")
-  })
-
-  // Show selected section
-  const targetSection = document.getElementById(sectionId)
-  if (targetSection) {
-    targetSection.classList.remove("osi-hidden")
-    targetSection.classList.add("osi-fade-in")
-  }
+const TCPTimeline = {
+  init() {
+    this.container = document.getElementById("tcp-simulator")
+    if (!this.container) return
+
+    this.form = this.container.querySelector(".tcp-form")
+    this.timeline = this.container.querySelector(".tcp-timeline")
+    this.windowView = this.container.querySelector(".tcp-window")
+    this.summary = this.container.querySelector(".tcp-summary")
+    this.status = this.container.querySelector(".tcp-status")
+    this.nextButton = this.container.querySelector("[data-tcp='next']")
+    this.allButton = this.container.querySelector("[data-tcp='all']")
+
+    utils.addEventListenerSafe(this.nextButton, "click", () => this.step())
+    utils.addEventListenerSafe(this.allButton, "click", () => this.step(true))
+    utils.addEventListenerSafe(this.form, "submit", (e) => {
+      e.preventDefault()
+      this.run()
+    })
 
-  // Update navigation buttons
-  document.querySelectorAll(".osi-nav-btn").forEach((btn) => {
-    btn.classList.remove("active")
-  })
+    this.run()
+  },
 
-  // Find and activate the clicked button
-  const clickedButton = event.target
-  if (clickedButton) {
-    clickedButton.classList.add("active")
-  }
+  readOptions() {
+    const value = (name) => Number(this.form.elements[name].value)
+    const lostText = this.form.elements.lost.value.trim()
+    return {
+      bytes: value("bytes"),
+      mss: value("mss"),
+      window: value("window"),
+      rtt: value("rtt"),
+      bandwidth: value("bandwidth"),
+      lost: lostText ? lostText.split(/\s*[,;]\s*|\s+/) : [],
+    }
+  },
+
+  run() {
+    try {
+      this.options = this.readOptions()
+      this.result = TCPSimulation.run(this.options)
+      this.shown = 0
+      this.renderSummary()
+      this.step()
+    } catch (error) {
+      this.result = null
+      this.timeline.innerHTML = ""
+      this.windowView.innerHTML = ""
+      this.summary.innerHTML = `<p class="error">${utils.escapeHTML(error.message)}</p>`
+      this.status.textContent = ""
+    }
+  },
+
+  step(all = false) {
+    if (!this.result || this.shown >= this.result.events.length) return
+    this.shown = all ? this.result.events.length : this.shown + 1
+    this.render()
+  },
+
+  render() {
+    const { events } = this.result
+    const current = events[this.shown - 1]
+    const finished = this.shown >= events.length
+    this.nextButton.disabled = finished
+    this.allButton.disabled = finished
+
+    this.timeline.innerHTML = events
+      .slice(0, this.shown)
+      .map((event, index) => {
+        const numbers = [
+          event.seq !== undefined ? `seq=${event.seq}` : "",
+          event.ack !== undefined ? `ack=${event.ack}` : "",
+          event.len !== undefined ? `len=${event.len}` : "",
+        ]
+          .filter(Boolean)
+          .join(" ")
+        const direction = event.kind === "timeout" ? "local" : event.from === "client" ? "to-right" : "to-left"
+        return `
+          <li class="tcp-event ${event.kind} ${direction}${event.lost ? " lost" : ""}${index === this.shown - 1 ? " current" : ""}">
+            <span class="tcp-time">${event.time.toLocaleString("es-AR")} ms</span>
+            <span class="tcp-arrow">
+              <strong>${event.label}</strong>${event.lost ? " ✗ perdido" : ""}
+              ${numbers ? `<code>${numbers}</code>` : ""}
+            </span>
+            ${event.note ? `<small>${utils.escapeHTML(event.note)}</small>` : ""}
+          </li>`
+      })
+      .join("")
+    this.timeline.lastElementChild?.scrollIntoView?.({ block: "nearest" })
+
+    this.status.textContent = `Evento ${this.shown} de ${events.length}${current.note ? `: ${current.note}` : ""}`
+    this.renderWindow(current)
+  },
+
+  // Sender's view: confirmed, in flight, usable and not yet allowed
+  renderWindow(event) {
+    const { segments } = this.result
+    const cells = Array.from({ length: segments }, (_, index) => {
+      let state = "pending"
+      if (index < event.base) state = "acked"
+      else if (index < event.next) state = "sent"
+      else if (index < event.base + this.options.window) state = "usable"
+      return `<li class="tcp-segment ${state}" title="Segmento ${index + 1}">${index + 1}</li>`
+    }).join("")
+    this.windowView.innerHTML = `
+      <ol class="tcp-segments" aria-label="Ventana deslizante del emisor">${cells}</ol>
+      <p class="tcp-legend">
+        <span class="tcp-segment acked"></span> Confirmado
+        <span class="tcp-segment sent"></span> Enviado sin confirmar
+        <span class="tcp-segment usable"></span> Disponible en la ventana
+        <span class="tcp-segment pending"></span> Fuera de la ventana
+      </p>
+    `
+  },
+
+  renderSummary() {
+    const result = this.result
+    const mbps = (value) => `${value.toLocaleString("es-AR", { maximumFractionDigits: 2 })} Mbps`
+    const bdpSegments = Math.ceil(result.bdpBytes / this.options.mss)
+    const limit =
+      result.limitedBy === "window"
+        ? `La ventana limita: para llenar el enlace harían falta ${bdpSegments.toLocaleString("es-AR")} segmentos en vuelo (${Math.round(result.bdpBytes).toLocaleString("es-AR")} bytes = ancho de banda × RTT).`
+        : "La ventana alcanza para llenar el enlace: el límite es el ancho de banda."
+
+    this.summary.innerHTML = `
+      <div class="subnet-result-grid">
+        <p><strong>Segmentos:</strong> ${result.segments}</p>
+        <p><strong>Retransmisiones:</strong> ${result.retransmissions}</p>
+        <p><strong>Límite por ventana:</strong> ${mbps(result.windowLimit)}</p>
+        <p><strong>Throughput efectivo teórico:</strong> ${mbps(result.effective)}</p>
+        <p><strong>Duración de la transferencia simulada:</strong> ${result.duration.toLocaleString("es-AR")} ms</p>
+        <p><strong>Throughput medido en la simulación:</strong> ${mbps(result.measured)}</p>
+      </div>
+      <p class="subnet-note">Throughput máximo = ventana × MSS × 8 ÷ RTT. ${limit}
+        ${result.measured < result.effective * 0.9 ? "El valor medido queda por debajo: el tiempo de transmisión de cada segmento, las pérdidas y los RTT en que la ventana no está llena también cuentan." : ""}
+        Compará con el tiempo ideal de la <a href="ancho-de-banda.html#bandwidth-calculator">calculadora de ancho de banda</a>.</p>
+    `
+  },
 }
 
-// OSI Layer toggle functionality
-window.toggleOSILayer = (element) => {
-  const details = element.querySelector(".osi-layer-details")
-  const icon = element.querySelector(".osi-layer-toggle")
+// ===== FRAME BUILDER MODULE =====
+// Builds Ethernet II / IPv4 / TCP or UDP frames from form values and
+// describes any such frame field by field, down to the bit offsets, so the
+// same view serves both the builder and the hex dump decoder.
+const Frames = {
+  MIN_FRAME: 60,
+  TCP_FLAGS: ["CWR", "ECE", "URG", "ACK", "PSH", "RST", "SYN", "FIN"],
+
+  parseMac(text) {
+    const value = String(text).trim()
+    const match = value.match(/^([0-9a-f]{2})[:-]?([0-9a-f]{2})[:-]?([0-9a-f]{2})[:-]?([0-9a-f]{2})[:-]?([0-9a-f]{2})[:-]?([0-9a-f]{2})$/i)
+    if (!match) throw new Error(`"${value}" no es una dirección MAC válida`)
+    return match.slice(1).map((pair) => parseInt(pair, 16))
+  },
 
-  if (details.classList.contains("osi-hidden")) {
-    // Close all other layers
-    document.querySelectorAll(".osi-layer-details").forEach((detail) => {
-      detail.classList.add("osi-hidden")
+  parseNumber(value, label, max) {
+    const number = Number(value)
+    if (String(value).trim() === "" || !Number.isInteger(number) || number < 0 || number > max) {
+      throw new Error(`${label} debe ser un entero entre 0 y ${max.toLocaleString("es-AR")}`)
+    }
+    return number
+  },
+
+  // Accepts plain hex ("00 1a 2b", "001a2b", "00:1a:2b") and dumps with an
+  // offset column and an ASCII column, as copied from Wireshark or xxd
+  parseHex(text) {
+    const bytes = []
+    for (const rawLine of String(text).split("\n")) {
+      let line = rawLine.trim()
+      if (!line) continue
+      const offset = line.match(/^(?:0x)?[0-9a-f]{4,8}(?::\s*|\s{2,})/i)
+      if (offset) line = line.slice(offset[0].length)
+
+      const lineBytes = []
+      for (const token of line.split(/\s+/)) {
+        const clean = token.replace(/^0x/i, "").replace(/[:-]/g, "")
+        if (!/^(?:[0-9a-f]{2})+$/i.test(clean)) {
+          // A dump line ends where the ASCII column starts
+          if (offset) break
+          throw new Error(`"${token}" no es un valor hexadecimal válido`)
+        }
+        lineBytes.push(...clean.match(/../g).map((pair) => parseInt(pair, 16)))
+      }
+      bytes.push(...(offset ? lineBytes.slice(0, 16) : lineBytes))
+    }
+    if (bytes.length === 0) throw new Error("Pegá al menos un byte en hexadecimal")
+    return Uint8Array.from(bytes)
+  },
+
+  toHex(bytes) {
+    const rows = []
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+      const hex = Array.from(bytes.subarray(offset, offset + 16), (byte) => byte.toString(16).padStart(2, "0"))
+      rows.push(`${offset.toString(16).padStart(4, "0")}  ${hex.join(" ")}`)
+    }
+    return rows.join("\n")
+  },
+
+  // CRC-32 (IEEE 802.3, reflected polynomial 0xEDB88320), table built once
+  crc32(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = Array.from({ length: 256 }, (_, index) => {
+        let value = index
+        for (let bit = 0; bit < 8; bit++) value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1
+        return value >>> 0
+      })
+    }
+    let crc = 0xffffffff
+    for (const byte of bytes) crc = this.crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+    return (crc ^ 0xffffffff) >>> 0
+  },
+
+  readBits(bytes, bitOffset, bits) {
+    let value = 0
+    for (let index = 0; index < bits; index++) {
+      const bit = bitOffset + index
+      value = value * 2 + ((bytes[bit >> 3] >> (7 - (bit & 7))) & 1)
+    }
+    return value
+  },
+
+  write(bytes, offset, value, length) {
+    for (let index = length - 1; index >= 0; index--) {
+      bytes[offset + index] = value % 256
+      value = Math.floor(value / 256)
+    }
+  },
+
+  // TCP and UDP checksums also cover a pseudo-header with the IP addresses
+  transportChecksum(bytes, ipStart, start, end) {
+    const pseudo = new Uint8Array(12 + end - start)
+    pseudo.set(bytes.subarray(ipStart + 12, ipStart + 20), 0)
+    pseudo[9] = bytes[ipStart + 9]
+    this.write(pseudo, 10, end - start, 2)
+    pseudo.set(bytes.subarray(start, end), 12)
+    return PacketDecoder.checksum(pseudo, 0, pseudo.length)
+  },
+
+  // ----- Builder -----
+
+  build(options) {
+    const destinationMac = this.parseMac(options.destinationMac)
+    const sourceMac = this.parseMac(options.sourceMac)
+    const sourceIp = IPv4.parse(options.sourceIp)
+    const destinationIp = IPv4.parse(options.destinationIp)
+    const ttl = this.parseNumber(options.ttl, "El TTL", 255)
+    const identification = this.parseNumber(options.identification, "La identificación", 0xffff)
+    const sourcePort = this.parseNumber(options.sourcePort, "El puerto de origen", 0xffff)
+    const destinationPort = this.parseNumber(options.destinationPort, "El puerto de destino", 0xffff)
+    const payload = new TextEncoder().encode(options.payload || "")
+    const tcp = options.protocol === "tcp"
+
+    const transportLength = (tcp ? 20 : 8) + payload.length
+    const ipLength = 20 + transportLength
+    if (ipLength > 1500) throw new Error("Los datos superan la MTU de Ethernet (1500 bytes por paquete IP)")
+
+    const frameLength = Math.max(14 + ipLength, this.MIN_FRAME)
+    const bytes = new Uint8Array(frameLength + (options.fcs ? 4 : 0))
+    bytes.set(destinationMac, 0)
+    bytes.set(sourceMac, 6)
+    this.write(bytes, 12, 0x0800, 2)
+
+    const ip = 14
+    bytes[ip] = 0x45
+    this.write(bytes, ip + 2, ipLength, 2)
+    this.write(bytes, ip + 4, identification, 2)
+    bytes[ip + 6] = options.dontFragment ? 0x40 : 0
+    bytes[ip + 8] = ttl
+    bytes[ip + 9] = tcp ? 6 : 17
+    this.write(bytes, ip + 12, sourceIp, 4)
+    this.write(bytes, ip + 16, destinationIp, 4)
+    this.write(bytes, ip + 10, PacketDecoder.checksum(bytes, ip, ip + 20), 2)
+
+    const transport = ip + 20
+    this.write(bytes, transport, sourcePort, 2)
+    this.write(bytes, transport + 2, destinationPort, 2)
+    if (tcp) {
+      this.write(bytes, transport + 4, this.parseNumber(options.sequence, "El número de secuencia", 0xffffffff), 4)
+      this.write(bytes, transport + 8, this.parseNumber(options.acknowledgment, "El número de acuse", 0xffffffff), 4)
+      bytes[transport + 12] = 5 << 4
+      bytes[transport + 13] = this.TCP_FLAGS.reduce((bits, flag, index) => (options.flags.includes(flag) ? bits | (0x80 >> index) : bits), 0)
+      this.write(bytes, transport + 14, this.parseNumber(options.window, "La ventana", 0xffff), 2)
+    } else {
+      this.write(bytes, transport + 4, transportLength, 2)
+    }
+    bytes.set(payload, transport + (tcp ? 20 : 8))
+    const checksum = this.transportChecksum(bytes, ip, transport, transport + transportLength)
+    // UDP sends 0xffff for a computed zero, since 0 means "no checksum"
+    this.write(bytes, transport + (tcp ? 16 : 6), !tcp && checksum === 0 ? 0xffff : checksum, 2)
+
+    if (options.fcs) {
+      // The FCS goes out least significant byte first
+      const fcs = this.crc32(bytes.subarray(0, frameLength))
+      for (let index = 0; index < 4; index++) bytes[frameLength + index] = (fcs >>> (8 * index)) & 0xff
+    }
+    return this.describe(bytes)
+  },
+
+  // ----- Decoder -----
+
+  // Returns { bytes, fields, notes } where each field is
+  // { layer, osi, name, bit, bits, value, ok? } with bit offsets into bytes
+  describe(bytes) {
+    if (bytes.length < 14) throw new Error("Una trama Ethernet necesita al menos 14 bytes de cabecera")
+    const fields = []
+    const notes = []
+    const add = (layer, osi, name, bit, bits, format = (value) => value, ok) => {
+      const raw = bits <= 48 ? this.readBits(bytes, bit, bits) : null
+      fields.push({ layer, osi, name, bit, bits, value: format(raw), ok })
+      return raw
+    }
+
+    // A trailing FCS is recognized when it matches the CRC of the frame
+    let end = bytes.length
+    if (bytes.length >= 18) {
+      const stored = (bytes[end - 4] | (bytes[end - 3] << 8) | (bytes[end - 2] << 16) | (bytes[end - 1] << 24)) >>> 0
+      if (this.crc32(bytes.subarray(0, end - 4)) === stored) end -= 4
+    }
+
+    const mac = (offset) => () => PacketDecoder.mac(bytes, offset)
+    add("Ethernet II", 2, "MAC destino", 0, 48, mac(0))
+    add("Ethernet II", 2, "MAC origen", 48, 48, mac(6))
+    const etherType = add("Ethernet II", 2, "EtherType", 96, 16, (value) => `${PacketDecoder.hex(value, 4)} (${PacketDecoder.ETHERTYPES[value] || "desconocido"})`)
+
+    let payloadEnd = end
+    if (etherType === 0x0800) {
+      payloadEnd = this.describeIPv4(bytes, 14, end, add, notes)
+    } else {
+      notes.push("El decodificador solo sigue tramas con EtherType 0x0800 (IPv4); el resto se muestra como datos.")
+      this.describeData(bytes, 14, end, add)
+    }
+
+    if (payloadEnd < end) {
+      add("Ethernet II", 2, "Relleno", payloadEnd * 8, (end - payloadEnd) * 8, () => `${end - payloadEnd} bytes para llegar al mínimo de ${this.MIN_FRAME}`)
+    }
+    if (end < bytes.length) {
+      const fcs = this.crc32(bytes.subarray(0, end))
+      add("Ethernet II", 2, "FCS (CRC-32)", end * 8, 32, () => `${PacketDecoder.hex(fcs, 8)} (correcto)`, true)
+    } else {
+      notes.push(`Sin FCS: los últimos 4 bytes no coinciden con el CRC-32 de la trama. Si la trama se enviara, su FCS sería ${PacketDecoder.hex(this.crc32(bytes), 8)}.`)
+    }
+    if (end < this.MIN_FRAME) notes.push(`La trama mide ${end} bytes sin FCS: menos que el mínimo de ${this.MIN_FRAME} de Ethernet (sería un runt).`)
+
+    return { bytes, fields, notes }
+  },
+
+  describeIPv4(bytes, start, end, add, notes) {
+    if (end - start < 20) throw new Error("El paquete IPv4 está truncado: faltan bytes de la cabecera")
+    const bit = start * 8
+    const layer = "IPv4"
+    const version = add(layer, 3, "Versión", bit, 4)
+    const ihl = add(layer, 3, "IHL (longitud de cabecera)", bit + 4, 4, (value) => `${value} × 4 = ${value * 4} bytes`)
+    if (version !== 4 || ihl < 5) throw new Error("La cabecera IPv4 no es válida (versión distinta de 4 o IHL menor que 5)")
+    const headerEnd = start + ihl * 4
+    if (headerEnd > end) throw new Error("El paquete IPv4 está truncado: faltan bytes de la cabecera")
+
+    add(layer, 3, "DSCP", bit + 8, 6)
+    add(layer, 3, "ECN", bit + 14, 2)
+    const totalLength = add(layer, 3, "Longitud total", bit + 16, 16, (value) => `${value} bytes`)
+    add(layer, 3, "Identificación", bit + 32, 16, (value) => PacketDecoder.hex(value, 4))
+    add(layer, 3, "Reservado", bit + 48, 1)
+    add(layer, 3, "DF (no fragmentar)", bit + 49, 1)
+    add(layer, 3, "MF (más fragmentos)", bit + 50, 1)
+    const fragment = add(layer, 3, "Desplazamiento del fragmento", bit + 51, 13, (value) => `${value} × 8 = ${value * 8} bytes`)
+    add(layer, 3, "TTL", bit + 64, 8)
+    const protocol = add(layer, 3, "Protocolo", bit + 72, 8, (value) => `${value} (${PacketDecoder.IP_PROTOCOLS[value] || "otro"})`)
+
+    const copy = bytes.slice(start, headerEnd)
+    copy[10] = copy[11] = 0
+    const expected = PacketDecoder.checksum(copy, 0, copy.length)
+    const stored = this.readBits(bytes, bit + 80, 16)
+    add(layer, 3, "Checksum de cabecera", bit + 80, 16, (value) => `${PacketDecoder.hex(value, 4)} (${stored === expected ? "correcto" : `incorrecto, debería ser ${PacketDecoder.hex(expected, 4)}`})`, stored === expected)
+    add(layer, 3, "IP origen", bit + 96, 32, IPv4.format)
+    add(layer, 3, "IP destino", bit + 128, 32, IPv4.format)
+    if (headerEnd > start + 20) add(layer, 3, "Opciones", bit + 160, (headerEnd - start - 20) * 8, () => `${headerEnd - start - 20} bytes`)
+
+    if (totalLength < ihl * 4) throw new Error("La longitud total IPv4 es menor que su propia cabecera")
+    const packetEnd = start + totalLength
+    if (packetEnd > end) {
+      notes.push(`La longitud total dice ${totalLength} bytes pero solo hay ${end - start}: el paquete está truncado.`)
+    }
+    const dataEnd = Math.min(packetEnd, end)
+
+    if (fragment > 0) {
+      notes.push("Es un fragmento intermedio: la cabecera de transporte viaja en el primer fragmento.")
+      this.describeData(bytes, headerEnd, dataEnd, add)
+    } else if (protocol === 6) {
+      this.describeTCP(bytes, start, headerEnd, dataEnd, add)
+    } else if (protocol === 17) {
+      this.describeUDP(bytes, start, headerEnd, dataEnd, add)
+    } else {
+      this.describeData(bytes, headerEnd, dataEnd, add)
+    }
+    return dataEnd
+  },
+
+  describeTCP(bytes, ipStart, start, end, add) {
+    if (end - start < 20) throw new Error("El segmento TCP está truncado: faltan bytes de la cabecera")
+    const bit = start * 8
+    const layer = "TCP"
+    add(layer, 4, "Puerto origen", bit, 16)
+    add(layer, 4, "Puerto destino", bit + 16, 16)
+    add(layer, 4, "Número de secuencia", bit + 32, 32)
+    add(layer, 4, "Número de acuse (ACK)", bit + 64, 32)
+    const offset = add(layer, 4, "Desplazamiento de datos", bit + 96, 4, (value) => `${value} × 4 = ${value * 4} bytes`)
+    if (offset < 5 || start + offset * 4 > end) throw new Error("El desplazamiento de datos TCP no es válido")
+    add(layer, 4, "Reservado", bit + 100, 4)
+    this.TCP_FLAGS.forEach((flag, index) => add(layer, 4, `Flag ${flag}`, bit + 104 + index, 1))
+    add(layer, 4, "Ventana", bit + 112, 16)
+    this.checksumField(bytes, ipStart, start, end, bit + 128, layer, add)
+    add(layer, 4, "Puntero urgente", bit + 144, 16)
+    if (offset > 5) add(layer, 4, "Opciones", bit + 160, (offset - 5) * 32, () => `${(offset - 5) * 4} bytes`)
+    this.describeData(bytes, start + offset * 4, end, add)
+  },
+
+  describeUDP(bytes, ipStart, start, end, add) {
+    if (end - start < 8) throw new Error("El datagrama UDP está truncado: faltan bytes de la cabecera")
+    const bit = start * 8
+    add("UDP", 4, "Puerto origen", bit, 16)
+    add("UDP", 4, "Puerto destino", bit + 16, 16)
+    add("UDP", 4, "Longitud", bit + 32, 16, (value) => `${value} bytes`)
+    if (this.readBits(bytes, bit + 48, 16) === 0) add("UDP", 4, "Checksum", bit + 48, 16, () => "0x0000 (sin checksum)")
+    else this.checksumField(bytes, ipStart, start, end, bit + 48, "UDP", add)
+    this.describeData(bytes, start + 8, end, add)
+  },
+
+  checksumField(bytes, ipStart, start, end, bit, layer, add) {
+    const copy = bytes.slice(0, end)
+    copy[bit / 8] = copy[bit / 8 + 1] = 0
+    let expected = this.transportChecksum(copy, ipStart, start, end)
+    if (layer === "UDP" && expected === 0) expected = 0xffff
+    const stored = this.readBits(bytes, bit, 16)
+    add(layer, 4, "Checksum", bit, 16, (value) => `${PacketDecoder.hex(value, 4)} (${stored === expected ? "correcto" : `incorrecto, debería ser ${PacketDecoder.hex(expected, 4)}`})`, stored === expected)
+  },
+
+  describeData(bytes, start, end, add) {
+    if (end <= start) return
+    const slice = bytes.subarray(start, end)
+    const printable = slice.every((byte) => (byte >= 32 && byte < 127) || byte === 10 || byte === 13)
+    add("Datos", 7, "Datos", start * 8, (end - start) * 8, () => {
+      const size = `${end - start} bytes`
+      return printable ? `${size}: "${PacketDecoder.text(slice, 0, Math.min(slice.length, 120)).replace(/\r?\n/g, "↵")}"` : size
     })
-    document.querySelectorAll(".osi-layer-card").forEach((card) => {
-      card.classList.remove("osi-layer-active")
+  },
+}
+
+const HeaderLab = {
+  init() {
+    this.container = document.getElementById("header-lab")
+    if (!this.container) return
+
+    this.form = this.container.querySelector(".header-form")
+    this.hexInput = document.getElementById("header-hex")
+    this.result = this.container.querySelector(".header-result")
+    this.view = "hex"
+
+    utils.addEventListenerSafe(this.form, "submit", (e) => {
+      e.preventDefault()
+      this.build()
     })
-    document.querySelectorAll(".osi-layer-toggle").forEach((i) => {
-      i.textContent = "+"
+    utils.addEventListenerSafe(this.form.elements.protocol, "change", () => this.toggleTcp())
+    utils.addEventListenerSafe(this.container.querySelector("[data-header='decode']"), "click", () => this.decode())
+    utils.addEventListenerSafe(this.result, "click", (e) => {
+      const view = e.target.closest("[data-header-view]")
+      if (view) {
+        this.view = view.dataset.headerView
+        this.render()
+        return
+      }
+      const field = e.target.closest("[data-field]")
+      if (field) this.select(Number(field.dataset.field))
+    })
+    utils.addEventListenerSafe(this.result, "keydown", (e) => {
+      const row = e.target.closest("tr[data-field]")
+      if (row && (e.key === "Enter" || e.key === " ")) {
+        e.preventDefault()
+        this.select(Number(row.dataset.field))
+      }
     })
 
-    // Open this layer
-    details.classList.remove("osi-hidden")
-    details.classList.add("osi-fade-in")
-    element.classList.add("osi-layer-active")
-    icon.textContent = "−"
-  } else {
-    // Close this layer
-    details.classList.add("osi-hidden")
-    element.classList.remove("osi-layer-active")
-    icon.textContent = "+"
-  }
+    this.toggleTcp()
+    this.build()
+  },
+
+  toggleTcp() {
+    const tcp = this.form.elements.protocol.value === "tcp"
+    this.form.querySelectorAll(".header-tcp").forEach((element) => {
+      element.hidden = !tcp
+    })
+  },
+
+  readOptions() {
+    const value = (name) => this.form.elements[name].value
+    return {
+      destinationMac: value("destinationMac"),
+      sourceMac: value("sourceMac"),
+      sourceIp: value("sourceIp"),
+      destinationIp: value("destinationIp"),
+      ttl: value("ttl"),
+      identification: value("identification"),
+      dontFragment: this.form.elements.dontFragment.checked,
+      protocol: value("protocol"),
+      sourcePort: value("sourcePort"),
+      destinationPort: value("destinationPort"),
+      sequence: value("sequence"),
+      acknowledgment: value("acknowledgment"),
+      window: value("window"),
+      flags: Array.from(this.form.querySelectorAll("[name='flags']:checked"), (input) => input.value),
+      payload: value("payload"),
+      fcs: this.form.elements.fcs.checked,
+    }
+  },
+
+  build() {
+    this.show(() => {
+      const frame = Frames.build(this.readOptions())
+      this.hexInput.value = Frames.toHex(frame.bytes)
+      return frame
+    })
+  },
+
+  decode() {
+    this.show(() => Frames.describe(Frames.parseHex(this.hexInput.value)))
+  },
+
+  show(produce) {
+    try {
+      this.frame = produce()
+      this.selected = null
+      this.render()
+    } catch (error) {
+      this.frame = null
+      this.result.innerHTML = `<p class="error">${utils.escapeHTML(error.message)}</p>`
+    }
+  },
+
+  // Maps every bit to the index of the field that covers it
+  owners() {
+    const owners = new Array(this.frame.bytes.length * 8).fill(-1)
+    this.frame.fields.forEach((field, index) => owners.fill(index, field.bit, field.bit + field.bits))
+    return owners
+  },
+
+  render() {
+    const { bytes, fields, notes } = this.frame
+    const owners = this.owners()
+    const cell = (index, text, unit) => {
+      const owner = owners[index]
+      const field = fields[owner]
+      if (!field) return `<span class="header-unit">${text}</span>`
+      const classes = ["header-unit", `osi-layer-${field.osi}`, owner % 2 ? "header-odd" : "", owner === this.selected ? "selected" : ""]
+      return `<span class="${classes.filter(Boolean).join(" ")}" data-field="${owner}" title="${utils.escapeHTML(`${field.layer}: ${field.name}`)}">${text}</span>${unit}`
+    }
+
+    const rows = []
+    if (this.view === "binary") {
+      // 32 bits per row, like the header diagrams in the RFCs
+      for (let bit = 0; bit < bytes.length * 8; bit += 32) {
+        const cells = []
+        for (let index = bit; index < Math.min(bit + 32, bytes.length * 8); index++) {
+          cells.push(cell(index, Frames.readBits(bytes, index, 1), (index + 1) % 8 === 0 ? " " : ""))
+        }
+        rows.push(`<span class="capture-offset">${(bit / 8).toString(16).padStart(4, "0")}</span>  ${cells.join("")}`)
+      }
+    } else {
+      for (let offset = 0; offset < bytes.length; offset += 16) {
+        const cells = Array.from(bytes.subarray(offset, offset + 16), (byte, index) => cell((offset + index) * 8, byte.toString(16).padStart(2, "0"), " "))
+        rows.push(`<span class="capture-offset">${offset.toString(16).padStart(4, "0")}</span>  ${cells.join("")}`)
+      }
+    }
+
+    this.result.innerHTML = `
+      <div class="result-success">
+        <p><strong>${bytes.length} bytes</strong> · ${[...new Set(fields.map((field) => field.layer))].join(" / ")}</p>
+        ${notes.map((note) => `<p class="header-note">${utils.escapeHTML(note)}</p>`).join("")}
+      </div>
+      <div class="encap-controls" role="group" aria-label="Formato de los bytes">
+        <button type="button" class="preset-btn" data-header-view="hex" aria-pressed="${this.view === "hex"}">Hexadecimal</button>
+        <button type="button" class="preset-btn" data-header-view="binary" aria-pressed="${this.view === "binary"}">Binario</button>
+      </div>
+      <pre class="header-bytes">${rows.join("\n")}</pre>
+      <div class="table-responsive">
+        <table class="speed-table header-fields">
+          <thead><tr><th>Capa</th><th>Campo</th><th>Bits</th><th>Valor</th></tr></thead>
+          <tbody>
+            ${fields
+              .map(
+                (field, index) => `
+              <tr data-field="${index}" tabindex="0"${index === this.selected ? ' class="selected"' : ""}>
+                <td><span class="capture-protocol osi-layer-${field.osi}">${field.layer}</span></td>
+                <td>${field.name}</td>
+                <td>${field.bits === 1 ? field.bit : `${field.bit}–${field.bit + field.bits - 1} (${field.bits})`}</td>
+                <td class="${field.ok === false ? "header-bad" : ""}"><code>${utils.escapeHTML(String(field.value))}</code></td>
+              </tr>`
+              )
+              .join("")}
+          </tbody>
+        </table>
+      </div>
+    `
+  },
+
+  select(index) {
+    this.selected = this.selected === index ? null : index
+    this.render()
+    this.result.querySelector(`tr[data-field="${index}"]`)?.focus()
+  },
 }
 
 // ===== ERROR HANDLING =====
@@ -978,11 +8706,28 @@ document.addEventListener("DOMContentLoaded", () => {
     Performance.init()
     Search.init()
     ProgressBar.init()
-
-    // Initialize OSI page if we're on it
-    if (window.location.pathname.includes("modelo-osi.html")) {
-      window.showOSISection("overview")
-    }
+    LearningProgress.init()
+    SubnetCalculator.init()
+    VLSMPlanner.init()
+    RouteSummarizer.init()
+    SubnetExercises.init()
+    IPv6Tools.init()
+    BandwidthCalculator.init()
+    DNSSimulator.init()
+    TopologyBuilder.init()
+    ForwardingSimulator.init()
+    LanServicesVisualizer.init()
+    RIPSimulator.init()
+    FirewallLab.init()
+    CaptureViewer.init()
+    Quiz.init()
+    OSIEncapsulation.init()
+    ModelMapping.init()
+    TCPTimeline.init()
+    HeaderLab.init()
+    CableBuilder.init()
+
+    OSITabs.init()
 
     // Add CSS for blinking cursor animation and search highlight
     const style = document.createElement("style")